@@ -62,6 +62,19 @@ public class IEXController : ControllerBase
     ///   },
     ///   "limit": 100
     /// }
+    ///
+    /// Paged raw records (offset/sort apply when no aggregation is requested;
+    /// include_insights: false skips the AI insights when only the rows are needed):
+    /// POST /api/iex/query
+    /// {
+    ///   "query": "Show me DAM prices for 2024",
+    ///   "filters": { "market_type": "DAM", "year": 2024 },
+    ///   "limit": 200,
+    ///   "offset": 400,
+    ///   "sort_by": "mcp",
+    ///   "sort_order": "desc",
+    ///   "include_insights": false
+    /// }
     /// </remarks>
     [HttpPost("query")]
     public async Task<ActionResult<QueryResult>> Query([FromBody] UniversalQueryRequest request)
@@ -92,6 +105,16 @@ public class IEXController : ControllerBase
                 arguments["limit"] = request.Limit.Value;
             }
 
+            if (request.Offset.HasValue)
+            {
+                arguments["offset"] = request.Offset.Value;
+            }
+
+            if (request.IncludeInsights.HasValue)
+            {
+                arguments["include_insights"] = request.IncludeInsights.Value;
+            }
+
             // Merge filters with aggregation/groupBy parameters
             var filters = request.Filters ?? new Dictionary<string, object>();
 
@@ -110,14 +133,21 @@ public class IEXController : ControllerBase
                 _logger.LogInformation("Added group_by to filters: {Group}", request.GroupBy);
             }
 
-            if (filters.Count > 0)
+            if (!string.IsNullOrEmpty(request.SortBy))
+            {
+                filters["sort_by"] = request.SortBy;
+                filters["sort_order"] = request.SortOrder ?? "asc";
+            }
+
+            // A filters object (even an empty one) or paging asks for the structured path
+            if (request.Filters != null || filters.Count > 0 || request.Offset.HasValue)
             {
                 arguments["filters"] = filters;
                 _logger.LogInformation("Filters count: {Count}, Keys: {Keys}",
                     filters.Count, string.Join(", ", filters.Keys));
             }
 
-            var response = await _mcpServer.ExecuteToolAsync("query_iex_data", arguments);
+            var response = await _mcpServer.ExecuteToolAsync("query_iex_data", arguments, cancellationToken: HttpContext.RequestAborted);
 
             if (!response.Success)
             {
@@ -380,6 +410,60 @@ public class IEXController : ControllerBase
         }
     }
 
+    /// <summary>
+    /// Streaming version of the multi-time-slot endpoint, sent as Server-Sent Events
+    /// </summary>
+    /// <remarks>
+    /// Takes the same body as POST /api/iex/multi-timeslot and emits:
+    /// - status: { "message": "..." } progress while the analysis runs
+    /// - result: the complete MultiTimeSlotResponse
+    /// - error: { "message": "..." }
+    ///
+    /// Closing the connection cancels the analysis before it starts.
+    /// </remarks>
+    [HttpPost("multi-timeslot/stream")]
+    public async Task StreamMultiTimeSlot([FromBody] MultiTimeSlotRequest request)
+    {
+        var cancellationToken = HttpContext.RequestAborted;
+        Response.StartEventStream();
+
+        try
+        {
+            _logger.LogInformation("POST /api/iex/multi-timeslot/stream - Query: '{Query}'", request?.Query ?? "null");
+
+            if (request == null || string.IsNullOrWhiteSpace(request.Query))
+            {
+                await Response.WriteEventAsync("error", new { message = "Query parameter is required" }, cancellationToken);
+                return;
+            }
+
+            // Parse query if time slots not explicitly provided
+            if (!request.TimeSlots.Any())
+            {
+                await Response.WriteEventAsync("status", new { message = "Reading markets and time slots from the question..." }, cancellationToken);
+                request = _multiTimeSlotAnalyzer.ParseQuery(request.Query);
+            }
+
+            await Response.WriteEventAsync("status", new
+            {
+                message = $"Analyzing {request.Markets.Count} markets across {request.TimeSlots.Count} time slots..."
+            }, cancellationToken);
+
+            var response = await _multiTimeSlotAnalyzer.AnalyzeAsync(request);
+
+            await Response.WriteEventAsync("result", response, cancellationToken);
+        }
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+        {
+            _logger.LogInformation("Multi-time-slot analysis cancelled by the client");
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error in multi-time-slot analysis");
+            await Response.WriteEventAsync("error", new { message = $"Error: {ex.Message}" }, cancellationToken);
+        }
+    }
+
     #endregion
 
     #region MCP JSON-RPC 2.0 Endpoint
@@ -505,7 +589,7 @@ public class IEXController : ControllerBase
 
             _logger.LogInformation("JSON-RPC - Executing tool: {ToolName}", toolName);
 
-            var result = await _mcpServer.ExecuteToolAsync(toolName, arguments);
+            var result = await _mcpServer.ExecuteToolAsync(toolName, arguments, cancellationToken: HttpContext.RequestAborted);
 
             if (!result.Success)
             {
@@ -1,3 +1,4 @@
+using System.Text.RegularExpressions;
 using Microsoft.AspNetCore.Mvc;
 using IEXInsiderMCP.Models;
 using IEXInsiderMCP.Services;
@@ -16,17 +17,28 @@ public class QueryController : ControllerBase
     private readonly NaturalLanguageEngine _nlEngine;
     private readonly MCPServer _mcpServer;
     private readonly InsightsEngine _insightsEngine;
+    private readonly ConversationContextService _conversationContext;
     private readonly ILogger<QueryController> _logger;
 
+    // Follow-up phrasing that refers back to the previous question ("now do that for RTM")
+    private static readonly Regex FollowUpPattern = new(
+        @"^\s*(now|and|also|what about|how about)\b|\b(do (that|this|the same)|same (thing|query|analysis)|instead)\b",
+        RegexOptions.IgnoreCase | RegexOptions.Compiled);
+
+    private static readonly Regex MarketPattern = new(@"\b(GDAM|DAM|RTM)\b", RegexOptions.IgnoreCase | RegexOptions.Compiled);
+    private static readonly Regex YearPattern = new(@"\b20\d{2}\b", RegexOptions.Compiled);
+
     public QueryController(
         NaturalLanguageEngine nlEngine,
         MCPServer mcpServer,
         InsightsEngine insightsEngine,
+        ConversationContextService conversationContext,
         ILogger<QueryController> logger)
     {
         _nlEngine = nlEngine;
         _mcpServer = mcpServer;
         _insightsEngine = insightsEngine;
+        _conversationContext = conversationContext;
         _logger = logger;
     }
 
@@ -56,41 +68,129 @@ public class QueryController : ControllerBase
         {
             _logger.LogInformation("Processing unified query: {Query}", request.Question ?? request.Query);
 
-            var query = request.Question ?? request.Query ?? string.Empty;
-
-            if (string.IsNullOrWhiteSpace(query))
+            if (string.IsNullOrWhiteSpace(request.Question ?? request.Query))
             {
                 return BadRequest(new { success = false, message = "Query cannot be empty" });
             }
 
-            // Intelligently determine query type
-            var queryType = DetermineQueryType(query, request);
+            return Ok(await AnswerQueryAsync(request, HttpContext.RequestAborted));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error processing unified query");
+            return StatusCode(500, new
+            {
+                success = false,
+                message = "An error occurred while processing your query",
+                error = ex.Message
+            });
+        }
+    }
 
-            _logger.LogInformation("Query classified as: {QueryType}", queryType);
+    /// <summary>
+    /// Streaming version of the universal endpoint, sent as Server-Sent Events
+    /// </summary>
+    /// <remarks>
+    /// Takes the same body as POST /api/query and emits:
+    /// - status: { "message": "..." } progress while the query runs
+    /// - delta: { "text": "..." } the next piece of the AI-written answer, sent as the model generates it
+    ///   (data queries only; the analytics engine's answers arrive whole in the result)
+    /// - result: the complete response, exactly as POST /api/query returns it
+    /// - error: { "message": "...", "error": "..." }
+    ///
+    /// Closing the connection cancels the query at the next step.
+    /// </remarks>
+    [HttpPost("stream")]
+    public async Task StreamQuery([FromBody] UnifiedQueryRequest request)
+    {
+        var cancellationToken = HttpContext.RequestAborted;
+        Response.StartEventStream();
 
-            if (queryType == QueryType.AIInsights)
-            {
-                // Route to AI Natural Language Engine
-                var aiResponse = _nlEngine.ProcessQuery(query);
-                return Ok(aiResponse);
-            }
-            else
+        try
+        {
+            _logger.LogInformation("Streaming unified query: {Query}", request.Question ?? request.Query);
+
+            if (string.IsNullOrWhiteSpace(request.Question ?? request.Query))
             {
-                // Route to structured data query via MCP Server
-                var dataResponse = await ExecuteDataQuery(request);
-                return Ok(dataResponse);
+                await Response.WriteEventAsync("error", new { message = "Query cannot be empty" }, cancellationToken);
+                return;
             }
+
+            var response = await AnswerQueryAsync(request, cancellationToken,
+                message => Response.WriteEventAsync("status", new { message }, cancellationToken),
+                text => Response.WriteEventAsync("delta", new { text }, cancellationToken));
+
+            await Response.WriteEventAsync("result", response, cancellationToken);
+        }
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+        {
+            _logger.LogInformation("Streaming query cancelled by the client");
         }
         catch (Exception ex)
         {
-            _logger.LogError(ex, "Error processing unified query");
-            return StatusCode(500, new
+            _logger.LogError(ex, "Error streaming unified query");
+            await Response.WriteEventAsync("error", new
             {
-                success = false,
                 message = "An error occurred while processing your query",
                 error = ex.Message
+            }, cancellationToken);
+        }
+    }
+
+    /// <summary>
+    /// Answer a question: resolve follow-ups, route to the AI engine or a data query, and record the exchange.
+    /// reportStatus, when given, is told about each step as it starts; reportDelta receives the AI-written
+    /// answer of a data query as it is generated.
+    /// </summary>
+    private async Task<object> AnswerQueryAsync(UnifiedQueryRequest request, CancellationToken cancellationToken,
+        Func<string, Task>? reportStatus = null, Func<string, Task>? reportDelta = null)
+    {
+        reportStatus ??= _ => Task.CompletedTask;
+
+        var query = request.Question ?? request.Query ?? string.Empty;
+
+        // Record the question in the conversation and resolve follow-ups against the previous one
+        var sessionId = request.SessionId;
+        if (!string.IsNullOrWhiteSpace(sessionId))
+        {
+            var resolvedQuery = ResolveFollowUpQuery(sessionId, query);
+            _conversationContext.AddMessage(sessionId, "user", query, new Dictionary<string, object>
+            {
+                ["resolved_query"] = resolvedQuery
             });
+
+            if (resolvedQuery != query)
+            {
+                _logger.LogInformation("Resolved follow-up query '{Query}' to '{ResolvedQuery}'", query, resolvedQuery);
+                await reportStatus($"Understood as: {resolvedQuery}");
+                query = resolvedQuery;
+                request.Question = resolvedQuery;
+            }
+        }
+
+        // Intelligently determine query type
+        var queryType = DetermineQueryType(query, request);
+
+        _logger.LogInformation("Query classified as: {QueryType}", queryType);
+        cancellationToken.ThrowIfCancellationRequested();
+
+        object response;
+        if (queryType == QueryType.AIInsights)
+        {
+            // Route to AI Natural Language Engine
+            await reportStatus("Analyzing market data...");
+            response = _nlEngine.ProcessQuery(query);
+        }
+        else
+        {
+            // Route to structured data query via MCP Server
+            await reportStatus("Querying IEX records...");
+            response = await ExecuteDataQuery(request, cancellationToken, reportDelta);
         }
+
+        cancellationToken.ThrowIfCancellationRequested();
+        RecordAssistantMessage(sessionId, response);
+        return response;
     }
 
     /// <summary>
@@ -156,6 +256,69 @@ public class QueryController : ControllerBase
         return QueryType.StructuredData;
     }
 
+    /// <summary>
+    /// Rewrite a follow-up question using the session's previous question,
+    /// swapping in the market/year mentioned in the follow-up
+    /// </summary>
+    private string ResolveFollowUpQuery(string sessionId, string query)
+    {
+        if (!FollowUpPattern.IsMatch(query))
+        {
+            return query;
+        }
+
+        var previousQuestion = _conversationContext.GetHistory(sessionId, 50)
+            .LastOrDefault(m => m.Role == "user");
+
+        if (previousQuestion == null)
+        {
+            return query;
+        }
+
+        var resolved = previousQuestion.Data is Dictionary<string, object> data && data.TryGetValue("resolved_query", out var previousResolved)
+            ? previousResolved.ToString() ?? previousQuestion.Content
+            : previousQuestion.Content;
+
+        var marketMatch = MarketPattern.Match(query);
+        if (marketMatch.Success)
+        {
+            var market = marketMatch.Value.ToUpperInvariant();
+            resolved = MarketPattern.IsMatch(resolved)
+                ? MarketPattern.Replace(resolved, market, 1)
+                : $"{resolved} for {market} market";
+        }
+
+        var yearMatch = YearPattern.Match(query);
+        if (yearMatch.Success)
+        {
+            resolved = YearPattern.IsMatch(resolved)
+                ? YearPattern.Replace(resolved, yearMatch.Value, 1)
+                : $"{resolved} in {yearMatch.Value}";
+        }
+
+        return resolved;
+    }
+
+    /// <summary>
+    /// Store the assistant's answer in the conversation history
+    /// </summary>
+    private void RecordAssistantMessage(string? sessionId, object response)
+    {
+        if (string.IsNullOrWhiteSpace(sessionId))
+        {
+            return;
+        }
+
+        var content = response switch
+        {
+            IntelligentResponse intelligent => intelligent.Answer,
+            QueryResult queryResult => string.IsNullOrWhiteSpace(queryResult.AIInsights) ? queryResult.Message : queryResult.AIInsights,
+            _ => string.Empty
+        };
+
+        _conversationContext.AddMessage(sessionId, "assistant", content);
+    }
+
     private bool ContainsAIKeywords(string queryLower)
     {
         var keywords = new[] { "insight", "analyze", "compare", "forecast", "recommend", "tell me", "explain" };
@@ -165,7 +328,7 @@ public class QueryController : ControllerBase
     /// <summary>
     /// Execute structured data query using MCP Server
     /// </summary>
-    private async Task<object> ExecuteDataQuery(UnifiedQueryRequest request)
+    private async Task<object> ExecuteDataQuery(UnifiedQueryRequest request, CancellationToken cancellationToken, Func<string, Task>? reportDelta = null)
     {
         var query = request.Question ?? request.Query ?? string.Empty;
 
@@ -222,7 +385,22 @@ public class QueryController : ControllerBase
         }
 
         // Execute via MCP Server
-        var response = await _mcpServer.ExecuteToolAsync("query_iex_data", arguments);
+        var response = await _mcpServer.ExecuteToolAsync("query_iex_data", arguments, reportDelta, cancellationToken);
+
+        // Report what the structured query actually ran, so the client can show (and correct) it
+        if (response.Result is QueryResult result && arguments.ContainsKey("filters"))
+        {
+            result.AppliedParams = new Dictionary<string, object?>
+            {
+                ["query"] = query,
+                ["filters"] = filters
+                    .Where(filter => filter.Key != "aggregation" && filter.Key != "group_by")
+                    .ToDictionary(filter => filter.Key, filter => filter.Value),
+                ["aggregation"] = aggregation,
+                ["group_by"] = groupBy,
+                ["limit"] = request.Limit
+            };
+        }
 
         return response.Result ?? new { success = false, message = response.Error };
     }
@@ -415,6 +593,9 @@ public class UnifiedQueryRequest
 
     /// <summary>Result limit for data queries</summary>
     public int? Limit { get; set; }
+
+    /// <summary>Optional conversation session id for history and follow-up questions</summary>
+    public string? SessionId { get; set; }
 }
 
 /// <summary>
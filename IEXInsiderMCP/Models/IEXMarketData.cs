@@ -58,6 +58,7 @@ public class QueryResult
     public Dictionary<string, object>? Metadata { get; set; }
     public int TotalRecords { get; set; }
     public string? AIInsights { get; set; } // AI-generated conversational insights
+    public Dictionary<string, object?>? AppliedParams { get; set; } // Question, filters, aggregation and grouping /api/query ran
 }
 
 /// <summary>
@@ -82,6 +83,29 @@ public class UniversalQueryRequest
     public string? GroupBy { get; set; }
 
     public int? Limit { get; set; }
+
+    /// <summary>
+    /// Number of records to skip before applying Limit (for paging raw records)
+    /// </summary>
+    public int? Offset { get; set; }
+
+    /// <summary>
+    /// Sort raw records by market_type, date, time_block, mcp, mcv, iex_demand, iex_supply or bid_ask_ratio
+    /// </summary>
+    [System.Text.Json.Serialization.JsonPropertyName("sort_by")]
+    public string? SortBy { get; set; }
+
+    /// <summary>
+    /// "asc" (default) or "desc"
+    /// </summary>
+    [System.Text.Json.Serialization.JsonPropertyName("sort_order")]
+    public string? SortOrder { get; set; }
+
+    /// <summary>
+    /// Set to false when only rows or groups are needed, to skip the AI insights (default true)
+    /// </summary>
+    [System.Text.Json.Serialization.JsonPropertyName("include_insights")]
+    public bool? IncludeInsights { get; set; }
 }
 
 /// <summary>
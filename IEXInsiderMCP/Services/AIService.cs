@@ -33,8 +33,11 @@ public class AIService
 
     /// <summary>
     /// Generate conversational insights from IEX market data
+    /// When onDelta is given, the completion is streamed and each piece of text is passed to it as it arrives.
+    /// cancellationToken (the client's request) aborts the AI call when the client goes away.
     /// </summary>
-    public async Task<string> GenerateInsights(string userQuery, string dataContext, List<string>? conversationHistory = null)
+    public async Task<string> GenerateInsights(string userQuery, string dataContext, List<string>? conversationHistory = null, Func<string, Task>? onDelta = null,
+        CancellationToken cancellationToken = default)
     {
         if (string.IsNullOrWhiteSpace(_apiKey))
         {
@@ -48,11 +51,11 @@ public class AIService
 
             if (_provider.Equals("Claude", StringComparison.OrdinalIgnoreCase))
             {
-                return await CallClaudeAPI(userQuery, dataContext, conversationHistory);
+                return await CallClaudeAPI(userQuery, dataContext, conversationHistory, onDelta, cancellationToken);
             }
             else if (_provider.Equals("OpenAI", StringComparison.OrdinalIgnoreCase))
             {
-                return await CallOpenAIAPI(userQuery, dataContext, conversationHistory);
+                return await CallOpenAIAPI(userQuery, dataContext, conversationHistory, onDelta, cancellationToken);
             }
             else
             {
@@ -60,14 +63,15 @@ public class AIService
                 return GenerateFallbackResponse(userQuery);
             }
         }
-        catch (Exception ex)
+        catch (Exception ex) when (ex is not OperationCanceledException)
         {
             _logger.LogError(ex, "Error generating AI insights");
             return GenerateFallbackResponse(userQuery);
         }
     }
 
-    private async Task<string> CallClaudeAPI(string userQuery, string dataContext, List<string>? conversationHistory)
+    private async Task<string> CallClaudeAPI(string userQuery, string dataContext, List<string>? conversationHistory, Func<string, Task>? onDelta,
+        CancellationToken cancellationToken)
     {
         var systemPrompt = @"You are an expert market analyst specializing in Indian Energy Exchange (IEX) electricity markets. You have access to comprehensive IEX market data including Day-Ahead Market (DAM), Green Day-Ahead Market (GDAM), and Real-Time Market (RTM).
 
@@ -121,7 +125,8 @@ Please analyze this data and provide a conversational, insightful response to th
             model = _model,
             max_tokens = 2048,
             system = systemPrompt,
-            messages = messages
+            messages = messages,
+            stream = onDelta != null
         };
 
         var json = JsonSerializer.Serialize(requestBody, new JsonSerializerOptions
@@ -138,15 +143,22 @@ Please analyze this data and provide a conversational, insightful response to th
         request.Headers.Add("x-api-key", _apiKey);
         request.Headers.Add("anthropic-version", "2023-06-01");
 
-        var response = await _httpClient.SendAsync(request);
-        var responseContent = await response.Content.ReadAsStringAsync();
+        using var response = await _httpClient.SendAsync(request, onDelta != null ? HttpCompletionOption.ResponseHeadersRead : HttpCompletionOption.ResponseContentRead, cancellationToken);
 
         if (!response.IsSuccessStatusCode)
         {
-            _logger.LogError("Claude API error: {StatusCode} - {Response}", response.StatusCode, responseContent);
+            _logger.LogError("Claude API error: {StatusCode} - {Response}", response.StatusCode, await response.Content.ReadAsStringAsync(cancellationToken));
             return GenerateFallbackResponse(userQuery);
         }
 
+        if (onDelta != null)
+        {
+            var streamedText = await ReadStreamedCompletion(response, GetClaudeDeltaText, onDelta, cancellationToken);
+            return string.IsNullOrEmpty(streamedText) ? GenerateFallbackResponse(userQuery) : streamedText;
+        }
+
+        var responseContent = await response.Content.ReadAsStringAsync(cancellationToken);
+
         var claudeResponse = JsonSerializer.Deserialize<ClaudeResponse>(responseContent, new JsonSerializerOptions
         {
             PropertyNamingPolicy = JsonNamingPolicy.SnakeCaseLower
@@ -155,7 +167,8 @@ Please analyze this data and provide a conversational, insightful response to th
         return claudeResponse?.Content?.FirstOrDefault()?.Text ?? GenerateFallbackResponse(userQuery);
     }
 
-    private async Task<string> CallOpenAIAPI(string userQuery, string dataContext, List<string>? conversationHistory)
+    private async Task<string> CallOpenAIAPI(string userQuery, string dataContext, List<string>? conversationHistory, Func<string, Task>? onDelta,
+        CancellationToken cancellationToken)
     {
         var systemPrompt = @"You are an expert market analyst specializing in Indian Energy Exchange (IEX) electricity markets. You have access to comprehensive IEX market data including Day-Ahead Market (DAM), Green Day-Ahead Market (GDAM), and Real-Time Market (RTM).
 
@@ -197,7 +210,8 @@ Please analyze this data and provide a conversational, insightful response to th
             model = _model,
             messages = messages,
             max_tokens = 2048,
-            temperature = 0.7
+            temperature = 0.7,
+            stream = onDelta != null
         };
 
         var json = JsonSerializer.Serialize(requestBody);
@@ -209,15 +223,22 @@ Please analyze this data and provide a conversational, insightful response to th
 
         request.Headers.Authorization = new AuthenticationHeaderValue("Bearer", _apiKey);
 
-        var response = await _httpClient.SendAsync(request);
-        var responseContent = await response.Content.ReadAsStringAsync();
+        using var response = await _httpClient.SendAsync(request, onDelta != null ? HttpCompletionOption.ResponseHeadersRead : HttpCompletionOption.ResponseContentRead, cancellationToken);
 
         if (!response.IsSuccessStatusCode)
         {
-            _logger.LogError("OpenAI API error: {StatusCode} - {Response}", response.StatusCode, responseContent);
+            _logger.LogError("OpenAI API error: {StatusCode} - {Response}", response.StatusCode, await response.Content.ReadAsStringAsync(cancellationToken));
             return GenerateFallbackResponse(userQuery);
         }
 
+        if (onDelta != null)
+        {
+            var streamedText = await ReadStreamedCompletion(response, GetOpenAIDeltaText, onDelta, cancellationToken);
+            return string.IsNullOrEmpty(streamedText) ? GenerateFallbackResponse(userQuery) : streamedText;
+        }
+
+        var responseContent = await response.Content.ReadAsStringAsync(cancellationToken);
+
         var openAIResponse = JsonSerializer.Deserialize<OpenAIResponse>(responseContent, new JsonSerializerOptions
         {
             PropertyNamingPolicy = JsonNamingPolicy.SnakeCaseLower
@@ -226,6 +247,66 @@ Please analyze this data and provide a conversational, insightful response to th
         return openAIResponse?.Choices?.FirstOrDefault()?.Message?.Content ?? GenerateFallbackResponse(userQuery);
     }
 
+    /// <summary>
+    /// Read a streamed completion (Server-Sent Events), passing each piece of text to onDelta; returns the whole text
+    /// </summary>
+    private static async Task<string> ReadStreamedCompletion(HttpResponseMessage response, Func<JsonElement, string?> getDeltaText, Func<string, Task> onDelta,
+        CancellationToken cancellationToken)
+    {
+        var text = new StringBuilder();
+
+        using var stream = await response.Content.ReadAsStreamAsync(cancellationToken);
+        using var reader = new StreamReader(stream);
+
+        string? line;
+        while ((line = await reader.ReadLineAsync(cancellationToken)) != null)
+        {
+            if (!line.StartsWith("data:"))
+            {
+                continue;
+            }
+
+            var data = line["data:".Length..].Trim();
+            if (data == "[DONE]")
+            {
+                break;
+            }
+
+            using var json = JsonDocument.Parse(data);
+            var delta = getDeltaText(json.RootElement);
+            if (!string.IsNullOrEmpty(delta))
+            {
+                text.Append(delta);
+                await onDelta(delta);
+            }
+        }
+
+        return text.ToString();
+    }
+
+    /// <summary>
+    /// Text of a Claude content_block_delta event, null for other events
+    /// </summary>
+    private static string? GetClaudeDeltaText(JsonElement data)
+    {
+        return data.TryGetProperty("type", out var type) && type.GetString() == "content_block_delta" &&
+            data.TryGetProperty("delta", out var delta) && delta.TryGetProperty("text", out var text)
+            ? text.GetString()
+            : null;
+    }
+
+    /// <summary>
+    /// Text of an OpenAI chat completion chunk, null when it carries none
+    /// </summary>
+    private static string? GetOpenAIDeltaText(JsonElement data)
+    {
+        return data.TryGetProperty("choices", out var choices) && choices.ValueKind == JsonValueKind.Array && choices.GetArrayLength() > 0 &&
+            choices[0].TryGetProperty("delta", out var delta) && delta.TryGetProperty("content", out var content) &&
+            content.ValueKind == JsonValueKind.String
+            ? content.GetString()
+            : null;
+    }
+
     private string GenerateFallbackResponse(string query)
     {
         return $@"## Query Analysis
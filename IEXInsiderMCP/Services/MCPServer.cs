@@ -85,6 +85,16 @@ public class MCPServer
                         {
                             ["type"] = "integer",
                             ["description"] = "Maximum number of records to return"
+                        },
+                        ["offset"] = new Dictionary<string, object>
+                        {
+                            ["type"] = "integer",
+                            ["description"] = "Number of records to skip (paging)"
+                        },
+                        ["include_insights"] = new Dictionary<string, object>
+                        {
+                            ["type"] = "boolean",
+                            ["description"] = "Generate AI insights for the result (default true); false returns rows only"
                         }
                     },
                     ["required"] = new[] { "query" }
@@ -119,8 +129,10 @@ public class MCPServer
 
     /// <summary>
     /// Execute MCP tool by name
+    /// cancellationToken (the client's request) stops the AI insights call when the client goes away
     /// </summary>
-    public async Task<MCPToolCallResponse> ExecuteToolAsync(string toolName, Dictionary<string, object>? arguments)
+    public async Task<MCPToolCallResponse> ExecuteToolAsync(string toolName, Dictionary<string, object>? arguments, Func<string, Task>? onInsightsDelta = null,
+        CancellationToken cancellationToken = default)
     {
         _logger.LogInformation("MCP Server - ExecuteTool: {ToolName}", toolName);
 
@@ -128,7 +140,7 @@ public class MCPServer
         {
             return toolName switch
             {
-                "query_iex_data" => await ExecuteUniversalQuery(arguments),
+                "query_iex_data" => await ExecuteUniversalQuery(arguments, onInsightsDelta, cancellationToken),
                 "get_statistics" => await ExecuteGetStatistics(arguments),
                 _ => new MCPToolCallResponse
                 {
@@ -137,7 +149,7 @@ public class MCPServer
                 }
             };
         }
-        catch (Exception ex)
+        catch (Exception ex) when (ex is not OperationCanceledException)
         {
             _logger.LogError(ex, "MCP Server - Error executing tool: {ToolName}", toolName);
             return new MCPToolCallResponse
@@ -154,8 +166,10 @@ public class MCPServer
 
     /// <summary>
     /// Universal query handler - supports NL, filters, aggregations
+    /// onInsightsDelta, when given, receives the AI insights text as it is generated
     /// </summary>
-    private async Task<MCPToolCallResponse> ExecuteUniversalQuery(Dictionary<string, object>? arguments)
+    private async Task<MCPToolCallResponse> ExecuteUniversalQuery(Dictionary<string, object>? arguments, Func<string, Task>? onInsightsDelta,
+        CancellationToken cancellationToken)
     {
         if (arguments == null || !arguments.ContainsKey("query"))
         {
@@ -168,17 +182,22 @@ public class MCPServer
 
         var query = arguments["query"].ToString()!;
         int? limit = arguments.ContainsKey("limit") ? Convert.ToInt32(arguments["limit"]) : null;
+        int? offset = arguments.ContainsKey("offset") ? Convert.ToInt32(arguments["offset"]) : null;
+        var includeInsights = !arguments.ContainsKey("include_insights") || GetBoolValue(arguments["include_insights"]) != false;
 
-        _logger.LogInformation("MCP Server - UniversalQuery: '{Query}', Limit: {Limit}", query, limit);
+        _logger.LogInformation("MCP Server - UniversalQuery: '{Query}', Limit: {Limit}, Offset: {Offset}, IncludeInsights: {IncludeInsights}",
+            query, limit, offset, includeInsights);
 
         // Check if filters are provided for structured query
         if (arguments.ContainsKey("filters"))
         {
-            var result = await ProcessStructuredQuery(query, arguments["filters"], limit);
+            var result = await ProcessStructuredQuery(query, arguments["filters"], limit, offset);
 
-            // Generate AI insights for the result
-            var aiInsights = await GenerateAIInsights(query, result);
-            result.AIInsights = aiInsights;
+            if (includeInsights)
+            {
+                var aiInsights = await GenerateAIInsights(query, result, onInsightsDelta, cancellationToken);
+                result.AIInsights = aiInsights;
+            }
 
             return new MCPToolCallResponse
             {
@@ -204,8 +223,11 @@ public class MCPServer
         var nlpResult = await _nlpService.ProcessQueryAsync(query, limit);
 
         // Generate AI insights for NLP result
-        var nlpAiInsights = await GenerateAIInsights(query, nlpResult);
-        nlpResult.AIInsights = nlpAiInsights;
+        if (includeInsights)
+        {
+            var nlpAiInsights = await GenerateAIInsights(query, nlpResult, onInsightsDelta, cancellationToken);
+            nlpResult.AIInsights = nlpAiInsights;
+        }
 
         return new MCPToolCallResponse
         {
@@ -217,7 +239,8 @@ public class MCPServer
     /// <summary>
     /// Generate AI-powered conversational insights using Claude/OpenAI
     /// </summary>
-    private async Task<string> GenerateAIInsights(string query, QueryResult result)
+    private async Task<string> GenerateAIInsights(string query, QueryResult result, Func<string, Task>? onDelta = null,
+        CancellationToken cancellationToken = default)
     {
         try
         {
@@ -225,11 +248,11 @@ public class MCPServer
             var dataContext = BuildDataContext(result);
 
             // Generate insights using AI service
-            var insights = await _aiService.GenerateInsights(query, dataContext);
+            var insights = await _aiService.GenerateInsights(query, dataContext, onDelta: onDelta, cancellationToken: cancellationToken);
 
             return insights;
         }
-        catch (Exception ex)
+        catch (Exception ex) when (ex is not OperationCanceledException)
         {
             _logger.LogError(ex, "Error generating AI insights");
             return string.Empty; // Return empty string on error, don't fail the whole query
@@ -296,9 +319,9 @@ public class MCPServer
 
     /// <summary>
     /// Process structured query with filters, aggregations, and grouping
-    /// Pattern: Filter → Aggregate on FULL dataset → Apply limit to display data only
+    /// Pattern: Filter → Aggregate on FULL dataset → Apply sort/offset/limit to display data only
     /// </summary>
-    private async Task<QueryResult> ProcessStructuredQuery(string query, object filtersObj, int? limit)
+    private async Task<QueryResult> ProcessStructuredQuery(string query, object filtersObj, int? limit, int? offset)
     {
         await Task.CompletedTask;
 
@@ -324,6 +347,21 @@ public class MCPServer
             _logger.LogInformation("Extracted group_by: {GroupBy}", groupBy);
         }
 
+        string? sortBy = null;
+        var sortDescending = false;
+
+        if (filters.ContainsKey("sort_by"))
+        {
+            sortBy = GetStringValue(filters["sort_by"]);
+            filters.Remove("sort_by");
+        }
+
+        if (filters.ContainsKey("sort_order"))
+        {
+            sortDescending = GetStringValue(filters["sort_order"]).Equals("desc", StringComparison.OrdinalIgnoreCase);
+            filters.Remove("sort_order");
+        }
+
         _logger.LogInformation("ProcessStructuredQuery START - Query: '{Query}', Aggregation: {Agg}, GroupBy: {Group}",
             query, aggregation ?? "none", groupBy ?? "none");
 
@@ -351,27 +389,73 @@ public class MCPServer
             return result;
         }
 
-        // Step 3: No aggregation - return raw data with limit applied
-        var displayData = limit.HasValue ? filteredData.Take(limit.Value).ToList() : filteredData;
+        // Step 3: No aggregation - return raw data with sort, offset and limit applied
+        var skip = Math.Max(offset ?? 0, 0);
+        IEnumerable<IEXMarketData> pagedData = ApplySort(filteredData, sortBy, sortDescending).Skip(skip);
+        var displayData = limit.HasValue ? pagedData.Take(limit.Value).ToList() : pagedData.ToList();
 
         sw.Stop();
         _logger.LogInformation("ProcessStructuredQuery COMPLETE (no aggregation) - Total time: {Ms}ms", sw.ElapsedMilliseconds);
 
+        var showingText = skip > 0
+            ? $" (showing {skip + 1}-{skip + displayData.Count})"
+            : (limit.HasValue ? $" (showing first {displayData.Count})" : "");
+
         return new QueryResult
         {
             Success = true,
-            Message = $"Found {filteredData.Count} records" + (limit.HasValue ? $" (showing first {displayData.Count})" : ""),
+            Message = $"Found {filteredData.Count} records" + showingText,
             Data = displayData,
             TotalRecords = filteredData.Count,
             Metadata = new Dictionary<string, object>
             {
                 ["filtered_count"] = filteredData.Count,
                 ["displayed_count"] = displayData.Count,
-                ["has_more"] = limit.HasValue && filteredData.Count > limit.Value
+                ["offset"] = skip,
+                ["has_more"] = skip + displayData.Count < filteredData.Count
             }
         };
     }
 
+    /// <summary>
+    /// Add average IEX demand (purchase bids) and supply (sell bids) in GW, plus the
+    /// bid-ask ratio (total demand / total supply; above 1 means a tight market)
+    /// </summary>
+    private static void AddDemandSupplyAverages(Dictionary<string, object> result, List<IEXMarketData> data)
+    {
+        var totalSupply = data.Sum(d => d.IEXSupply);
+
+        result["demand_average"] = Math.Round(data.Average(d => d.IEXDemand), 2);
+        result["supply_average"] = Math.Round(data.Average(d => d.IEXSupply), 2);
+        result["bid_ask_ratio"] = totalSupply == 0 ? 0m : Math.Round(data.Sum(d => d.IEXDemand) / totalSupply, 3);
+    }
+
+    /// <summary>
+    /// Sort raw records for display. Unknown or missing sort fields keep the original order.
+    /// </summary>
+    private static IEnumerable<IEXMarketData> ApplySort(IEnumerable<IEXMarketData> data, string? sortBy, bool descending)
+    {
+        Func<IEXMarketData, object>? keySelector = sortBy?.ToLowerInvariant() switch
+        {
+            "market_type" => d => d.Type,
+            "date" => d => d.Date,
+            "time_block" => d => d.TimeBlock,
+            "mcp" => d => d.MCP,
+            "mcv" => d => d.MCV,
+            "iex_demand" => d => d.IEXDemand,
+            "iex_supply" => d => d.IEXSupply,
+            "bid_ask_ratio" => d => d.IEXSupply == 0 ? 0m : d.IEXDemand / d.IEXSupply,
+            _ => null
+        };
+
+        if (keySelector == null)
+        {
+            return data;
+        }
+
+        return descending ? data.OrderByDescending(keySelector) : data.OrderBy(keySelector);
+    }
+
     /// <summary>
     /// Apply all filters to dataset
     /// </summary>
@@ -556,6 +640,33 @@ public class MCPServer
         return null;
     }
 
+    /// <summary>
+    /// Safely extract bool value from object (handles JsonElement)
+    /// </summary>
+    private bool? GetBoolValue(object value)
+    {
+        if (value == null) return null;
+
+        if (value is System.Text.Json.JsonElement jsonElement)
+        {
+            if (jsonElement.ValueKind == System.Text.Json.JsonValueKind.True) return true;
+            if (jsonElement.ValueKind == System.Text.Json.JsonValueKind.False) return false;
+
+            var str = jsonElement.ValueKind == System.Text.Json.JsonValueKind.String ? jsonElement.GetString() : null;
+            if (bool.TryParse(str, out var boolValue))
+            {
+                return boolValue;
+            }
+
+            return null;
+        }
+
+        if (value is bool boolVal) return boolVal;
+        if (bool.TryParse(value.ToString(), out var parsed)) return parsed;
+
+        return null;
+    }
+
     /// <summary>
     /// Safely extract decimal value from object (handles JsonElement)
     /// </summary>
@@ -636,6 +747,7 @@ public class MCPServer
             case "average":
                 result["mcp_average"] = Math.Round(data.Average(d => d.MCP), 2);
                 result["mcv_average"] = Math.Round(data.Average(d => d.MCV), 2);
+                AddDemandSupplyAverages(result, data);
                 break;
 
             case "sum":
@@ -680,6 +792,7 @@ public class MCPServer
                 result["mcv_max"] = data.Max(d => d.MCV);
                 result["mcp_min"] = data.Min(d => d.MCP);
                 result["mcv_min"] = data.Min(d => d.MCV);
+                AddDemandSupplyAverages(result, data);
                 break;
         }
 
@@ -734,6 +847,7 @@ public class MCPServer
                 case "average":
                     groupResult["mcp_average"] = Math.Round(group.Value.Average(d => d.MCP), 2);
                     groupResult["mcv_average"] = Math.Round(group.Value.Average(d => d.MCV), 2);
+                    AddDemandSupplyAverages(groupResult, group.Value);
                     break;
 
                 case "sum":
@@ -764,6 +878,7 @@ public class MCPServer
                     // Default to average
                     groupResult["mcp_average"] = Math.Round(group.Value.Average(d => d.MCP), 2);
                     groupResult["mcv_average"] = Math.Round(group.Value.Average(d => d.MCV), 2);
+                    AddDemandSupplyAverages(groupResult, group.Value);
                     break;
             }
 
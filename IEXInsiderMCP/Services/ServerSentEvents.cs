@@ -0,0 +1,33 @@
+using System.Text.Json;
+
+namespace IEXInsiderMCP.Services;
+
+/// <summary>
+/// Helpers for writing Server-Sent Events (text/event-stream) responses
+/// Each event is a name plus a JSON payload, serialized the same way as controller responses
+/// </summary>
+public static class ServerSentEvents
+{
+    private static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web);
+
+    /// <summary>
+    /// Mark the response as an event stream that proxies and browsers must not buffer
+    /// </summary>
+    public static void StartEventStream(this HttpResponse response)
+    {
+        response.ContentType = "text/event-stream";
+        response.Headers.CacheControl = "no-cache";
+        response.Headers["X-Accel-Buffering"] = "no";
+    }
+
+    /// <summary>
+    /// Write one event and flush it to the client immediately
+    /// </summary>
+    public static async Task WriteEventAsync(this HttpResponse response, string eventName, object data, CancellationToken cancellationToken)
+    {
+        var json = JsonSerializer.Serialize(data, data.GetType(), JsonOptions);
+
+        await response.WriteAsync($"event: {eventName}\ndata: {json}\n\n", cancellationToken);
+        await response.Body.FlushAsync(cancellationToken);
+    }
+}
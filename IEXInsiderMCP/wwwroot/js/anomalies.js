@@ -0,0 +1,547 @@
+// Anomaly explorer and single-day drill-down
+
+import { apiRequest, describeError, fetchQueryRows } from './api.js';
+import { chartInstances, getMarketColor, chartColors, getChartTypeMenu, syncChartTypeMenu } from './charts.js';
+import { MARKET_TYPES, toISODateString } from './parsing.js';
+import { addAssistantMessage, scrollToBottom, escapeHtml, createPanelSelect, createPanelLabel, createPanelDateInput } from './rendering.js';
+import { sanitizeHtml } from './sanitize.js';
+
+// Severity ranking used for sorting anomalies
+export const SEVERITY_RANK = { 'High': 3, 'Medium': 2, 'Low': 1 };
+
+// Columns of the anomaly explorer table
+const ANOMALY_COLUMNS = [
+    { key: 'market', label: 'Market' },
+    { key: 'date', label: 'Date' },
+    { key: 'timeBlock', label: 'Time Block' },
+    { key: 'type', label: 'Type' },
+    { key: 'actualValue', label: 'Actual (₹/kWh)' },
+    { key: 'expectedValue', label: 'Expected (₹/kWh)' },
+    { key: 'deviation', label: 'Deviation (%)' },
+    { key: 'severity', label: 'Severity' }
+];
+
+// Display the anomaly explorer: filterable table + price chart with anomaly markers
+export async function showAnomalyExplorer() {
+    const messageDiv = addAssistantMessage(`### ⚠️ Anomaly Explorer\n\nStatistically unusual prices (beyond 3σ) detected across markets. Click an anomaly to see that day's 96 time blocks.`);
+    const messageText = messageDiv.querySelector('.message-text');
+    const chartId = `anomaly-chart-${Date.now()}`;
+
+    // Filters
+    const controls = document.createElement('div');
+    controls.className = 'panel-controls';
+
+    const marketSelect = createPanelSelect([{ value: '', label: 'All' }, ...MARKET_TYPES.map(m => ({ value: m, label: m }))], '');
+    const severitySelect = createPanelSelect([{ value: '', label: 'All' }, { value: 'High', label: 'High' }, { value: 'Medium', label: 'Medium' }, { value: 'Low', label: 'Low' }], '');
+    const fromInput = createPanelDateInput();
+    const toInput = createPanelDateInput();
+
+    controls.appendChild(createPanelLabel('Market', marketSelect));
+    controls.appendChild(createPanelLabel('Severity', severitySelect));
+    controls.appendChild(createPanelLabel('From', fromInput));
+    controls.appendChild(createPanelLabel('To', toInput));
+
+    const status = document.createElement('span');
+    status.className = 'panel-status';
+    status.textContent = '⏳ Detecting anomalies...';
+    controls.appendChild(status);
+
+    // Chart and table
+    const chartContainer = document.createElement('div');
+    chartContainer.className = 'chart-container';
+    chartContainer.innerHTML = sanitizeHtml(`
+        <div class="chart-header">
+            <div class="chart-title">Daily Average MCP with Anomalies</div>
+            <div class="chart-actions">
+                <button class="chart-action-btn" data-action="downloadChart" data-action-arg="${chartId}" title="Download Chart">📥</button>
+                ${getChartTypeMenu(chartId)}
+            </div>
+        </div>
+        <canvas id="${chartId}" style="max-height: 450px;"></canvas>
+    `);
+
+    const tableContainer = document.createElement('div');
+    tableContainer.className = 'panel-table-container';
+
+    messageText.appendChild(controls);
+    messageText.appendChild(chartContainer);
+    messageText.appendChild(tableContainer);
+    scrollToBottom();
+
+    const explorer = {
+        chartId,
+        anomalies: [],
+        series: {},
+        sortKey: 'severity',
+        sortDir: 'desc',
+        marketSelect,
+        severitySelect,
+        fromInput,
+        toInput,
+        status,
+        tableContainer
+    };
+
+    [marketSelect, severitySelect, fromInput, toInput].forEach(control => {
+        control.addEventListener('change', () => renderAnomalyExplorer(explorer));
+    });
+
+    try {
+        // Anomalies are returned per market without a market field, so tag them here
+        const results = await Promise.all(MARKET_TYPES.map(async market => {
+            const [anomalies, series] = await Promise.all([
+                fetchAnomalies(market),
+                fetchDailyAverageSeries(market)
+            ]);
+            return { market, anomalies, series };
+        }));
+
+        results.forEach(({ market, anomalies, series }) => {
+            explorer.series[market] = series;
+            anomalies.forEach(anomaly => {
+                explorer.anomalies.push({
+                    ...anomaly,
+                    market: market,
+                    date: toISODateString(new Date(anomaly.date))
+                });
+            });
+        });
+
+        status.textContent = '';
+        renderAnomalyExplorer(explorer);
+    } catch (error) {
+        console.error('Anomaly explorer error:', error);
+        status.className = 'panel-status error';
+        status.textContent = `❌ ${describeError(error)}`;
+    }
+}
+
+// Fetch AnomalyInsight list for a market
+async function fetchAnomalies(marketType) {
+    return await apiRequest(`/api/insights/anomalies?marketType=${encodeURIComponent(marketType)}`);
+}
+
+// Fetch average MCP/MCV groups (e.g. by date, hour or month) for a market
+export async function fetchGroupedAverages(marketType, groupBy) {
+    const result = await fetchQueryRows({
+        query: `Average by ${groupBy} for ${marketType}`,
+        filters: { market_type: marketType },
+        aggregation: 'average',
+        group_by: groupBy
+    });
+    return result.metadata?.groups || [];
+}
+
+// Fetch daily average MCP/MCV for a market over the full dataset
+export async function fetchDailyAverageSeries(marketType) {
+    const groups = await fetchGroupedAverages(marketType, 'date');
+    return groups.map(group => ({
+        date: group.group_key,
+        mcp: group.mcp_average,
+        mcv: group.mcv_average
+    }));
+}
+
+// Apply explorer filters to the anomaly list
+function getFilteredAnomalies(explorer) {
+    const market = explorer.marketSelect.value;
+    const severity = explorer.severitySelect.value;
+    const from = explorer.fromInput.value;
+    const to = explorer.toInput.value;
+
+    return explorer.anomalies.filter(a =>
+        (!market || a.market === market) &&
+        (!severity || a.severity === severity) &&
+        (!from || a.date >= from) &&
+        (!to || a.date <= to)
+    );
+}
+
+// Sort anomalies by the explorer's current column
+function sortAnomalies(anomalies, sortKey, sortDir) {
+    const direction = sortDir === 'asc' ? 1 : -1;
+    return [...anomalies].sort((a, b) => {
+        let aVal = a[sortKey];
+        let bVal = b[sortKey];
+
+        if (sortKey === 'severity') {
+            aVal = SEVERITY_RANK[aVal] || 0;
+            bVal = SEVERITY_RANK[bVal] || 0;
+        } else if (sortKey === 'deviation') {
+            aVal = Math.abs(aVal);
+            bVal = Math.abs(bVal);
+        }
+
+        if (aVal < bVal) return -1 * direction;
+        if (aVal > bVal) return 1 * direction;
+        return 0;
+    });
+}
+
+// Re-render table and chart after a filter or sort change
+function renderAnomalyExplorer(explorer) {
+    const filtered = sortAnomalies(getFilteredAnomalies(explorer), explorer.sortKey, explorer.sortDir);
+
+    renderAnomalyTable(explorer, filtered);
+    renderAnomalyChart(explorer, filtered);
+}
+
+// Render the sortable anomaly table
+function renderAnomalyTable(explorer, anomalies) {
+    const table = document.createElement('table');
+    table.className = 'data-table';
+
+    const thead = document.createElement('thead');
+    const headerRow = document.createElement('tr');
+    ANOMALY_COLUMNS.forEach(column => {
+        const th = document.createElement('th');
+        th.className = 'sortable';
+        const indicator = explorer.sortKey === column.key ? (explorer.sortDir === 'asc' ? ' ▲' : ' ▼') : '';
+        th.textContent = column.label + indicator;
+        th.addEventListener('click', () => {
+            if (explorer.sortKey === column.key) {
+                explorer.sortDir = explorer.sortDir === 'asc' ? 'desc' : 'asc';
+            } else {
+                explorer.sortKey = column.key;
+                explorer.sortDir = 'desc';
+            }
+            renderAnomalyExplorer(explorer);
+        });
+        headerRow.appendChild(th);
+    });
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    anomalies.forEach(anomaly => {
+        const row = document.createElement('tr');
+        row.className = 'clickable-row';
+        row.title = anomaly.description;
+
+        const cells = [
+            `<strong style="color: ${getMarketColor(anomaly.market)}">${escapeHtml(anomaly.market)}</strong>`,
+            escapeHtml(anomaly.date),
+            escapeHtml(anomaly.timeBlock),
+            escapeHtml(anomaly.type),
+            `₹${anomaly.actualValue.toFixed(2)}`,
+            `₹${anomaly.expectedValue.toFixed(2)}`,
+            `${anomaly.deviation > 0 ? '+' : ''}${anomaly.deviation.toFixed(1)}%`,
+            `<span class="severity-badge ${SEVERITY_RANK[anomaly.severity] ? anomaly.severity.toLowerCase() : ''}">${escapeHtml(anomaly.severity)}</span>`
+        ];
+        cells.forEach(cellHtml => {
+            const td = document.createElement('td');
+            td.innerHTML = cellHtml;
+            row.appendChild(td);
+        });
+
+        row.addEventListener('click', () => {
+            showDayDrillDown(anomaly.market, anomaly.date, {
+                highlightTimeBlock: anomaly.timeBlock,
+                title: `⚠️ ${anomaly.type}: ${anomaly.market} on ${anomaly.date} at ${anomaly.timeBlock}`,
+                description: anomaly.description
+            });
+        });
+
+        tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+
+    explorer.tableContainer.innerHTML = '';
+    if (anomalies.length === 0) {
+        explorer.tableContainer.textContent = 'No anomalies match the selected filters.';
+        return;
+    }
+    explorer.tableContainer.appendChild(table);
+}
+
+// Render daily price series per market with anomalies as highlighted markers
+function renderAnomalyChart(explorer, anomalies) {
+    const ctx = document.getElementById(explorer.chartId);
+    if (!ctx) return;
+
+    // Destroy existing chart if any
+    if (chartInstances[explorer.chartId]) {
+        chartInstances[explorer.chartId].destroy();
+    }
+
+    const market = explorer.marketSelect.value;
+    const from = explorer.fromInput.value;
+    const to = explorer.toInput.value;
+    const markets = market ? [market] : MARKET_TYPES;
+    const inRange = date => (!from || date >= from) && (!to || date <= to);
+
+    // Shared date axis across markets
+    const dateSet = new Set();
+    markets.forEach(m => (explorer.series[m] || []).forEach(point => {
+        if (inRange(point.date)) dateSet.add(point.date);
+    }));
+    const labels = Array.from(dateSet).sort();
+
+    const datasets = markets.map(m => {
+        const byDate = {};
+        (explorer.series[m] || []).forEach(point => { byDate[point.date] = point.mcp; });
+        return {
+            label: `${m} Daily Avg MCP`,
+            data: labels.map(date => byDate[date] ?? null),
+            borderColor: getMarketColor(m),
+            backgroundColor: getMarketColor(m),
+            borderWidth: 1.5,
+            pointRadius: 0,
+            tension: 0.2,
+            spanGaps: true,
+            order: 2
+        };
+    });
+
+    const severityColors = { 'High': '#e53e3e', 'Medium': '#f39c12', 'Low': '#64748b' };
+    const markers = anomalies.filter(a => labels.includes(a.date));
+    datasets.push({
+        label: 'Anomalies',
+        data: markers.map(a => ({ x: a.date, y: a.actualValue, anomaly: a })),
+        showLine: false,
+        pointStyle: 'triangle',
+        pointRadius: 7,
+        pointHoverRadius: 10,
+        backgroundColor: markers.map(a => severityColors[a.severity] || '#e53e3e'),
+        borderColor: '#fff',
+        borderWidth: 1,
+        order: 1
+    });
+
+    chartInstances[explorer.chartId] = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: labels,
+            datasets: datasets
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            interaction: {
+                mode: 'nearest',
+                intersect: true
+            },
+            onClick: function(event, elements) {
+                const hit = elements.find(el => el.datasetIndex === datasets.length - 1);
+                if (!hit) return;
+                const anomaly = datasets[hit.datasetIndex].data[hit.index].anomaly;
+                showDayDrillDown(anomaly.market, anomaly.date, {
+                    highlightTimeBlock: anomaly.timeBlock,
+                    title: `⚠️ ${anomaly.type}: ${anomaly.market} on ${anomaly.date} at ${anomaly.timeBlock}`,
+                    description: anomaly.description
+                });
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top',
+                    labels: {
+                        usePointStyle: true,
+                        padding: 15
+                    }
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            const anomaly = context.raw?.anomaly;
+                            if (anomaly) {
+                                return `${anomaly.market} ${anomaly.timeBlock}: ₹${anomaly.actualValue.toFixed(2)} (${anomaly.severity})`;
+                            }
+                            return `${context.dataset.label}: ${context.parsed.y.toFixed(2)}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    ticks: {
+                        maxRotation: 45,
+                        minRotation: 0,
+                        autoSkip: true,
+                        maxTicksLimit: 20,
+                        color: '#64748b'
+                    }
+                },
+                y: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: 'Price (₹/kWh)'
+                    }
+                }
+            }
+        }
+    });
+
+    syncChartTypeMenu(explorer.chartId, 'line');
+}
+
+// Fetch all time block records of one day for a market
+async function fetchDayRecords(marketType, date) {
+    const result = await fetchQueryRows({
+        query: `${marketType} time blocks on ${date}`,
+        filters: {
+            market_type: marketType,
+            start_date: date,
+            end_date: date
+        }
+    });
+
+    if (!result.success) {
+        throw new Error(result.message || 'Failed to load day data');
+    }
+
+    return (result.data || []).sort((a, b) => a.timeBlock.localeCompare(b.timeBlock));
+}
+
+// Display a day's 96 time blocks (MCP line + MCV bars) as a drill-down message
+export async function showDayDrillDown(marketType, date, options = {}) {
+    // Market, date, title and description all carry server values, so they are escaped for the markup
+    const title = escapeHtml(options.title || `🔍 ${marketType} on ${date}`);
+    const market = escapeHtml(marketType);
+    const day = escapeHtml(date);
+
+    try {
+        const records = await fetchDayRecords(marketType, date);
+
+        if (records.length === 0) {
+            addAssistantMessage(`### ${title}\n\n> ⚠️ **No data available** for ${market} on ${day}`);
+            return;
+        }
+
+        const mcpValues = records.map(r => r.mcp);
+        const avgMcp = mcpValues.reduce((a, b) => a + b, 0) / mcpValues.length;
+        const chartId = `day-chart-${Date.now()}`;
+
+        let content = `### ${title}\n\n`;
+        if (options.description) {
+            content += `${escapeHtml(options.description)}\n\n`;
+        }
+        content += `- Time blocks: ${records.length}\n`;
+        content += `- Average MCP: ${avgMcp.toFixed(2)} ₹/kWh\n`;
+        content += `- Max MCP: ${Math.max(...mcpValues).toFixed(2)} ₹/kWh\n`;
+        content += `- Min MCP: ${Math.min(...mcpValues).toFixed(2)} ₹/kWh\n\n`;
+
+        content += `<div class="chart-container">
+            <div class="chart-header">
+                <div class="chart-title">${market}: MCP & MCV by Time Block (${day})</div>
+                <div class="chart-actions">
+                    <button class="chart-action-btn" data-action="downloadChart" data-action-arg="${chartId}" title="Download Chart">📥</button>
+                    ${getChartTypeMenu(chartId)}
+                </div>
+            </div>
+            <canvas id="${chartId}" style="max-height: 450px;"></canvas>
+        </div>`;
+
+        addAssistantMessage(content);
+
+        setTimeout(() => {
+            renderDayChart(chartId, records, options.highlightTimeBlock);
+        }, 100);
+    } catch (error) {
+        console.error('Day drill-down error:', error);
+        addAssistantMessage(`❌ Error loading ${market} data for ${day}: ${escapeHtml(describeError(error))}`);
+    }
+}
+
+// Render a single day's time block curve, optionally highlighting one block
+function renderDayChart(chartId, records, highlightTimeBlock) {
+    const ctx = document.getElementById(chartId);
+    if (!ctx) return;
+
+    // Destroy existing chart if any
+    if (chartInstances[chartId]) {
+        chartInstances[chartId].destroy();
+    }
+
+    const isHighlighted = r => highlightTimeBlock && r.timeBlock === highlightTimeBlock;
+
+    chartInstances[chartId] = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: records.map(r => r.timeBlock.split('-')[0]),
+            datasets: [
+                {
+                    label: 'MCP (₹/kWh)',
+                    type: 'line',
+                    data: records.map(r => r.mcp),
+                    borderColor: chartColors.primaryBlueBorder,
+                    backgroundColor: chartColors.primaryBlue,
+                    borderWidth: 2.5,
+                    tension: 0.3,
+                    pointRadius: records.map(r => isHighlighted(r) ? 8 : 2),
+                    pointBackgroundColor: records.map(r => isHighlighted(r) ? '#e53e3e' : chartColors.primaryBlueBorder),
+                    yAxisID: 'y-mcp',
+                    order: 1
+                },
+                {
+                    label: 'MCV (GW)',
+                    type: 'bar',
+                    data: records.map(r => r.mcv),
+                    backgroundColor: 'rgba(0, 168, 204, 0.3)',
+                    borderWidth: 0,
+                    yAxisID: 'y-mcv',
+                    order: 2
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top'
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            return `${context.dataset.label}: ${context.parsed.y.toFixed(2)}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Time Block'
+                    },
+                    ticks: {
+                        autoSkip: true,
+                        maxTicksLimit: 24
+                    }
+                },
+                'y-mcv': {
+                    type: 'linear',
+                    position: 'left',
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: 'Volume (GW)',
+                        color: '#00a8cc'
+                    },
+                    grid: {
+                        drawOnChartArea: false
+                    }
+                },
+                'y-mcp': {
+                    type: 'linear',
+                    position: 'right',
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: 'Price (₹/kWh)',
+                        color: '#0f4c81'
+                    }
+                }
+            }
+        }
+    });
+
+    syncChartTypeMenu(chartId, 'bar');
+}
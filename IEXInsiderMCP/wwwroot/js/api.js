@@ -0,0 +1,286 @@
+// API client: timeouts, GET retries, streamed (SSE) responses and the offline service worker
+
+// API Base URL
+const API_BASE = window.location.origin;
+
+// API client limits: per-attempt timeout (ms), extra attempts for GETs, first retry delay (ms, doubles each time)
+const API_TIMEOUT = 30000;
+export const API_GET_RETRIES = 2;
+const API_RETRY_DELAY = 500;
+
+// Timeouts, rate limiting and transient server/gateway errors are worth another attempt
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+const API_NETWORK_ERROR = 'Could not reach the IEX Insider server. Check your connection and that the server is running.';
+
+// Failed API call. kind is 'network', 'timeout', 'http' (non-2xx status), 'parse' (body is not JSON)
+// or 'server' (an error reported inside a successful response, e.g. a streamed error event).
+// details holds whatever the server said about the failure.
+class ApiError extends Error {
+    constructor(kind, message, { status = null, details = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.kind = kind;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// Call the API and return the parsed JSON body.
+// options: { method = 'GET', body (sent as JSON), signal, timeout, retries }.
+// GETs are retried with backoff by default; other methods only when options.retries says so.
+// Failures throw ApiError; aborting through options.signal rejects with the usual AbortError.
+export async function apiRequest(path, options = {}) {
+    const method = options.method || 'GET';
+    const retries = options.retries ?? (method === 'GET' ? API_GET_RETRIES : 0);
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await sendApiRequest(path, method, options);
+        } catch (error) {
+            if (attempt >= retries || !isRetryableError(error)) throw error;
+            await new Promise(resolve => setTimeout(resolve, API_RETRY_DELAY * 2 ** attempt));
+        }
+    }
+}
+
+// One attempt, aborted after options.timeout
+async function sendApiRequest(path, method, options) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, options.timeout || API_TIMEOUT);
+
+    const abort = () => controller.abort();
+    if (options.signal) {
+        if (options.signal.aborted) controller.abort();
+        options.signal.addEventListener('abort', abort);
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}${path}`, {
+            method: method,
+            headers: options.body !== undefined ? { 'Content-Type': 'application/json' } : undefined,
+            body: options.body !== undefined ? JSON.stringify(options.body) : undefined,
+            signal: controller.signal
+        });
+
+        return await readApiResponse(response);
+    } catch (error) {
+        if (error instanceof ApiError) throw error;
+        if (timedOut) throw new ApiError('timeout', 'The server took too long to respond.');
+        if (error.name === 'AbortError') throw error;
+        throw new ApiError('network', API_NETWORK_ERROR, { details: error.message });
+    } finally {
+        clearTimeout(timer);
+        if (options.signal) options.signal.removeEventListener('abort', abort);
+    }
+}
+
+// Parsed JSON body of a 2xx response; anything else becomes an ApiError carrying the server's explanation
+async function readApiResponse(response) {
+    const text = await response.text();
+
+    let data = null;
+    let isJson = true;
+    if (text) {
+        try {
+            data = JSON.parse(text);
+        } catch {
+            isJson = false;
+        }
+    }
+
+    if (!response.ok) {
+        throw new ApiError('http', describeHttpStatus(response.status), {
+            status: response.status,
+            details: getServerErrorDetails(isJson ? data : null, text)
+        });
+    }
+
+    if (!isJson) {
+        throw new ApiError('parse', 'The server sent a response that could not be read.', {
+            status: response.status,
+            details: getServerErrorDetails(null, text)
+        });
+    }
+
+    noteCachedResponse(response, data);
+    return data;
+}
+
+function isRetryableError(error) {
+    if (!(error instanceof ApiError)) return false;
+    return error.kind === 'network' || error.kind === 'timeout' ||
+        (error.kind === 'http' && RETRYABLE_STATUSES.includes(error.status));
+}
+
+function describeHttpStatus(status) {
+    if (status === 400) return 'The server could not process this request.';
+    if (status === 404) return 'The server does not know this request (404).';
+    if (status === 408 || status === 504) return 'The server took too long to respond.';
+    if (status === 429) return 'The server is busy. Please wait a moment and try again.';
+    if (status >= 500) return `The server ran into an error (${status}).`;
+    return `The request failed (HTTP ${status}).`;
+}
+
+// The explanation in an error body: { message, error } from our controllers, ProblemDetails
+// (title + validation errors) from ASP.NET, or the page title / text of a non-JSON error page
+function getServerErrorDetails(data, text) {
+    if (data && typeof data === 'object') {
+        const validationErrors = data.errors ? Object.values(data.errors).flat() : [];
+        const parts = [data.message, data.error, data.title, ...validationErrors].filter(part => typeof part === 'string' && part);
+        return parts.length > 0 ? [...new Set(parts)].join(' — ') : null;
+    }
+
+    if (!text) return null;
+
+    const title = text.match(/<title>([^<]*)<\/title>/i);
+    if (title) return title[1].trim();
+
+    return text.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 200) || null;
+}
+
+// One-line error text for panel status lines: the friendly message plus any server details
+export function describeError(error) {
+    return error.details ? `${error.message} ${error.details}` : error.message;
+}
+
+// Structured /api/iex/query for panels and charts that only use the rows or groups:
+// include_insights: false skips the server's AI insights. options are passed to apiRequest.
+export async function fetchQueryRows(body, options = {}) {
+    return await apiRequest('/api/iex/query', {
+        ...options,
+        method: 'POST',
+        body: { ...body, include_insights: false }
+    });
+}
+
+// In-flight streamed request; the Stop button aborts it
+const activeStream = {
+    controller: null
+};
+
+// POST to a Server-Sent Events endpoint (a path, like apiRequest) and handle events as they arrive:
+// status → onStatus(message), delta → onDelta(text). Resolves with the result event's payload,
+// rejects on an error event, and rejects with an AbortError when stopped.
+export async function streamRequest(path, body, handlers = {}) {
+    const controller = new AbortController();
+    activeStream.controller = controller;
+    setStopButtonVisible(true);
+
+    try {
+        const response = await fetch(`${API_BASE}${path}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'text/event-stream'
+            },
+            body: JSON.stringify(body),
+            signal: controller.signal
+        });
+
+        // Error statuses carry a JSON (or HTML) body rather than events; readApiResponse turns it into an ApiError
+        if (!response.ok) {
+            await readApiResponse(response);
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+
+            // Events end with a blank line; keep any incomplete event for the next chunk
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const event = parseServerSentEvent(buffer.slice(0, boundary));
+                buffer = buffer.slice(boundary + 2);
+
+                if (event.name === 'status' && handlers.onStatus) {
+                    handlers.onStatus(event.data.message);
+                } else if (event.name === 'delta' && handlers.onDelta) {
+                    handlers.onDelta(event.data.text);
+                } else if (event.name === 'result') {
+                    noteCachedResponse(response, event.data);
+                    reader.cancel();
+                    return event.data;
+                } else if (event.name === 'error') {
+                    throw new ApiError('server', event.data.message, { details: event.data.error || null });
+                }
+            }
+        }
+
+        throw new ApiError('network', 'The server closed the connection before sending a result.');
+    } catch (error) {
+        if (error instanceof ApiError || error.name === 'AbortError') throw error;
+        throw new ApiError('network', API_NETWORK_ERROR, { details: error.message });
+    } finally {
+        if (activeStream.controller === controller) {
+            activeStream.controller = null;
+            setStopButtonVisible(false);
+        }
+    }
+}
+
+// One "event: name\ndata: {...}" block
+function parseServerSentEvent(block) {
+    let name = 'message';
+    const dataLines = [];
+
+    block.split('\n').forEach(line => {
+        if (line.startsWith('event:')) {
+            name = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+            dataLines.push(line.slice(5).trimStart());
+        }
+    });
+
+    return { name, data: dataLines.length > 0 ? JSON.parse(dataLines.join('\n')) : null };
+}
+
+export function stopStreaming() {
+    if (activeStream.controller) {
+        activeStream.controller.abort();
+    }
+}
+
+// Swap Send for Stop while a streamed request runs
+function setStopButtonVisible(visible) {
+    document.getElementById('stopButton').style.display = visible ? '' : 'none';
+    document.getElementById('sendButton').style.display = visible ? 'none' : '';
+}
+
+// Response header set by service-worker.js on answers it served from its cache
+const CACHED_AT_HEADER = 'X-Cached-At';
+
+// When the latest question's answer was cached, if it came from the offline cache
+export const offlineCache = {
+    lastCachedAt: null
+};
+
+// Cache the app shell, libraries and answered queries so the tool keeps working offline
+export function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register('/service-worker.js').catch(error => {
+        console.error('Service worker registration failed:', error);
+    });
+}
+
+// Remember that a response came from the service worker cache; object bodies also get a cachedAt field
+function noteCachedResponse(response, data) {
+    const cachedAt = response.headers.get(CACHED_AT_HEADER);
+    if (!cachedAt) return;
+
+    offlineCache.lastCachedAt = cachedAt;
+    if (data && typeof data === 'object' && !Array.isArray(data)) {
+        data.cachedAt = cachedAt;
+    }
+}
@@ -0,0 +1,1199 @@
+// Chart.js rendering for chat answers: chart type selection, download and type toggling
+
+import { escapeHtml } from './rendering.js';
+import { sanitizeHtml } from './sanitize.js';
+
+// Chart.js instances by canvas id
+export const chartInstances = {};
+
+// Helper function to get market-specific colors matching theme
+export function getMarketColor(market) {
+    const colors = {
+        'DAM': '#0f4c81',   // Primary Blue (matches header)
+        'GDAM': '#00a8cc',  // Accent Cyan (matches header)
+        'RTM': '#14b8a6'    // Teal (complementary)
+    };
+    return colors[market] || '#64748b';  // Professional Slate Gray
+}
+
+// Intelligent chart type selection based on data characteristics
+function selectBestChartType(chartData) {
+    const dataPointCount = chartData.labels.length;
+    const datasetCount = chartData.datasets.length;
+
+    // If chart type is already specified and reasonable, use it
+    if (chartData.chartType && chartData.chartType.toLowerCase() !== 'line') {
+        return chartData.chartType.toLowerCase();
+    }
+
+    // Time series data (forecasts, trends over time)
+    const hasTimeLabels = chartData.labels.some(label =>
+        /\d{4}/.test(label) || // Contains year
+        /(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)/i.test(label) || // Month names
+        /\d{1,2}:\d{2}/.test(label) // Time format
+    );
+
+    // Comparison data (markets, categories)
+    const isComparison = chartData.labels.every(label =>
+        label.length < 10 && // Short labels
+        !/\d{4}/.test(label) // No years
+    );
+
+    // Multiple datasets usually means we want to compare
+    if (datasetCount > 1) {
+        if (hasTimeLabels) return 'line'; // Multiple trends over time
+        if (isComparison && dataPointCount <= 5) return 'bar'; // Comparing categories
+        return 'line'; // Default for multiple series
+    }
+
+    // Single dataset
+    if (dataPointCount <= 5 && isComparison) {
+        return 'bar'; // Few categories to compare
+    }
+
+    if (dataPointCount > 20 && hasTimeLabels) {
+        return 'line'; // Many time points
+    }
+
+    if (dataPointCount >= 6 && dataPointCount <= 20) {
+        return hasTimeLabels ? 'line' : 'bar';
+    }
+
+    // Default
+    return 'line';
+}
+
+// Professional color palette matching theme - blue-centric with complementary accents
+export const chartColors = {
+    primaryBlue: 'rgba(15, 76, 129, 0.8)',
+    primaryBlueBorder: 'rgba(15, 76, 129, 1)',
+    secondaryBlue: 'rgba(26, 127, 184, 0.8)',
+    secondaryBlueBorder: 'rgba(26, 127, 184, 1)',
+    accentCyan: 'rgba(0, 168, 204, 0.8)',
+    accentCyanBorder: 'rgba(0, 168, 204, 1)',
+    lightBlue: 'rgba(56, 189, 248, 0.8)',
+    lightBlueBorder: 'rgba(56, 189, 248, 1)',
+    teal: 'rgba(20, 184, 166, 0.8)',
+    tealBorder: 'rgba(20, 184, 166, 1)',
+    emerald: 'rgba(16, 185, 129, 0.8)',
+    emeraldBorder: 'rgba(16, 185, 129, 1)',
+    amber: 'rgba(251, 146, 60, 0.8)',
+    amberBorder: 'rgba(251, 146, 60, 1)',
+    navy: 'rgba(30, 58, 138, 0.8)',
+    navyBorder: 'rgba(30, 58, 138, 1)',
+};
+
+const colorPalette = [
+    { bg: chartColors.primaryBlue, border: chartColors.primaryBlueBorder },
+    { bg: chartColors.accentCyan, border: chartColors.accentCyanBorder },
+    { bg: chartColors.teal, border: chartColors.tealBorder },
+    { bg: chartColors.secondaryBlue, border: chartColors.secondaryBlueBorder },
+    { bg: chartColors.emerald, border: chartColors.emeraldBorder },
+    { bg: chartColors.lightBlue, border: chartColors.lightBlueBorder },
+    { bg: chartColors.amber, border: chartColors.amberBorder },
+    { bg: chartColors.navy, border: chartColors.navyBorder }
+];
+
+// Render AI-generated charts with intelligence and interactivity
+function renderAIChart(chartData, index) {
+    const chartId = `ai-chart-${Date.now()}-${index}`;
+
+    // Add chart container to the last assistant message
+    const messagesArea = document.getElementById('messagesArea');
+    const lastMessage = messagesArea.querySelector('.message-assistant:last-child .message-text');
+
+    if (lastMessage) {
+        const chartContainer = document.createElement('div');
+        chartContainer.className = 'chart-container';
+        chartContainer.innerHTML = sanitizeHtml(`
+            <div class="chart-header">
+                <div class="chart-title">${escapeHtml(chartData.title)}</div>
+                <div class="chart-actions">
+                    <button class="chart-action-btn" data-action="downloadChart" data-action-arg="${chartId}" title="Download Chart">📥</button>
+                    ${getChartTypeMenu(chartId)}
+                </div>
+            </div>
+            <canvas id="${chartId}" style="max-height: 450px;"></canvas>
+        `);
+        lastMessage.appendChild(chartContainer);
+
+        // Render chart
+        setTimeout(() => {
+            renderChartCanvas(chartId, chartData);
+        }, 50);
+    }
+}
+
+// Render AI-generated charts in a specific column (for side-by-side layout)
+function renderAIChartInColumn(chartData, index, columnId) {
+    const chartId = `ai-chart-${Date.now()}-${index}`;
+    const chartsColumn = document.getElementById(columnId);
+
+    if (chartsColumn) {
+        const chartContainer = document.createElement('div');
+        chartContainer.className = 'chart-container';
+        chartContainer.innerHTML = sanitizeHtml(`
+            <div class="chart-header">
+                <div class="chart-title">${escapeHtml(chartData.title)}</div>
+                <div class="chart-actions">
+                    <button class="chart-action-btn" data-action="downloadChart" data-action-arg="${chartId}" title="Download Chart">📥</button>
+                    ${getChartTypeMenu(chartId)}
+                </div>
+            </div>
+            <canvas id="${chartId}" style="max-height: 450px;"></canvas>
+        `);
+        chartsColumn.appendChild(chartContainer);
+
+        // Render chart
+        setTimeout(() => {
+            renderChartCanvas(chartId, chartData);
+        }, 50);
+    }
+}
+
+// Render chart directly into response container (for new grid layout)
+export function renderAIChartDirect(chartData, index, responseContainer) {
+    const chartId = `ai-chart-${Date.now()}-${index}`;
+
+    const chartContainer = document.createElement('div');
+    chartContainer.className = 'chart-container';
+    chartContainer.innerHTML = sanitizeHtml(`
+        <div class="chart-header">
+            <div class="chart-title">${escapeHtml(chartData.title)}</div>
+            <div class="chart-actions">
+                <button class="chart-action-btn" data-action="downloadChart" data-action-arg="${chartId}" title="Download Chart">📥</button>
+                ${getChartTypeMenu(chartId)}
+            </div>
+        </div>
+        <canvas id="${chartId}" style="max-height: 450px;"></canvas>
+    `);
+
+    // Insert chart before the analysis column
+    const analysisColumn = responseContainer.querySelector('.analysis-column');
+    if (analysisColumn) {
+        responseContainer.insertBefore(chartContainer, analysisColumn);
+    } else {
+        responseContainer.appendChild(chartContainer);
+    }
+
+    // Render chart
+    setTimeout(() => {
+        renderChartCanvas(chartId, chartData);
+    }, 50);
+}
+
+// Common chart rendering logic
+function renderChartCanvas(chartId, chartData) {
+    const ctx = document.getElementById(chartId);
+    if (!ctx) return;
+
+    // Destroy existing chart if any
+    if (chartInstances[chartId]) {
+        chartInstances[chartId].destroy();
+    }
+
+    // Check if this is a combined chart with dual Y-axes (check both camelCase and snake_case)
+    const hasDualAxes = chartData.hasDualAxes === true || chartData.has_dual_axes === true || chartData.chartType === 'combined_bar_line';
+
+    // Intelligent chart type selection
+    const bestChartType = hasDualAxes ? 'bar' : selectBestChartType(chartData);
+
+    // Prepare datasets with enhanced styling
+    const datasets = chartData.datasets.map((dataset, idx) => {
+        const colorScheme = colorPalette[idx % colorPalette.length];
+        const isArea = bestChartType === 'line' && chartData.datasets.length === 1;
+
+        // For combined charts, preserve backend properties
+        if (hasDualAxes) {
+            return {
+                label: dataset.label,
+                data: dataset.data.map(d => parseFloat(d)),
+                type: dataset.type || 'bar',
+                backgroundColor: dataset.backgroundColor,
+                borderColor: dataset.borderColor,
+                borderWidth: dataset.borderWidth || 2.5,
+                fill: dataset.fill !== undefined ? dataset.fill : false,
+                tension: dataset.tension !== undefined && dataset.tension !== null ? parseFloat(dataset.tension) : 0.4,
+                pointRadius: dataset.type === 'line' ? 4 : 0,
+                pointHoverRadius: dataset.type === 'line' ? 6 : 0,
+                pointBackgroundColor: dataset.borderColor,
+                pointBorderColor: '#fff',
+                pointBorderWidth: 2,
+                pointHoverBackgroundColor: '#fff',
+                pointHoverBorderColor: dataset.borderColor,
+                pointHoverBorderWidth: 2,
+                yAxisID: dataset.yAxisID,
+                order: dataset.order || 1
+            };
+        }
+
+        return {
+            label: dataset.label,
+            data: dataset.data.map(d => parseFloat(d)),
+            backgroundColor: isArea ? 'rgba(15, 76, 129, 0.15)' : (dataset.color || colorScheme.bg),
+            borderColor: dataset.borderColor || colorScheme.border,
+            borderWidth: 2.5,
+            fill: dataset.fill !== undefined ? dataset.fill : isArea,
+            tension: dataset.tension !== undefined && dataset.tension !== null ? parseFloat(dataset.tension) : 0.4,
+            pointRadius: bestChartType === 'line' ? 4 : 0,
+            pointHoverRadius: bestChartType === 'line' ? 6 : 0,
+            pointBackgroundColor: colorScheme.border,
+            pointBorderColor: '#fff',
+            pointBorderWidth: 2,
+            pointHoverBackgroundColor: '#fff',
+            pointHoverBorderColor: colorScheme.border,
+            pointHoverBorderWidth: 2
+        };
+    });
+
+    chartInstances[chartId] = new Chart(ctx, {
+        type: bestChartType,
+        data: {
+            labels: chartData.labels,
+            datasets: datasets
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top',
+                    labels: {
+                        usePointStyle: true,
+                        padding: 15,
+                        font: {
+                            size: 12,
+                            weight: '500'
+                        }
+                    }
+                },
+                tooltip: {
+                    enabled: true,
+                    backgroundColor: 'rgba(30, 41, 59, 0.95)',
+                    titleColor: '#fff',
+                    bodyColor: '#fff',
+                    borderColor: 'rgba(15, 76, 129, 1)',
+                    borderWidth: 2,
+                    padding: 12,
+                    displayColors: true,
+                    callbacks: {
+                        title: function(tooltipItems) {
+                            return tooltipItems[0].label;
+                        },
+                        label: function(context) {
+                            let label = context.dataset.label || '';
+                            if (label) {
+                                label += ': ';
+                            }
+                            const value = context.parsed.y;
+
+                            // Format based on value magnitude
+                            if (value >= 1000) {
+                                label += value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+                            } else if (value >= 1) {
+                                label += value.toFixed(2);
+                            } else {
+                                label += value.toFixed(4);
+                            }
+
+                            // Add unit if detected
+                            if (chartData.title.includes('Price') || chartData.title.includes('MCP')) {
+                                label += ' ₹/kWh';
+                            } else if (chartData.title.includes('Volume') || chartData.title.includes('MCV')) {
+                                label += ' GW';
+                            }
+
+                            return label;
+                        }
+                    }
+                },
+                zoom: {
+                    zoom: {
+                        wheel: {
+                            enabled: true,
+                            speed: 0.1
+                        },
+                        pinch: {
+                            enabled: true
+                        },
+                        mode: 'x'
+                    },
+                    pan: {
+                        enabled: true,
+                        mode: 'x'
+                    }
+                }
+            },
+            scales: bestChartType !== 'pie' && bestChartType !== 'doughnut' ? (hasDualAxes ? {
+                x: {
+                    grid: {
+                        display: true,
+                        color: 'rgba(100, 116, 139, 0.08)',
+                        borderColor: 'rgba(100, 116, 139, 0.2)'
+                    },
+                    ticks: {
+                        maxRotation: 45,
+                        minRotation: 0,
+                        color: '#64748b',
+                        font: {
+                            size: 11,
+                            weight: '500'
+                        }
+                    }
+                },
+                'y-mcv': {
+                    type: 'linear',
+                    position: 'left',
+                    beginAtZero: true,
+                    grid: {
+                        display: true,
+                        color: 'rgba(100, 116, 139, 0.08)',
+                        borderColor: 'rgba(100, 116, 139, 0.2)'
+                    },
+                    ticks: {
+                        callback: function(value) {
+                            if (value >= 1000) {
+                                return value.toLocaleString();
+                            }
+                            return value.toFixed(2);
+                        },
+                        color: '#00a8cc',
+                        font: {
+                            size: 11,
+                            weight: '500'
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: 'Volume (GW)',
+                        color: '#00a8cc',
+                        font: {
+                            size: 12,
+                            weight: 'bold'
+                        }
+                    }
+                },
+                'y-mcp': {
+                    type: 'linear',
+                    position: 'right',
+                    beginAtZero: true,
+                    grid: {
+                        display: false
+                    },
+                    ticks: {
+                        callback: function(value) {
+                            if (value >= 1000) {
+                                return value.toLocaleString();
+                            }
+                            return value.toFixed(2);
+                        },
+                        color: '#0f4c81',
+                        font: {
+                            size: 11,
+                            weight: '500'
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: 'Price (₹/kWh)',
+                        color: '#0f4c81',
+                        font: {
+                            size: 12,
+                            weight: 'bold'
+                        }
+                    }
+                }
+            } : {
+                x: {
+                    grid: {
+                        display: true,
+                        color: 'rgba(100, 116, 139, 0.08)',
+                        borderColor: 'rgba(100, 116, 139, 0.2)'
+                    },
+                    ticks: {
+                        maxRotation: 45,
+                        minRotation: 0,
+                        color: '#64748b',
+                        font: {
+                            size: 11,
+                            weight: '500'
+                        }
+                    }
+                },
+                y: {
+                    beginAtZero: true,
+                    grid: {
+                        display: true,
+                        color: 'rgba(100, 116, 139, 0.08)',
+                        borderColor: 'rgba(100, 116, 139, 0.2)'
+                    },
+                    ticks: {
+                        callback: function(value) {
+                            if (value >= 1000) {
+                                return value.toLocaleString();
+                            }
+                            return value.toFixed(2);
+                        },
+                        color: '#64748b',
+                        font: {
+                            size: 11,
+                            weight: '500'
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: chartData.title.includes('Price') ? 'Price (₹/kWh)' :
+                              chartData.title.includes('Volume') ? 'Volume (GW)' : 'Value',
+                        font: {
+                            size: 12,
+                            weight: 'bold'
+                        }
+                    }
+                }
+            }) : undefined,
+            animation: {
+                duration: 750,
+                easing: 'easeInOutQuart'
+            }
+        }
+    });
+
+    syncChartTypeMenu(chartId, bestChartType);
+}
+
+// Download chart as image
+export function downloadChart(chartId) {
+    const chart = chartInstances[chartId];
+    if (!chart) return;
+
+    const url = chart.toBase64Image();
+    const link = document.createElement('a');
+    link.download = `chart-${Date.now()}.png`;
+    link.href = url;
+    link.click();
+}
+
+// Types the 📊 button (in conversations saved before the chart-type menu) cycles through
+const TOGGLE_CHART_TYPES = ['line', 'bar', 'radar'];
+
+// Types offered by the chart-type menu; the distribution types redraw the chart's values, not its labels
+const CHART_TYPE_OPTIONS = [
+    { value: 'line', label: 'Line' },
+    { value: 'bar', label: 'Bar' },
+    { value: 'radar', label: 'Radar' },
+    { value: 'duration', label: 'Duration curve' },
+    { value: 'histogram', label: 'Histogram' },
+    { value: 'boxplot', label: 'Box plot' }
+];
+const DISTRIBUTION_CHART_TYPES = ['duration', 'histogram', 'boxplot'];
+
+// Charts redrawn from the chart-type menu: the type shown, the labels/datasets, axis title and click/link
+// options other types are drawn from, and the config the chart was first drawn with (bands, dashes, extra
+// axes, tooltip filters), which comes back when that type is chosen again
+const derivedViews = new WeakMap();
+
+// Toggle between chart types
+export function toggleChartType(chartId) {
+    const chart = chartInstances[chartId];
+    if (!chart) return;
+
+    const currentIndex = TOGGLE_CHART_TYPES.indexOf(getChartType(chart));
+    setChartType(chartId, TOGGLE_CHART_TYPES[(currentIndex + 1) % TOGGLE_CHART_TYPES.length]);
+}
+
+// Type a chart is shown as, including the distribution types (drawn as line or bar charts)
+export function getChartType(chart) {
+    return derivedViews.get(chart)?.type || chart.config.type;
+}
+
+// Chart-type menu for a chart header; main.js passes its changes to setChartType
+export function getChartTypeMenu(chartId) {
+    const options = CHART_TYPE_OPTIONS.map(option => `<option value="${option.value}">${option.label}</option>`).join('');
+    return `<select class="panel-select" data-action="setChartType" data-action-arg="${chartId}" title="Chart Type">${options}</select>`;
+}
+
+// Show a chart's type in its menu, and in the markup so saved conversations keep it.
+// Renderers call this after drawing a chart whose header has a menu.
+export function syncChartTypeMenu(chartId, type) {
+    const menu = document.querySelector(`select[data-action="setChartType"][data-action-arg="${CSS.escape(chartId)}"]`);
+    if (!menu) return;
+
+    menu.value = type;
+    Array.from(menu.options).forEach(option => option.toggleAttribute('selected', option.value === type));
+}
+
+// Redraw a chart as one of CHART_TYPE_OPTIONS (from its menu, or the type saved in a shared link)
+export function setChartType(chartId, nextType) {
+    const chart = chartInstances[chartId];
+    if (!chart || !CHART_TYPE_OPTIONS.some(option => option.value === nextType)) return;
+
+    // Get the original data and labels (a redrawn chart goes back to the chart it was drawn from),
+    // plus the click handler and linked hover/zoom of charts that have them
+    const view = derivedViews.get(chart);
+    const source = view?.source || {
+        labels: chart.data.labels,
+        datasets: chart.data.datasets.map(ds => ({
+            label: ds.label,
+            data: ds.data,
+        })),
+        valueLabel: chart.options.scales?.y?.title?.text || 'Value',
+        plugins: chart.config.plugins || [],
+        onClick: chart.config.options?.onClick,
+        linkedCharts: chart.config.options?.plugins?.linkedCharts,
+        zoom: chart.config.options?.plugins?.zoom
+    };
+    const original = view?.original || {
+        type: chart.config.type,
+        data: chart.config.data,
+        options: chart.config.options,
+        plugins: chart.config.plugins
+    };
+    const labels = source.labels;
+    const datasets = source.datasets;
+
+    syncChartTypeMenu(chartId, nextType);
+
+    // The chart's own type brings back the chart exactly as its renderer drew it
+    if (nextType === original.type) {
+        chart.destroy();
+        const canvas = document.getElementById(chartId);
+        if (canvas) chartInstances[chartId] = new Chart(canvas, original);
+        return;
+    }
+
+    if (DISTRIBUTION_CHART_TYPES.includes(nextType)) {
+        const series = datasets.map(ds => ({
+            label: ds.label,
+            // Marker datasets hold { x, y } points
+            values: ds.data.map(value => parseFloat(value !== null && typeof value === 'object' ? value.y : value)).filter(Number.isFinite)
+        }));
+        renderDistributionChart(chartId, nextType, series, source.valueLabel);
+        derivedViews.set(chartInstances[chartId], { type: nextType, source, original });
+        return;
+    }
+
+    // Destroy the old chart completely to reset all configurations including axes
+    chart.destroy();
+
+    // Get canvas context
+    const ctx = document.getElementById(chartId);
+    if (!ctx) return;
+
+    // Prepare datasets with new styling
+    const styledDatasets = datasets.map((dataset, idx) => {
+        const colorScheme = colorPalette[idx % colorPalette.length];
+        const isArea = nextType === 'line' && datasets.length === 1;
+
+        return {
+            label: dataset.label,
+            data: dataset.data,
+            backgroundColor: isArea ? 'rgba(15, 76, 129, 0.15)' : colorScheme.bg,
+            borderColor: colorScheme.border,
+            borderWidth: 2.5,
+            fill: isArea,
+            tension: nextType === 'line' ? 0.4 : 0,
+            pointRadius: nextType === 'line' ? 4 : 0,
+            pointHoverRadius: nextType === 'line' ? 6 : 0,
+            pointBackgroundColor: colorScheme.border,
+            pointBorderColor: '#fff',
+            pointBorderWidth: 2,
+            pointHoverBackgroundColor: '#fff',
+            pointHoverBorderColor: colorScheme.border,
+            pointHoverBorderWidth: 2
+        };
+    });
+
+    // Radar charts have no date axis to click, link or zoom
+    const hasDateAxis = nextType !== 'radar';
+
+    // Create new chart with fresh configuration (no dual axes)
+    chartInstances[chartId] = new Chart(ctx, {
+        type: nextType,
+        data: {
+            labels: labels,
+            datasets: styledDatasets
+        },
+        plugins: hasDateAxis ? source.plugins : [],
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            onClick: hasDateAxis ? source.onClick : undefined,
+            plugins: {
+                linkedCharts: hasDateAxis ? source.linkedCharts : undefined,
+                zoom: hasDateAxis ? source.zoom : undefined,
+                legend: {
+                    display: true,
+                    position: 'top',
+                    labels: {
+                        usePointStyle: true,
+                        padding: 15,
+                        font: {
+                            size: 12,
+                            weight: '500'
+                        }
+                    }
+                },
+                tooltip: {
+                    enabled: true,
+                    backgroundColor: 'rgba(30, 41, 59, 0.95)',
+                    titleColor: '#fff',
+                    bodyColor: '#fff',
+                    borderColor: 'rgba(15, 76, 129, 1)',
+                    borderWidth: 2,
+                    padding: 12,
+                    displayColors: true
+                }
+            },
+            scales: nextType !== 'radar' ? {
+                x: {
+                    grid: {
+                        display: true,
+                        color: 'rgba(100, 116, 139, 0.08)',
+                        borderColor: 'rgba(100, 116, 139, 0.2)'
+                    },
+                    ticks: {
+                        maxRotation: 45,
+                        minRotation: 0,
+                        color: '#64748b',
+                        font: {
+                            size: 11,
+                            weight: '500'
+                        }
+                    }
+                },
+                y: {
+                    beginAtZero: true,
+                    grid: {
+                        display: true,
+                        color: 'rgba(100, 116, 139, 0.08)',
+                        borderColor: 'rgba(100, 116, 139, 0.2)'
+                    },
+                    ticks: {
+                        callback: function(value) {
+                            if (value >= 1000) {
+                                return value.toLocaleString();
+                            }
+                            return value.toFixed(2);
+                        },
+                        color: '#64748b',
+                        font: {
+                            size: 11,
+                            weight: '500'
+                        }
+                    }
+                }
+            } : {}
+        }
+    });
+
+    derivedViews.set(chartInstances[chartId], { type: nextType, source, original });
+}
+
+// Percent-of-time steps on a duration curve's x axis
+const DURATION_CURVE_STEP = 1;
+
+const HISTOGRAM_MAX_BINS = 30;
+
+// Box plot whiskers reach the furthest values within this many interquartile ranges of the box
+const BOX_PLOT_WHISKER_IQR = 1.5;
+
+// Linear interpolation between the closest ranks of an ascending array
+export function getPercentile(sorted, fraction) {
+    const position = (sorted.length - 1) * fraction;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+// Draw series ([{ label, values }]) as a duration curve, histogram or box plot of their values
+export function renderDistributionChart(chartId, type, series, valueLabel = 'Value') {
+    const ctx = document.getElementById(chartId);
+    if (!ctx) return;
+
+    // Destroy existing chart if any
+    if (chartInstances[chartId]) {
+        chartInstances[chartId].destroy();
+    }
+
+    const drawnSeries = series
+        .filter(item => item.values.length > 0)
+        .map(item => ({ label: item.label, sorted: item.values.slice().sort((a, b) => a - b) }));
+
+    let config;
+    if (type === 'duration') {
+        config = getDurationCurveConfig(drawnSeries, valueLabel);
+    } else if (type === 'histogram') {
+        config = getHistogramConfig(drawnSeries, valueLabel);
+    } else {
+        config = getBoxPlotConfig(drawnSeries, valueLabel);
+    }
+
+    chartInstances[chartId] = new Chart(ctx, config);
+}
+
+// Values sorted from highest to lowest against the share of time they are met or exceeded
+function getDurationCurveConfig(drawnSeries, valueLabel) {
+    const steps = [];
+    for (let percent = 0; percent <= 100; percent += DURATION_CURVE_STEP) {
+        steps.push(percent);
+    }
+
+    return {
+        type: 'line',
+        data: {
+            labels: steps.map(percent => `${percent}%`),
+            datasets: drawnSeries.map((item, idx) => {
+                const colorScheme = colorPalette[idx % colorPalette.length];
+                return {
+                    label: item.label,
+                    data: steps.map(percent => getPercentile(item.sorted, 1 - percent / 100)),
+                    backgroundColor: colorScheme.bg,
+                    borderColor: colorScheme.border,
+                    borderWidth: 2.5,
+                    pointRadius: 0,
+                    pointHoverRadius: 5,
+                    tension: 0,
+                    fill: false
+                };
+            })
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top'
+                },
+                tooltip: {
+                    backgroundColor: 'rgba(30, 41, 59, 0.95)',
+                    padding: 12,
+                    callbacks: {
+                        title: function(items) {
+                            return `Met or exceeded ${items[0].label} of the time`;
+                        },
+                        label: function(context) {
+                            return `${context.dataset.label}: ${context.parsed.y.toFixed(2)}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Share of time at or above the value'
+                    },
+                    ticks: {
+                        maxTicksLimit: 11,
+                        color: '#64748b'
+                    }
+                },
+                y: {
+                    beginAtZero: false,
+                    title: {
+                        display: true,
+                        text: valueLabel
+                    }
+                }
+            }
+        }
+    };
+}
+
+// Share of each series' values in equal-width bins over the range of all of them
+function getHistogramConfig(drawnSeries, valueLabel) {
+    const min = Math.min(...drawnSeries.map(item => item.sorted[0]));
+    const max = Math.max(...drawnSeries.map(item => item.sorted[item.sorted.length - 1]));
+    const longest = Math.max(...drawnSeries.map(item => item.sorted.length));
+    const binCount = max === min ? 1 : Math.min(HISTOGRAM_MAX_BINS, Math.max(5, Math.ceil(Math.sqrt(longest))));
+    const binWidth = (max - min) / binCount || 1;
+
+    const labels = [];
+    for (let bin = 0; bin < binCount; bin++) {
+        labels.push(`${(min + bin * binWidth).toFixed(2)}–${(min + (bin + 1) * binWidth).toFixed(2)}`);
+    }
+
+    return {
+        type: 'bar',
+        data: {
+            labels: labels,
+            datasets: drawnSeries.map((item, idx) => {
+                const colorScheme = colorPalette[idx % colorPalette.length];
+                const counts = new Array(binCount).fill(0);
+                item.sorted.forEach(value => {
+                    counts[Math.min(binCount - 1, Math.floor((value - min) / binWidth))]++;
+                });
+
+                return {
+                    label: item.label,
+                    data: counts.map(count => count / item.sorted.length * 100),
+                    backgroundColor: colorScheme.bg,
+                    borderColor: colorScheme.border,
+                    borderWidth: 1,
+                    barPercentage: 1,
+                    categoryPercentage: drawnSeries.length === 1 ? 1 : 0.8
+                };
+            })
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top'
+                },
+                tooltip: {
+                    backgroundColor: 'rgba(30, 41, 59, 0.95)',
+                    padding: 12,
+                    callbacks: {
+                        label: function(context) {
+                            return `${context.dataset.label}: ${context.parsed.y.toFixed(1)}% of values`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: valueLabel
+                    },
+                    ticks: {
+                        maxRotation: 45,
+                        color: '#64748b'
+                    }
+                },
+                y: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: 'Share of values (%)'
+                    }
+                }
+            }
+        }
+    };
+}
+
+// One box per series: Q1–Q3 box, median marker and whiskers, drawn as floating bars
+function getBoxPlotConfig(drawnSeries, valueLabel) {
+    const stats = drawnSeries.map(item => {
+        const sorted = item.sorted;
+        const q1 = getPercentile(sorted, 0.25);
+        const q3 = getPercentile(sorted, 0.75);
+        const reach = (q3 - q1) * BOX_PLOT_WHISKER_IQR;
+        const inside = sorted.filter(value => value >= q1 - reach && value <= q3 + reach);
+
+        return {
+            q1,
+            median: getPercentile(sorted, 0.5),
+            q3,
+            low: inside[0],
+            high: inside[inside.length - 1],
+            count: sorted.length,
+            outliers: sorted.length - inside.length
+        };
+    });
+
+    return {
+        type: 'bar',
+        data: {
+            labels: drawnSeries.map(item => item.label),
+            datasets: [
+                {
+                    type: 'line',
+                    label: 'Median',
+                    data: stats.map(s => s.median),
+                    showLine: false,
+                    pointStyle: 'line',
+                    pointRadius: 18,
+                    pointHoverRadius: 18,
+                    borderColor: chartColors.navyBorder,
+                    borderWidth: 3,
+                    order: 0
+                },
+                {
+                    label: 'Q1–Q3',
+                    data: stats.map(s => [s.q1, s.q3]),
+                    backgroundColor: 'rgba(0, 168, 204, 0.35)',
+                    borderColor: chartColors.accentCyanBorder,
+                    borderWidth: 1.5,
+                    borderSkipped: false,
+                    barPercentage: 0.5,
+                    maxBarThickness: 80,
+                    grouped: false,
+                    order: 1
+                },
+                {
+                    label: `Whiskers (${BOX_PLOT_WHISKER_IQR}× IQR)`,
+                    data: stats.map(s => [s.low, s.high]),
+                    backgroundColor: chartColors.navyBorder,
+                    barPercentage: 0.5,
+                    maxBarThickness: 2,
+                    grouped: false,
+                    order: 2
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top'
+                },
+                tooltip: {
+                    backgroundColor: 'rgba(30, 41, 59, 0.95)',
+                    padding: 12,
+                    callbacks: {
+                        label: function(context) {
+                            const raw = context.raw;
+                            return Array.isArray(raw)
+                                ? `${context.dataset.label}: ${raw[0].toFixed(2)} – ${raw[1].toFixed(2)}`
+                                : `${context.dataset.label}: ${raw.toFixed(2)}`;
+                        },
+                        footer: function(items) {
+                            const s = stats[items[0].dataIndex];
+                            return `${s.count.toLocaleString()} values, ${s.outliers.toLocaleString()} beyond the whiskers`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    ticks: {
+                        color: '#64748b'
+                    }
+                },
+                y: {
+                    beginAtZero: false,
+                    title: {
+                        display: true,
+                        text: valueLabel
+                    }
+                }
+            }
+        }
+    };
+}
+
+// Render Chart from Data
+export function renderChartFromData(chartId, chartData, groupBy) {
+    const ctx = document.getElementById(chartId);
+    if (!ctx) return;
+
+    // Destroy existing chart if any
+    if (chartInstances[chartId]) {
+        chartInstances[chartId].destroy();
+    }
+
+    // Determine chart type based on group_by
+    let chartType = 'bar';
+    if (groupBy === 'month' || groupBy === 'date' || groupBy === 'hour') {
+        chartType = 'line';
+    }
+
+    chartInstances[chartId] = new Chart(ctx, {
+        type: chartType,
+        data: chartData,
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top'
+                }
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: 'Value'
+                    }
+                }
+            }
+        }
+    });
+
+    syncChartTypeMenu(chartId, chartType);
+}
+
+// Aggregate Data for Chart
+export function aggregateDataForChart(data, query) {
+    const queryLower = query.toLowerCase();
+
+    // Check if comparing market types
+    if (queryLower.includes('compare') && queryLower.includes('market')) {
+        return aggregateByMarketType(data);
+    }
+
+    // Check if looking at time series
+    if (queryLower.includes('trend') || queryLower.includes('over time') || queryLower.includes('monthly')) {
+        return aggregateByTime(data);
+    }
+
+    // Default: aggregate by market type
+    return aggregateByMarketType(data);
+}
+
+// Aggregate by Market Type
+function aggregateByMarketType(data) {
+    const byType = {};
+
+    data.forEach(row => {
+        if (!byType[row.type]) {
+            byType[row.type] = {
+                count: 0,
+                totalPrice: 0,
+                totalVolume: 0,
+                maxPrice: 0,
+                minPrice: Infinity
+            };
+        }
+
+        byType[row.type].count++;
+        byType[row.type].totalPrice += row.mcp;
+        byType[row.type].totalVolume += row.mcv;
+        byType[row.type].maxPrice = Math.max(byType[row.type].maxPrice, row.mcp);
+        byType[row.type].minPrice = Math.min(byType[row.type].minPrice, row.mcp);
+    });
+
+    const labels = Object.keys(byType);
+    const avgPrices = labels.map(type => (byType[type].totalPrice / byType[type].count).toFixed(4));
+    const avgVolumes = labels.map(type => (byType[type].totalVolume / byType[type].count).toFixed(4));
+
+    return {
+        title: 'Average Prices by Market Type',
+        type: 'bar',
+        labels: labels,
+        datasets: [
+            {
+                label: 'Average Price (₹/kWh)',
+                data: avgPrices,
+                backgroundColor: ['#667eea', '#48bb78', '#ed8936'],
+                borderWidth: 0
+            }
+        ],
+        stats: {
+            avgPrice: avgPrices.reduce((a, b) => parseFloat(a) + parseFloat(b), 0) / avgPrices.length,
+            maxPrice: Math.max(...Object.values(byType).map(v => v.maxPrice)),
+            minPrice: Math.min(...Object.values(byType).map(v => v.minPrice))
+        }
+    };
+}
+
+// Aggregate by Time
+function aggregateByTime(data) {
+    const byMonth = {};
+
+    data.forEach(row => {
+        const date = new Date(row.date);
+        const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+        if (!byMonth[monthKey]) {
+            byMonth[monthKey] = {
+                count: 0,
+                totalPrice: 0
+            };
+        }
+
+        byMonth[monthKey].count++;
+        byMonth[monthKey].totalPrice += row.mcp;
+    });
+
+    const sorted = Object.keys(byMonth).sort();
+    const labels = sorted.map(key => key);
+    const avgPrices = sorted.map(key => (byMonth[key].totalPrice / byMonth[key].count).toFixed(4));
+
+    return {
+        title: 'Price Trend Over Time',
+        type: 'line',
+        labels: labels,
+        datasets: [
+            {
+                label: 'Average Price (₹/kWh)',
+                data: avgPrices,
+                borderColor: '#667eea',
+                backgroundColor: 'rgba(102, 126, 234, 0.1)',
+                tension: 0.4,
+                fill: true
+            }
+        ],
+        stats: {
+            avgPrice: avgPrices.reduce((a, b) => parseFloat(a) + parseFloat(b), 0) / avgPrices.length,
+            maxPrice: Math.max(...avgPrices.map(parseFloat)),
+            minPrice: Math.min(...avgPrices.map(parseFloat))
+        }
+    };
+}
+
+// Render Chart
+export function renderChart(chartId, config) {
+    const ctx = document.getElementById(chartId);
+    if (!ctx) return;
+
+    // Destroy existing chart if any
+    if (chartInstances[chartId]) {
+        chartInstances[chartId].destroy();
+    }
+
+    chartInstances[chartId] = new Chart(ctx, {
+        type: config.type,
+        data: {
+            labels: config.labels,
+            datasets: config.datasets
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top'
+                }
+            },
+            scales: config.type === 'bar' || config.type === 'line' ? {
+                y: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: 'Price (₹/kWh)'
+                    }
+                }
+            } : undefined
+        }
+    });
+
+    syncChartTypeMenu(chartId, config.type);
+}
+
+export function destroyMessageCharts(messageDiv) {
+    messageDiv.querySelectorAll('canvas[id]').forEach(canvas => {
+        if (chartInstances[canvas.id]) {
+            chartInstances[canvas.id].destroy();
+            delete chartInstances[canvas.id];
+        }
+    });
+}
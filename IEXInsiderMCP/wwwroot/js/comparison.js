@@ -0,0 +1,336 @@
+// Cross-market comparison dashboard: KPIs, spreads and correlations
+
+import { fetchDailyAverageSeries } from './anomalies.js';
+import { apiRequest, describeError } from './api.js';
+import { chartInstances, getMarketColor, getChartTypeMenu, syncChartTypeMenu } from './charts.js';
+import { MARKET_TYPES } from './parsing.js';
+import { escapeHtml, createPanelSelect, createPanelLabel } from './rendering.js';
+import { sanitizeHtml, renderMarkdown } from './sanitize.js';
+
+// Spread windows offered in the comparison dashboard (days, 0 = all data)
+const SPREAD_WINDOWS = [30, 90, 365, 0];
+
+// Market pairs shown as spreads and correlations
+const SPREAD_PAIRS = [['DAM', 'RTM'], ['DAM', 'GDAM']];
+const CORRELATION_PAIRS = [['DAM', 'GDAM'], ['DAM', 'RTM'], ['GDAM', 'RTM']];
+
+// Show/hide the pinned market comparison dashboard
+export function toggleComparisonDashboard() {
+    const dashboard = document.getElementById('comparisonDashboard');
+
+    if (dashboard.style.display === 'none') {
+        dashboard.style.display = 'block';
+        if (!dashboard.hasChildNodes()) {
+            loadComparisonDashboard();
+        }
+    } else {
+        dashboard.style.display = 'none';
+    }
+}
+
+// Load /api/insights/compare plus daily series and render the dashboard
+async function loadComparisonDashboard() {
+    const dashboard = document.getElementById('comparisonDashboard');
+    dashboard.innerHTML = `<div class="panel-status">⏳ Comparing DAM, GDAM and RTM...</div>`;
+
+    try {
+        const [comparison, ...seriesList] = await Promise.all([
+            fetchMarketComparison(),
+            ...MARKET_TYPES.map(market => fetchDailyAverageSeries(market))
+        ]);
+
+        const series = {};
+        MARKET_TYPES.forEach((market, idx) => {
+            series[market] = seriesList[idx];
+        });
+
+        renderComparisonDashboard(comparison, series);
+    } catch (error) {
+        console.error('Comparison dashboard error:', error);
+        dashboard.innerHTML = '';
+        const status = document.createElement('div');
+        status.className = 'panel-status error';
+        status.textContent = `❌ ${describeError(error)}`;
+        dashboard.appendChild(status);
+    }
+}
+
+// Fetch the cross-market comparison from the insights API
+async function fetchMarketComparison() {
+    return await apiRequest(`/api/insights/compare`);
+}
+
+// Render KPI cards, spread chart and correlation summary
+function renderComparisonDashboard(comparison, series) {
+    const dashboard = document.getElementById('comparisonDashboard');
+    const chartId = `spread-chart-${Date.now()}`;
+    dashboard.innerHTML = '';
+
+    // Header with window selector, refresh and close actions
+    const header = document.createElement('div');
+    header.className = 'dashboard-header';
+    header.innerHTML = `<h3>⚖️ Market Comparison</h3>`;
+
+    const actions = document.createElement('div');
+    actions.className = 'panel-controls';
+    actions.style.margin = '0';
+
+    const windowSelect = createPanelSelect(SPREAD_WINDOWS.map(d => ({ value: d, label: d === 0 ? 'All data' : `Last ${d} days` })), 90);
+    actions.appendChild(createPanelLabel('Spread window', windowSelect));
+
+    const refreshButton = document.createElement('button');
+    refreshButton.className = 'chart-action-btn';
+    refreshButton.title = 'Refresh';
+    refreshButton.textContent = '🔄';
+    refreshButton.addEventListener('click', loadComparisonDashboard);
+    actions.appendChild(refreshButton);
+
+    const closeButton = document.createElement('button');
+    closeButton.className = 'chart-action-btn';
+    closeButton.title = 'Close';
+    closeButton.textContent = '✖';
+    closeButton.addEventListener('click', toggleComparisonDashboard);
+    actions.appendChild(closeButton);
+
+    header.appendChild(actions);
+    dashboard.appendChild(header);
+
+    // Side-by-side KPI cards
+    const kpiGrid = document.createElement('div');
+    kpiGrid.className = 'market-kpi-grid';
+    MARKET_TYPES.forEach(market => {
+        const insights = comparison.markets?.[market];
+        if (insights) {
+            kpiGrid.appendChild(createMarketKpiCard(market, insights, comparison.summary));
+        }
+    });
+    dashboard.appendChild(kpiGrid);
+
+    // Spread chart + correlation summary
+    const body = document.createElement('div');
+    body.className = 'dashboard-body';
+
+    const chartContainer = document.createElement('div');
+    chartContainer.className = 'chart-container';
+    chartContainer.innerHTML = sanitizeHtml(`
+        <div class="chart-header">
+            <div class="chart-title">Price Spreads (Daily Avg MCP)</div>
+            <div class="chart-actions">
+                <button class="chart-action-btn" data-action="downloadChart" data-action-arg="${chartId}" title="Download Chart">📥</button>
+                ${getChartTypeMenu(chartId)}
+            </div>
+        </div>
+        <canvas id="${chartId}" style="max-height: 300px;"></canvas>
+    `);
+    body.appendChild(chartContainer);
+
+    const correlationDiv = document.createElement('div');
+    correlationDiv.className = 'correlation-summary';
+    body.appendChild(correlationDiv);
+
+    dashboard.appendChild(body);
+
+    const render = () => {
+        const days = parseInt(windowSelect.value);
+        renderSpreadChart(chartId, series, days);
+        correlationDiv.innerHTML = renderMarkdown(formatCorrelationSummary(series, days, comparison.summary));
+    };
+    windowSelect.addEventListener('change', render);
+    render();
+}
+
+// Build a KPI card for one market
+function createMarketKpiCard(market, insights, summary) {
+    const price = insights.priceAnalysis || {};
+    const volume = insights.volumeAnalysis || {};
+    const color = getMarketColor(market);
+
+    const card = document.createElement('div');
+    card.className = 'market-kpi-card';
+    card.style.borderTopColor = color;
+
+    const change = price.percentageChange || 0;
+    const badges = [];
+    if (summary?.bestForBuying?.market === market) badges.push('🟢 Best for buying');
+    if (summary?.bestForSelling?.market === market) badges.push('🔴 Best for selling');
+    if (summary?.mostStable?.market === market) badges.push('🛡️ Most stable');
+
+    card.innerHTML = `
+        <h4 style="color: ${color}">${market}</h4>
+        <div class="kpi-row"><span>Avg Price</span><strong>₹${(price.currentAverage || 0).toFixed(2)}/kWh</strong></div>
+        <div class="kpi-row"><span>vs Historical</span><strong style="color: ${change >= 0 ? '#e74c3c' : '#27ae60'}">${change >= 0 ? '+' : ''}${change.toFixed(2)}%</strong></div>
+        <div class="kpi-row"><span>Volatility</span><strong>${(price.volatility || 0).toFixed(2)}%</strong></div>
+        <div class="kpi-row"><span>Avg Volume</span><strong>${(volume.currentAverage || 0).toFixed(2)} GW</strong></div>
+        <div class="kpi-row"><span>Price Trend</span><strong>${escapeHtml(price.trend || 'N/A')}</strong></div>
+        <div class="kpi-row"><span>Data Points</span><strong>${(insights.dataPointsAnalyzed || 0).toLocaleString()}</strong></div>
+        <div class="kpi-badges">${badges.map(b => `<span class="kpi-badge">${b}</span>`).join('')}</div>
+    `;
+
+    return card;
+}
+
+// Align two markets' daily series on common dates within the window
+function alignMarketSeries(series, marketA, marketB, days) {
+    const byDateB = {};
+    (series[marketB] || []).forEach(point => { byDateB[point.date] = point.mcp; });
+
+    let points = (series[marketA] || [])
+        .filter(point => byDateB[point.date] !== undefined)
+        .map(point => ({ date: point.date, a: point.mcp, b: byDateB[point.date] }));
+
+    if (days > 0) {
+        points = points.slice(-days);
+    }
+
+    return points;
+}
+
+// Render DAM − RTM and DAM − GDAM spreads over time
+function renderSpreadChart(chartId, series, days) {
+    const ctx = document.getElementById(chartId);
+    if (!ctx) return;
+
+    // Destroy existing chart if any
+    if (chartInstances[chartId]) {
+        chartInstances[chartId].destroy();
+    }
+
+    // Use the union of dates so both spreads share the x axis
+    const spreads = SPREAD_PAIRS.map(([a, b]) => ({
+        label: `${a} − ${b}`,
+        color: getMarketColor(b),
+        points: alignMarketSeries(series, a, b, days)
+    }));
+    const labels = Array.from(new Set(spreads.flatMap(s => s.points.map(p => p.date)))).sort();
+
+    const datasets = spreads.map(spread => {
+        const byDate = {};
+        spread.points.forEach(p => { byDate[p.date] = p.a - p.b; });
+        return {
+            label: `${spread.label} (₹/kWh)`,
+            data: labels.map(date => byDate[date] ?? null),
+            borderColor: spread.color,
+            backgroundColor: spread.color,
+            borderWidth: 2,
+            pointRadius: 0,
+            tension: 0.3,
+            spanGaps: true
+        };
+    });
+
+    chartInstances[chartId] = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: labels,
+            datasets: datasets
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top',
+                    labels: {
+                        usePointStyle: true
+                    }
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            return `${context.dataset.label}: ${context.parsed.y.toFixed(2)}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    ticks: {
+                        maxRotation: 45,
+                        minRotation: 0,
+                        autoSkip: true,
+                        maxTicksLimit: 12,
+                        color: '#64748b'
+                    }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: 'Spread (₹/kWh)'
+                    }
+                }
+            }
+        }
+    });
+
+    syncChartTypeMenu(chartId, 'line');
+}
+
+// Pearson correlation coefficient of two equal-length arrays
+function pearsonCorrelation(xs, ys) {
+    const n = xs.length;
+    if (n < 2) return null;
+
+    const meanX = xs.reduce((a, b) => a + b, 0) / n;
+    const meanY = ys.reduce((a, b) => a + b, 0) / n;
+
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    for (let i = 0; i < n; i++) {
+        const dx = xs[i] - meanX;
+        const dy = ys[i] - meanY;
+        covariance += dx * dy;
+        varianceX += dx * dx;
+        varianceY += dy * dy;
+    }
+
+    if (varianceX === 0 || varianceY === 0) return null;
+    return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+// Describe the strength of a correlation coefficient
+function describeCorrelation(r) {
+    if (r === null) return 'n/a';
+    const strength = Math.abs(r);
+    if (strength >= 0.8) return 'Strong';
+    if (strength >= 0.5) return 'Moderate';
+    if (strength >= 0.3) return 'Weak';
+    return 'Negligible';
+}
+
+// Build the markdown correlation + spread summary
+function formatCorrelationSummary(series, days, summary) {
+    let content = '**🔗 Price Correlation (daily avg MCP)**\n\n';
+    content += '<table class="data-table"><thead><tr><th>Pair</th><th>r</th><th>Strength</th></tr></thead><tbody>';
+
+    CORRELATION_PAIRS.forEach(([a, b]) => {
+        const points = alignMarketSeries(series, a, b, days);
+        const r = pearsonCorrelation(points.map(p => p.a), points.map(p => p.b));
+        content += `<tr><td>${a} / ${b}</td><td>${r === null ? '-' : r.toFixed(2)}</td><td>${describeCorrelation(r)}</td></tr>`;
+    });
+
+    content += '</tbody></table>\n\n';
+
+    content += '**📏 Average Spread**\n\n';
+    SPREAD_PAIRS.forEach(([a, b]) => {
+        const points = alignMarketSeries(series, a, b, days);
+        if (points.length > 0) {
+            const avgSpread = points.reduce((sum, p) => sum + (p.a - p.b), 0) / points.length;
+            content += `- ${a} − ${b}: ${avgSpread >= 0 ? '+' : ''}${avgSpread.toFixed(2)} ₹/kWh\n`;
+        }
+    });
+
+    if (summary) {
+        content += '\n**🏁 Summary**\n\n';
+        if (summary.bestForBuying) content += `- Buy: **${summary.bestForBuying.market}** — ${summary.bestForBuying.reason}\n`;
+        if (summary.bestForSelling) content += `- Sell: **${summary.bestForSelling.market}** — ${summary.bestForSelling.reason}\n`;
+        if (summary.mostStable) content += `- Stable: **${summary.mostStable.market}** — ${summary.mostStable.reason}\n`;
+    }
+
+    return content;
+}
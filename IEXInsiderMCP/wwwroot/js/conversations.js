@@ -0,0 +1,580 @@
+// Server-side sessions and the saved conversations sidebar (IndexedDB)
+
+import { apiRequest } from './api.js';
+import { chartInstances } from './charts.js';
+import { addUserMessage, addAssistantMessage, addAssistantAnswer, escapeHtml, scrollToBottom, showPinButtons } from './rendering.js';
+import { sanitizeHtml } from './sanitize.js';
+
+// localStorage key for the conversation session id
+const SESSION_ID_KEY = 'iexInsider.sessionId';
+
+// Number of messages restored from the server when the page reloads
+const RESTORED_HISTORY_SIZE = 50;
+
+// Get the current conversation session id, creating one if needed
+export function getSessionId() {
+    let sessionId = localStorage.getItem(SESSION_ID_KEY);
+
+    if (!sessionId) {
+        sessionId = window.crypto?.randomUUID
+            ? window.crypto.randomUUID()
+            : `session-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+        localStorage.setItem(SESSION_ID_KEY, sessionId);
+    }
+
+    return sessionId;
+}
+
+// Restore the previous transcript from the conversation history endpoint
+async function restoreConversation() {
+    const sessionId = localStorage.getItem(SESSION_ID_KEY);
+    if (!sessionId) return;
+
+    try {
+        const history = await apiRequest(`/api/iex/conversation/${encodeURIComponent(sessionId)}/history?maxMessages=${RESTORED_HISTORY_SIZE}`);
+        let userMessage = null;
+        history.forEach(message => {
+            if (message.role === 'user') {
+                userMessage = addUserMessage(message.content);
+            } else if (message.content) {
+                addAssistantAnswer(message.content);
+                // The session's answers came from /api/query, so a tile can re-run them
+                if (userMessage) showPinButtons(userMessage);
+            }
+        });
+    } catch (error) {
+        console.error('Error restoring conversation:', error);
+    }
+}
+
+// Clear the server-side session and start over with a fresh transcript
+export async function startNewConversation() {
+    // Keep the current transcript in the sidebar before clearing it
+    await flushConversationSave();
+    setActiveConversation(null);
+
+    const sessionId = localStorage.getItem(SESSION_ID_KEY);
+
+    if (sessionId) {
+        try {
+            await apiRequest(`/api/iex/conversation/${encodeURIComponent(sessionId)}/clear`, { method: 'POST' });
+        } catch (error) {
+            console.error('Error clearing conversation:', error);
+        }
+        localStorage.removeItem(SESSION_ID_KEY);
+    }
+
+    clearMessages();
+    getSessionId();
+}
+
+// Remove all chat messages (keeps the welcome screen and typing indicator)
+function clearMessages() {
+    const messagesArea = document.getElementById('messagesArea');
+
+    // Destroy charts that live in the transcript
+    Object.keys(chartInstances).forEach(chartId => {
+        const canvas = document.getElementById(chartId);
+        if (!canvas || messagesArea.contains(canvas)) {
+            chartInstances[chartId].destroy();
+            delete chartInstances[chartId];
+        }
+    });
+
+    messagesArea.querySelectorAll('.message').forEach(message => message.remove());
+    messagesArea.scrollTop = 0;
+}
+
+// IndexedDB database and store holding saved conversations
+const CONVERSATION_DB_NAME = 'iexInsider';
+const CONVERSATION_DB_VERSION = 1;
+const CONVERSATION_STORE = 'conversations';
+
+// localStorage key for the conversation currently shown in the transcript
+const ACTIVE_CONVERSATION_KEY = 'iexInsider.activeConversationId';
+
+// Wait this long after the last transcript change before saving (ms)
+const CONVERSATION_SAVE_DELAY = 1000;
+
+const CONVERSATION_TITLE_LENGTH = 60;
+const CONVERSATION_SNIPPET_LENGTH = 80;
+
+// Saved conversation state (database handle, active conversation, pending save)
+const conversationHistory = {
+    db: null,
+    activeId: null,
+    saveTimer: null,
+    observer: null
+};
+
+// Open the conversation database, saving the transcript whenever it changes
+export async function initConversationSidebar() {
+    if (!window.indexedDB) {
+        document.getElementById('conversationList').innerHTML = '<div class="panel-status">Saved conversations are not supported in this browser</div>';
+        restoreConversation();
+        return;
+    }
+
+    try {
+        conversationHistory.db = await openConversationDatabase();
+    } catch (error) {
+        console.error('Error opening conversation database:', error);
+        document.getElementById('conversationList').innerHTML = '<div class="panel-status error">Could not open saved conversations</div>';
+        restoreConversation();
+        return;
+    }
+
+    conversationHistory.observer = new MutationObserver(scheduleConversationSave);
+    conversationHistory.observer.observe(document.getElementById('messagesArea'), { childList: true, subtree: true });
+
+    // Reopen the conversation from the last visit, falling back to the server history
+    const activeId = localStorage.getItem(ACTIVE_CONVERSATION_KEY);
+    let conversation = null;
+    if (activeId) {
+        try {
+            conversation = await getConversation(activeId);
+        } catch (error) {
+            console.error('Error loading conversation:', error);
+        }
+    }
+
+    if (conversation) {
+        showSavedConversation(conversation);
+    } else {
+        setActiveConversation(null);
+        await restoreConversation();
+    }
+
+    renderConversationList();
+}
+
+// Open (and create on first use) the conversation database
+function openConversationDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(CONVERSATION_DB_NAME, CONVERSATION_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(CONVERSATION_STORE)) {
+                db.createObjectStore(CONVERSATION_STORE, { keyPath: 'id' });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Run a single request against the conversation store and resolve with its result
+function runConversationRequest(mode, createRequest) {
+    return new Promise((resolve, reject) => {
+        const transaction = conversationHistory.db.transaction(CONVERSATION_STORE, mode);
+        const request = createRequest(transaction.objectStore(CONVERSATION_STORE));
+
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// Get all saved conversations, most recently updated first
+async function getAllConversations() {
+    const conversations = await runConversationRequest('readonly', store => store.getAll());
+    return conversations.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+function getConversation(id) {
+    return runConversationRequest('readonly', store => store.get(id));
+}
+
+function putConversation(conversation) {
+    return runConversationRequest('readwrite', store => store.put(conversation));
+}
+
+function deleteConversationRecord(id) {
+    return runConversationRequest('readwrite', store => store.delete(id));
+}
+
+// Remember which conversation the transcript belongs to and highlight it
+function setActiveConversation(id) {
+    conversationHistory.activeId = id;
+
+    if (id) {
+        localStorage.setItem(ACTIVE_CONVERSATION_KEY, id);
+    } else {
+        localStorage.removeItem(ACTIVE_CONVERSATION_KEY);
+    }
+
+    document.querySelectorAll('.conversation-item').forEach(item => {
+        item.classList.toggle('active', item.dataset.conversationId === id);
+    });
+}
+
+// Debounce saves so a burst of messages and charts is written once
+function scheduleConversationSave() {
+    clearTimeout(conversationHistory.saveTimer);
+    conversationHistory.saveTimer = setTimeout(saveActiveConversation, CONVERSATION_SAVE_DELAY);
+}
+
+// Save immediately if the transcript has unsaved changes
+async function flushConversationSave() {
+    if (!conversationHistory.db) return;
+
+    const hasPendingChanges = conversationHistory.observer.takeRecords().length > 0;
+    if (conversationHistory.saveTimer || hasPendingChanges) {
+        clearTimeout(conversationHistory.saveTimer);
+        await saveActiveConversation();
+    }
+}
+
+// Write the current transcript to IndexedDB, creating a conversation on first save
+async function saveActiveConversation() {
+    conversationHistory.saveTimer = null;
+
+    const activeId = conversationHistory.activeId;
+    const messages = captureTranscript();
+    if (messages.length === 0) return;
+
+    try {
+        const now = new Date().toISOString();
+        let conversation = activeId ? await getConversation(activeId) : null;
+
+        if (!conversation) {
+            const firstQuery = messages.find(message => message.role === 'user') || messages[0];
+            conversation = {
+                id: createConversationId(),
+                title: createConversationTitle(firstQuery.text),
+                createdAt: now
+            };
+
+            // Only claim the transcript if the user hasn't switched conversations meanwhile
+            if (conversationHistory.activeId === activeId) {
+                setActiveConversation(conversation.id);
+            }
+        }
+
+        conversation.sessionId = localStorage.getItem(SESSION_ID_KEY);
+        conversation.messages = messages;
+        conversation.updatedAt = now;
+
+        await putConversation(conversation);
+        renderConversationList();
+    } catch (error) {
+        console.error('Error saving conversation:', error);
+    }
+}
+
+function createConversationId() {
+    return window.crypto?.randomUUID
+        ? window.crypto.randomUUID()
+        : `conversation-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function createConversationTitle(text) {
+    const title = (text || 'Untitled conversation').replace(/\s+/g, ' ').trim();
+    return title.length > CONVERSATION_TITLE_LENGTH
+        ? `${title.slice(0, CONVERSATION_TITLE_LENGTH - 1)}…`
+        : title;
+}
+
+// Snapshot every message: searchable text, rendered HTML and the data behind its charts
+function captureTranscript() {
+    const messagesArea = document.getElementById('messagesArea');
+
+    return Array.from(messagesArea.querySelectorAll(':scope > .message')).map(messageDiv => {
+        const textElement = messageDiv.querySelector('.message-text, .analysis-column') || messageDiv;
+        const charts = [];
+
+        messageDiv.querySelectorAll('canvas[id]').forEach(canvas => {
+            const chart = chartInstances[canvas.id];
+            if (!chart) return;
+
+            charts.push({
+                chartId: canvas.id,
+                type: chart.config.type,
+                data: toStorableValue(chart.data),
+                options: toStorableValue(chart.config.options)
+            });
+        });
+
+        return {
+            role: messageDiv.classList.contains('message-user') ? 'user' : 'assistant',
+            text: textElement.textContent.replace(/\s+/g, ' ').trim(),
+            html: messageDiv.innerHTML,
+            charts: charts
+        };
+    });
+}
+
+// Deep-copy chart config into something IndexedDB can store.
+// Callbacks, gradients and Chart.js internals (keys starting with "_") are dropped.
+function toStorableValue(value, ancestors = new Set()) {
+    if (value === null || typeof value !== 'object') {
+        return typeof value === 'function' ? undefined : value;
+    }
+    if (ancestors.has(value)) return undefined;
+
+    const isArray = Array.isArray(value);
+    if (!isArray && Object.getPrototypeOf(value) !== Object.prototype) return undefined;
+
+    ancestors.add(value);
+    let result;
+    if (isArray) {
+        result = value.map(item => {
+            const storable = toStorableValue(item, ancestors);
+            return storable === undefined ? null : storable;
+        });
+    } else {
+        result = {};
+        Object.keys(value).forEach(key => {
+            if (key.startsWith('_')) return;
+            const storable = toStorableValue(value[key], ancestors);
+            if (storable !== undefined) {
+                result[key] = storable;
+            }
+        });
+    }
+    ancestors.delete(value);
+
+    return result;
+}
+
+// Replace the transcript with a saved conversation and re-create its charts
+function showSavedConversation(conversation) {
+    clearMessages();
+
+    const messagesArea = document.getElementById('messagesArea');
+
+    conversation.messages.forEach(message => {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `message message-${message.role}`;
+        // Saved markup comes from IndexedDB; older entries still carry inline onclick handlers
+        messageDiv.innerHTML = sanitizeHtml(message.html);
+        messagesArea.appendChild(messageDiv);
+
+        message.charts.forEach(savedChart => {
+            const canvas = messageDiv.querySelector(`#${CSS.escape(savedChart.chartId)}`);
+            if (!canvas) return;
+
+            try {
+                chartInstances[savedChart.chartId] = new Chart(canvas, {
+                    type: savedChart.type,
+                    data: savedChart.data,
+                    options: savedChart.options
+                });
+            } catch (error) {
+                console.error(`Error restoring chart ${savedChart.chartId}:`, error);
+            }
+        });
+    });
+
+    // Loading a conversation is not a change to it
+    conversationHistory.observer.takeRecords();
+    clearTimeout(conversationHistory.saveTimer);
+    conversationHistory.saveTimer = null;
+
+    setActiveConversation(conversation.id);
+
+    // Continue the server-side session so follow-up questions keep their context
+    if (conversation.sessionId) {
+        localStorage.setItem(SESSION_ID_KEY, conversation.sessionId);
+    }
+
+    scrollToBottom();
+}
+
+// Switch the transcript to a saved conversation
+async function openConversation(id) {
+    if (id === conversationHistory.activeId) return;
+
+    await flushConversationSave();
+
+    try {
+        const conversation = await getConversation(id);
+        if (conversation) {
+            showSavedConversation(conversation);
+        }
+    } catch (error) {
+        console.error('Error opening conversation:', error);
+        addAssistantMessage(`❌ Could not open the saved conversation: ${escapeHtml(error.message)}`);
+    }
+}
+
+// Render the sidebar, filtered by the full-text search box
+export async function renderConversationList() {
+    if (!conversationHistory.db) return;
+
+    const list = document.getElementById('conversationList');
+    const searchTerms = document.getElementById('conversationSearch').value
+        .toLowerCase()
+        .split(/\s+/)
+        .filter(term => term.length > 0);
+
+    let conversations;
+    try {
+        conversations = await getAllConversations();
+    } catch (error) {
+        console.error('Error loading conversations:', error);
+        list.innerHTML = '<div class="panel-status error">Could not load saved conversations</div>';
+        return;
+    }
+
+    const matches = conversations.filter(conversation => matchesConversationSearch(conversation, searchTerms));
+
+    list.innerHTML = '';
+    if (matches.length === 0) {
+        const message = searchTerms.length > 0 ? 'No conversations match your search' : 'No saved conversations yet';
+        list.innerHTML = `<div class="panel-status">${message}</div>`;
+        return;
+    }
+
+    matches.forEach(conversation => {
+        list.appendChild(createConversationItem(conversation, searchTerms));
+    });
+}
+
+// Every search term must appear in the title or in some question or answer
+function matchesConversationSearch(conversation, searchTerms) {
+    if (searchTerms.length === 0) return true;
+
+    const searchableText = [conversation.title, ...conversation.messages.map(message => message.text)]
+        .join(' ')
+        .toLowerCase();
+
+    return searchTerms.every(term => searchableText.includes(term));
+}
+
+// Excerpt of the first message mentioning the first search term
+function getConversationSnippet(conversation, searchTerms) {
+    const term = searchTerms[0];
+    const message = conversation.messages.find(m => m.text.toLowerCase().includes(term));
+    if (!message) return null;
+
+    const position = message.text.toLowerCase().indexOf(term);
+    const start = Math.max(0, position - Math.floor(CONVERSATION_SNIPPET_LENGTH / 2));
+    const excerpt = message.text.slice(start, start + CONVERSATION_SNIPPET_LENGTH);
+
+    return `${start > 0 ? '…' : ''}${excerpt}${start + CONVERSATION_SNIPPET_LENGTH < message.text.length ? '…' : ''}`;
+}
+
+function createConversationItem(conversation, searchTerms) {
+    const item = document.createElement('div');
+    item.className = 'conversation-item';
+    item.classList.toggle('active', conversation.id === conversationHistory.activeId);
+    item.dataset.conversationId = conversation.id;
+
+    const queryCount = conversation.messages.filter(message => message.role === 'user').length;
+
+    const title = document.createElement('div');
+    title.className = 'conversation-title';
+    title.textContent = conversation.title;
+    title.title = conversation.title;
+
+    const meta = document.createElement('div');
+    meta.className = 'conversation-meta';
+    meta.textContent = `${new Date(conversation.updatedAt).toLocaleString()} · ${queryCount} ${queryCount === 1 ? 'query' : 'queries'}`;
+
+    item.appendChild(title);
+    item.appendChild(meta);
+
+    if (searchTerms.length > 0) {
+        const snippetText = getConversationSnippet(conversation, searchTerms);
+        if (snippetText) {
+            const snippet = document.createElement('div');
+            snippet.className = 'conversation-snippet';
+            snippet.textContent = snippetText;
+            item.appendChild(snippet);
+        }
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'conversation-actions';
+
+    const renameButton = document.createElement('button');
+    renameButton.className = 'conversation-action';
+    renameButton.title = 'Rename';
+    renameButton.textContent = '✏️';
+    renameButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        startConversationRename(item, conversation);
+    });
+
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'conversation-action';
+    deleteButton.title = 'Delete';
+    deleteButton.textContent = '🗑️';
+    deleteButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        deleteConversation(conversation);
+    });
+
+    actions.appendChild(renameButton);
+    actions.appendChild(deleteButton);
+    item.appendChild(actions);
+
+    item.addEventListener('click', () => openConversation(conversation.id));
+
+    return item;
+}
+
+// Swap the title for an input; Enter or blur saves, Escape cancels
+function startConversationRename(item, conversation) {
+    const titleElement = item.querySelector('.conversation-title');
+
+    const input = document.createElement('input');
+    input.className = 'conversation-rename-input';
+    input.value = conversation.title;
+
+    let finished = false;
+    const finishRename = async (save) => {
+        if (finished) return;
+        finished = true;
+
+        const title = input.value.trim();
+        if (save && title && title !== conversation.title) {
+            try {
+                const saved = await getConversation(conversation.id);
+                if (saved) {
+                    saved.title = title;
+                    await putConversation(saved);
+                }
+            } catch (error) {
+                console.error('Error renaming conversation:', error);
+            }
+        }
+        renderConversationList();
+    };
+
+    input.addEventListener('click', (e) => e.stopPropagation());
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            finishRename(true);
+        } else if (e.key === 'Escape') {
+            finishRename(false);
+        }
+    });
+    input.addEventListener('blur', () => finishRename(true));
+
+    titleElement.replaceWith(input);
+    input.focus();
+    input.select();
+}
+
+async function deleteConversation(conversation) {
+    if (!confirm(`Delete "${conversation.title}"? This cannot be undone.`)) return;
+
+    // Deleting the open conversation also clears the transcript
+    if (conversation.id === conversationHistory.activeId) {
+        clearTimeout(conversationHistory.saveTimer);
+        conversationHistory.saveTimer = null;
+        setActiveConversation(null);
+        clearMessages();
+    }
+
+    try {
+        await deleteConversationRecord(conversation.id);
+    } catch (error) {
+        console.error('Error deleting conversation:', error);
+    }
+    renderConversationList();
+}
@@ -0,0 +1,289 @@
+// Pinned queries dashboard: tiles that re-run a chat question against /api/query, arranged in a grid
+
+import { apiRequest, describeError, offlineCache } from './api.js';
+import { destroyMessageCharts } from './charts.js';
+import { parseQueryIntent } from './parsing.js';
+import { getFilterChipParams } from './query-builder.js';
+import { getQuestionMessage, displayAIResponse, processQueryResult, renderMessagesInto, formatCachedAt } from './rendering.js';
+
+// localStorage key for the tiles (in grid order) and whether the dashboard was open
+const QUERY_DASHBOARD_KEY = 'iexInsider.queryDashboard';
+
+// Tile re-runs wait for the AI insights in the /api/query answer, which can outlast apiRequest's default timeout (ms)
+const DASHBOARD_TILE_TIMEOUT = 120000;
+
+const queryDashboard = loadQueryDashboard();
+
+// Tile being dragged to a new position
+let draggedTileId = null;
+
+// Read the saved tiles from localStorage
+function loadQueryDashboard() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(QUERY_DASHBOARD_KEY)) || {};
+        return {
+            tiles: Array.isArray(saved.tiles) ? saved.tiles : [],
+            open: saved.open === true
+        };
+    } catch (error) {
+        console.error('Error reading the query dashboard:', error);
+        return { tiles: [], open: false };
+    }
+}
+
+function saveQueryDashboard() {
+    localStorage.setItem(QUERY_DASHBOARD_KEY, JSON.stringify(queryDashboard));
+}
+
+// Reopen the dashboard (re-running its tiles) if it was open when the page was left
+export function initQueryDashboard() {
+    if (queryDashboard.open) {
+        toggleQueryDashboard();
+    }
+}
+
+// Show/hide the pinned queries dashboard; tiles re-run the first time it is shown
+export function toggleQueryDashboard() {
+    const dashboard = document.getElementById('queryDashboard');
+
+    if (dashboard.style.display === 'none') {
+        dashboard.style.display = 'block';
+        if (!dashboard.hasChildNodes()) {
+            renderQueryDashboard();
+        }
+    } else {
+        dashboard.style.display = 'none';
+    }
+
+    queryDashboard.open = dashboard.style.display !== 'none';
+    saveQueryDashboard();
+}
+
+// Pin the question a response answers (with its filter chip params, if any) as a dashboard tile
+export function pinResponse(button) {
+    const userMessage = getQuestionMessage(button.closest('.message'));
+    if (!userMessage) return;
+
+    const chips = userMessage.querySelector('.filter-chips');
+    const params = chips && chips.dataset.queryRoute === 'data' ? getFilterChipParams(chips) : null;
+    const question = params ? params.query : userMessage.querySelector('.message-text').textContent.trim();
+
+    button.textContent = '📌 Pinned';
+    button.disabled = true;
+
+    const paramsKey = JSON.stringify(params);
+    if (queryDashboard.tiles.some(tile => tile.question === question && JSON.stringify(tile.params) === paramsKey)) return;
+
+    const tile = { id: `tile-${Date.now()}`, question, params, size: 'normal' };
+    queryDashboard.tiles.push(tile);
+    saveQueryDashboard();
+
+    // A dashboard that has been shown gets the tile straight away; otherwise it runs on first show
+    const dashboard = document.getElementById('queryDashboard');
+    if (!dashboard.hasChildNodes()) return;
+
+    const grid = dashboard.querySelector('.dashboard-grid');
+    if (!grid) {
+        renderQueryDashboard();
+        return;
+    }
+
+    const element = createTileElement(tile);
+    grid.appendChild(element);
+    refreshTile(tile, element);
+}
+
+// Header, then the tiles in saved order
+function renderQueryDashboard() {
+    const dashboard = document.getElementById('queryDashboard');
+    dashboard.querySelectorAll('.dashboard-tile-body').forEach(destroyMessageCharts);
+    dashboard.innerHTML = '';
+
+    const header = document.createElement('div');
+    header.className = 'dashboard-header';
+    header.innerHTML = `<h3>📌 Pinned Queries</h3>`;
+
+    const actions = document.createElement('div');
+    actions.className = 'panel-controls';
+    actions.style.margin = '0';
+    actions.append(
+        createTileButton('🔄', 'Re-run every tile', refreshAllTiles),
+        createTileButton('✖', 'Close', toggleQueryDashboard)
+    );
+    header.appendChild(actions);
+    dashboard.appendChild(header);
+
+    if (queryDashboard.tiles.length === 0) {
+        const status = document.createElement('div');
+        status.className = 'panel-status';
+        status.textContent = 'Nothing pinned yet. Use 📌 Pin on an answer to keep its query here.';
+        dashboard.appendChild(status);
+        return;
+    }
+
+    const grid = document.createElement('div');
+    grid.className = 'dashboard-grid';
+    queryDashboard.tiles.forEach(tile => grid.appendChild(createTileElement(tile)));
+    dashboard.appendChild(grid);
+
+    refreshAllTiles();
+}
+
+// Re-run tiles one at a time, so chart ids (based on Date.now()) stay unique
+async function refreshAllTiles() {
+    for (const tile of queryDashboard.tiles) {
+        const element = getTileElement(tile.id);
+        if (element) {
+            await refreshTile(tile, element);
+        }
+    }
+}
+
+function getTileElement(tileId) {
+    return document.querySelector(`#queryDashboard .dashboard-tile[data-tile-id="${tileId}"]`);
+}
+
+// Tile with a drag handle header, size/refresh/remove actions, a status line and the rendered answer
+function createTileElement(tile) {
+    const element = document.createElement('div');
+    element.className = 'dashboard-tile';
+    element.classList.toggle('wide', tile.size === 'wide');
+    element.dataset.tileId = tile.id;
+
+    const header = document.createElement('div');
+    header.className = 'dashboard-tile-header';
+    header.draggable = true;
+    header.title = 'Drag to move this tile';
+
+    const title = document.createElement('span');
+    title.className = 'dashboard-tile-title';
+    title.textContent = tile.question;
+
+    const actions = document.createElement('div');
+    actions.className = 'chart-actions';
+    actions.append(
+        createTileButton('↔️', 'Toggle full width', () => toggleTileSize(tile, element)),
+        createTileButton('🔄', 'Re-run this query', () => refreshTile(tile, element)),
+        createTileButton('✖', 'Unpin', () => removeTile(tile, element))
+    );
+
+    header.append(title, actions);
+
+    const status = document.createElement('div');
+    status.className = 'panel-status';
+
+    const body = document.createElement('div');
+    body.className = 'dashboard-tile-body';
+
+    element.append(header, status, body);
+
+    // Dropping a tile on another takes its place in the grid
+    header.addEventListener('dragstart', event => {
+        draggedTileId = tile.id;
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', tile.id);
+        event.dataTransfer.setDragImage(element, 20, 20);
+        element.classList.add('dragging');
+    });
+    header.addEventListener('dragend', () => {
+        draggedTileId = null;
+        element.classList.remove('dragging');
+    });
+    element.addEventListener('dragover', event => {
+        if (!draggedTileId || draggedTileId === tile.id) return;
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'move';
+    });
+    element.addEventListener('drop', event => {
+        if (!draggedTileId || draggedTileId === tile.id) return;
+        event.preventDefault();
+        moveTile(draggedTileId, tile.id);
+    });
+
+    return element;
+}
+
+function createTileButton(text, title, onClick) {
+    const button = document.createElement('button');
+    button.className = 'chart-action-btn';
+    button.title = title;
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+// Run the tile's query and render the answer the way the chat would
+async function refreshTile(tile, element) {
+    const status = element.querySelector('.panel-status');
+    const body = element.querySelector('.dashboard-tile-body');
+
+    status.className = 'panel-status';
+    status.textContent = '⏳ Running...';
+    offlineCache.lastCachedAt = null;
+
+    try {
+        const result = await apiRequest('/api/query', {
+            method: 'POST',
+            body: getTileRequestBody(tile),
+            timeout: DASHBOARD_TILE_TIMEOUT
+        });
+        if (!element.isConnected) return;
+
+        destroyMessageCharts(body);
+        body.innerHTML = '';
+        await renderMessagesInto(body, () => result.answer
+            ? displayAIResponse(result)
+            : processQueryResult(tile.question, result, tile.params || parseQueryIntent(tile.question)));
+
+        status.textContent = offlineCache.lastCachedAt
+            ? `📦 Server unreachable, cached ${formatCachedAt(offlineCache.lastCachedAt)}`
+            : `Updated ${new Date().toLocaleTimeString()}`;
+    } catch (error) {
+        console.error('Dashboard tile error:', error);
+        status.className = 'panel-status error';
+        status.textContent = `❌ ${describeError(error)}`;
+    }
+}
+
+// /api/query body: the question, plus the structured params of a query edited through filter chips
+function getTileRequestBody(tile) {
+    if (!tile.params) {
+        return { question: tile.question };
+    }
+
+    const { query, filters, aggregation, group_by: groupBy, limit } = tile.params;
+    return { question: query, filters, aggregation, groupBy, limit };
+}
+
+function toggleTileSize(tile, element) {
+    tile.size = tile.size === 'wide' ? 'normal' : 'wide';
+    element.classList.toggle('wide', tile.size === 'wide');
+    saveQueryDashboard();
+}
+
+function removeTile(tile, element) {
+    queryDashboard.tiles = queryDashboard.tiles.filter(other => other !== tile);
+    saveQueryDashboard();
+
+    destroyMessageCharts(element);
+    element.remove();
+    if (queryDashboard.tiles.length === 0) {
+        renderQueryDashboard();
+    }
+}
+
+// Move a tile to another tile's position, in the saved order and in the grid
+function moveTile(fromId, toId) {
+    const tiles = queryDashboard.tiles;
+    const fromIndex = tiles.findIndex(tile => tile.id === fromId);
+    const toIndex = tiles.findIndex(tile => tile.id === toId);
+    if (fromIndex === -1 || toIndex === -1) return;
+
+    const [moved] = tiles.splice(fromIndex, 1);
+    tiles.splice(toIndex, 0, moved);
+    saveQueryDashboard();
+
+    const movedElement = getTileElement(fromId);
+    const targetElement = getTileElement(toId);
+    targetElement.parentNode.insertBefore(movedElement, fromIndex < toIndex ? targetElement.nextSibling : targetElement);
+}
@@ -0,0 +1,202 @@
+// Demand vs supply (bid/ask) answers
+
+import { fetchQueryRows } from './api.js';
+import { chartInstances, chartColors, getChartTypeMenu, syncChartTypeMenu } from './charts.js';
+import { parseQueryIntent } from './parsing.js';
+import { showQueryError, generateTitle, addAssistantMessage, hideTypingIndicator, escapeHtml } from './rendering.js';
+
+// Grouping for demand/supply charts when the question doesn't name one
+const DEFAULT_DEMAND_SUPPLY_GROUP = 'date';
+
+// Demand and supply together, or any bid-ask / tightness wording
+export function isDemandSupplyQuery(query) {
+    const metrics = parseQueryIntent(query).metrics || [];
+    return metrics.includes('bid_ask_ratio') || (metrics.includes('demand') && metrics.includes('supply'));
+}
+
+// Fetch grouped demand/supply/MCV averages for the question and chart them
+export async function handleDemandSupplyRequest(query, params = parseQueryIntent(query)) {
+    const groupBy = params.group_by || DEFAULT_DEMAND_SUPPLY_GROUP;
+
+    try {
+        const result = await fetchQueryRows({
+            query: query,
+            filters: params.filters,
+            aggregation: 'average',
+            group_by: groupBy
+        });
+        hideTypingIndicator();
+
+        if (!result.success) {
+            addAssistantMessage(`❌ ${escapeHtml(result.message)}`);
+            return;
+        }
+
+        showDemandSupplyResponse(query, result, groupBy, params.filters);
+    } catch (error) {
+        hideTypingIndicator();
+        showQueryError(error, 'Could not load demand and supply');
+    }
+}
+
+function showDemandSupplyResponse(query, result, groupBy, filters) {
+    const groups = result.metadata?.groups || [];
+
+    let content = `### ⚖️ ${generateTitle(query)}\n\n`;
+
+    if (groups.length === 0) {
+        content += 'No data found for these filters.';
+        addAssistantMessage(content);
+        return;
+    }
+
+    const scope = [filters.market_type || 'All markets', filters.year].filter(Boolean).join(', ');
+    const tightGroups = groups.filter(g => g.bid_ask_ratio > 1);
+    const tightest = groups.reduce((max, g) => (g.bid_ask_ratio > max.bid_ask_ratio ? g : max), groups[0]);
+    const loosest = groups.reduce((min, g) => (g.bid_ask_ratio < min.bid_ask_ratio ? g : min), groups[0]);
+    const average = key => groups.reduce((sum, g) => sum + g[key], 0) / groups.length;
+
+    content += `Average IEX demand (purchase bids), supply (sell bids) and cleared volume by ${groupBy.replace('_', ' ')} for **${scope}**, based on ${result.totalRecords.toLocaleString()} records. A bid/ask ratio above 1 means buyers outbid sellers and the market is tight.\n\n`;
+    content += `- Average demand: **${average('demand_average').toFixed(2)} GW**, supply: **${average('supply_average').toFixed(2)} GW**, cleared: **${average('mcv_average').toFixed(2)} GW**\n`;
+    content += `- Tightest: **${tightest.group_key}** (bid/ask ${tightest.bid_ask_ratio.toFixed(2)}, MCP ₹${tightest.mcp_average.toFixed(2)}/kWh)\n`;
+    content += `- Loosest: **${loosest.group_key}** (bid/ask ${loosest.bid_ask_ratio.toFixed(2)}, MCP ₹${loosest.mcp_average.toFixed(2)}/kWh)\n`;
+    content += `- Demand exceeded supply in **${tightGroups.length}** of ${groups.length} periods\n\n`;
+
+    const chartId = `demand-supply-chart-${Date.now()}`;
+    content += `<div class="chart-container">
+        <div class="chart-header">
+            <div class="chart-title">Demand vs Supply with Cleared Volume</div>
+            <div class="chart-actions">
+                <button class="chart-action-btn" data-action="downloadChart" data-action-arg="${chartId}" title="Download Chart">📥</button>
+                ${getChartTypeMenu(chartId)}
+            </div>
+        </div>
+        <canvas id="${chartId}" style="max-height: 450px;"></canvas>
+    </div>`;
+
+    addAssistantMessage(content);
+
+    setTimeout(() => {
+        renderDemandSupplyChart(chartId, groups);
+    }, 100);
+}
+
+// Demand and supply lines with cleared volume (MCV) bars on a shared GW axis; bid/ask ratio on the right
+function renderDemandSupplyChart(chartId, groups) {
+    const ctx = document.getElementById(chartId);
+    if (!ctx) return;
+
+    // Destroy existing chart if any
+    if (chartInstances[chartId]) {
+        chartInstances[chartId].destroy();
+    }
+
+    const manyPoints = groups.length > 60;
+
+    chartInstances[chartId] = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: groups.map(g => g.group_key),
+            datasets: [
+                {
+                    label: 'IEX Demand (GW)',
+                    type: 'line',
+                    data: groups.map(g => g.demand_average),
+                    borderColor: '#e53e3e',
+                    backgroundColor: 'rgba(229, 62, 62, 0.1)',
+                    borderWidth: 2,
+                    tension: 0.3,
+                    pointRadius: manyPoints ? 0 : 3,
+                    yAxisID: 'y-gw',
+                    order: 1
+                },
+                {
+                    label: 'IEX Supply (GW)',
+                    type: 'line',
+                    data: groups.map(g => g.supply_average),
+                    borderColor: chartColors.emeraldBorder,
+                    backgroundColor: 'rgba(16, 185, 129, 0.1)',
+                    borderWidth: 2,
+                    tension: 0.3,
+                    pointRadius: manyPoints ? 0 : 3,
+                    yAxisID: 'y-gw',
+                    order: 1
+                },
+                {
+                    label: 'Bid/Ask Ratio',
+                    type: 'line',
+                    data: groups.map(g => g.bid_ask_ratio),
+                    borderColor: chartColors.amberBorder,
+                    borderWidth: 1.5,
+                    borderDash: [6, 4],
+                    tension: 0.3,
+                    pointRadius: 0,
+                    yAxisID: 'y-ratio',
+                    order: 0
+                },
+                {
+                    label: 'Cleared Volume MCV (GW)',
+                    type: 'bar',
+                    data: groups.map(g => g.mcv_average),
+                    backgroundColor: 'rgba(0, 168, 204, 0.3)',
+                    borderWidth: 0,
+                    yAxisID: 'y-gw',
+                    order: 2
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top'
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            const digits = context.dataset.yAxisID === 'y-ratio' ? 3 : 2;
+                            return `${context.dataset.label}: ${context.parsed.y.toFixed(digits)}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    ticks: {
+                        autoSkip: true,
+                        maxTicksLimit: 24
+                    }
+                },
+                'y-gw': {
+                    type: 'linear',
+                    position: 'left',
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: 'Volume (GW)'
+                    }
+                },
+                'y-ratio': {
+                    type: 'linear',
+                    position: 'right',
+                    title: {
+                        display: true,
+                        text: 'Bid/Ask Ratio',
+                        color: chartColors.amberBorder
+                    },
+                    grid: {
+                        drawOnChartArea: false
+                    }
+                }
+            }
+        }
+    });
+
+    syncChartTypeMenu(chartId, 'bar');
+}
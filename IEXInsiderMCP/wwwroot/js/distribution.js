@@ -0,0 +1,235 @@
+// Price distribution panel: duration curve, histogram or box plot of MCP/MCV over a chosen period
+
+import { describeError, fetchQueryRows } from './api.js';
+import { getPercentile, renderDistributionChart } from './charts.js';
+import { MARKET_TYPES, parseQueryIntent, getFilterDateRange } from './parsing.js';
+import {
+    addAssistantMessage,
+    hideTypingIndicator,
+    scrollToBottom,
+    createPanelSelect,
+    createPanelLabel,
+    createPanelDateInput,
+    setRecentPanelPeriod
+} from './rendering.js';
+import { sanitizeHtml, renderMarkdown } from './sanitize.js';
+
+// Days covered when the question names no period (duration curves are usually read over a year)
+const DEFAULT_DISTRIBUTION_DAYS = 365;
+
+const DISTRIBUTION_METRICS = [
+    { value: 'mcp', label: 'MCP (₹/kWh)', name: 'MCP', unit: '₹/kWh' },
+    { value: 'mcv', label: 'MCV (GW)', name: 'MCV', unit: 'GW' }
+];
+
+// Box plots show one box per month of the period
+const DISTRIBUTION_CHARTS = [
+    { value: 'duration', label: 'Duration curve' },
+    { value: 'histogram', label: 'Histogram' },
+    { value: 'boxplot', label: 'Box plot by month' }
+];
+
+// "Duration curve for RTM 2024", "price histogram", "box plot of MCP", "distribution of prices in DAM"
+export function isDistributionQuery(query) {
+    return /\b(duration curves?|histograms?|box[\s-]?plots?|box[\s-]and[\s-]whiskers?)\b|\b(price|mcp|mcv|volume)\s+distribution\b|\bdistribution of (prices?|mcp|mcv|volumes?)\b/i.test(query);
+}
+
+// Handle a distribution question from the chat input: market, period, metric and chart come from its wording
+export async function handleDistributionRequest(query) {
+    hideTypingIndicator();
+
+    try {
+        const queryLower = query.toLowerCase();
+        const params = parseQueryIntent(query);
+        const { dateFrom, dateTo } = getFilterDateRange(params.filters);
+
+        let chart = 'histogram';
+        if (queryLower.includes('duration')) {
+            chart = 'duration';
+        } else if (/box[\s-]?plot|box[\s-]and[\s-]whisker/.test(queryLower)) {
+            chart = 'boxplot';
+        }
+
+        await showDistributionPanel({
+            marketType: params.filters.market_type || 'DAM',
+            dateFrom,
+            dateTo,
+            metric: /\b(mcv|volume)\b/.test(queryLower) && !/\b(mcp|price)\b/.test(queryLower) ? 'mcv' : 'mcp',
+            chart
+        });
+    } finally {
+        document.getElementById('sendButton').disabled = false;
+    }
+}
+
+// Display the distribution panel with market, period, metric and chart controls
+async function showDistributionPanel({ marketType, dateFrom, dateTo, metric, chart }) {
+    const messageDiv = addAssistantMessage(`### 📉 Price Distribution\n\nHow often each level was reached across the 15-minute blocks of the period. A duration curve sorts the blocks from highest to lowest, so the value at 10% is met or exceeded 10% of the time.`);
+    const messageText = messageDiv.querySelector('.message-text');
+    const chartId = `distribution-chart-${Date.now()}`;
+
+    const controls = document.createElement('div');
+    controls.className = 'panel-controls';
+
+    const marketSelect = createPanelSelect(MARKET_TYPES.map(m => ({ value: m, label: m })), marketType);
+    const fromInput = createPanelDateInput();
+    const toInput = createPanelDateInput();
+    const metricSelect = createPanelSelect(DISTRIBUTION_METRICS, metric);
+    const chartSelect = createPanelSelect(DISTRIBUTION_CHARTS, chart);
+
+    controls.appendChild(createPanelLabel('Market', marketSelect));
+    controls.appendChild(createPanelLabel('From', fromInput));
+    controls.appendChild(createPanelLabel('To', toInput));
+    controls.appendChild(createPanelLabel('Metric', metricSelect));
+    controls.appendChild(createPanelLabel('Chart', chartSelect));
+
+    const status = document.createElement('span');
+    status.className = 'panel-status';
+    controls.appendChild(status);
+
+    const summary = document.createElement('div');
+
+    const chartContainer = document.createElement('div');
+    chartContainer.className = 'chart-container';
+    chartContainer.innerHTML = sanitizeHtml(`
+        <div class="chart-header">
+            <div class="chart-title">Price Distribution</div>
+            <div class="chart-actions">
+                <button class="chart-action-btn" data-action="downloadChart" data-action-arg="${chartId}" title="Download Chart">📥</button>
+            </div>
+        </div>
+        <canvas id="${chartId}" style="max-height: 450px;"></canvas>
+    `);
+
+    messageText.appendChild(controls);
+    messageText.appendChild(summary);
+    messageText.appendChild(chartContainer);
+    scrollToBottom();
+
+    const panel = {
+        chartId, marketSelect, fromInput, toInput, metricSelect, chartSelect, status, summary,
+        chartTitle: chartContainer.querySelector('.chart-title'),
+        records: []
+    };
+
+    // Market and period need new records; metric and chart only redraw
+    marketSelect.addEventListener('change', () => loadDistribution(panel));
+    fromInput.addEventListener('change', () => loadDistribution(panel));
+    toInput.addEventListener('change', () => loadDistribution(panel));
+    metricSelect.addEventListener('change', () => renderDistribution(panel));
+    chartSelect.addEventListener('change', () => renderDistribution(panel));
+
+    if (dateFrom && dateTo) {
+        fromInput.value = dateFrom;
+        toInput.value = dateTo;
+    } else {
+        await setRecentPanelPeriod(fromInput, toInput, DEFAULT_DISTRIBUTION_DAYS);
+    }
+
+    await loadDistribution(panel);
+}
+
+// Fetch the raw records for the market and period, then draw the distribution
+async function loadDistribution(panel) {
+    const marketType = panel.marketSelect.value;
+    const dateFrom = panel.fromInput.value;
+    const dateTo = panel.toInput.value;
+
+    if (!dateFrom || !dateTo || dateFrom > dateTo) {
+        panel.status.className = 'panel-status error';
+        panel.status.textContent = '❌ Choose a start date on or before the end date.';
+        return;
+    }
+
+    const controls = [panel.marketSelect, panel.fromInput, panel.toInput];
+    panel.status.className = 'panel-status';
+    panel.status.textContent = `⏳ Loading ${marketType} time blocks...`;
+    controls.forEach(control => { control.disabled = true; });
+
+    try {
+        const result = await fetchQueryRows({
+            query: `Price distribution for ${marketType}`,
+            filters: { market_type: marketType, start_date: dateFrom, end_date: dateTo }
+        });
+
+        if (!result.success) {
+            throw new Error(result.message);
+        }
+        if (!result.data || result.data.length === 0) {
+            throw new Error(`No ${marketType} records between ${dateFrom} and ${dateTo}.`);
+        }
+
+        panel.records = result.data;
+        panel.status.textContent = '';
+        renderDistribution(panel);
+    } catch (error) {
+        console.error('Distribution error:', error);
+        panel.status.className = 'panel-status error';
+        panel.status.textContent = `❌ ${describeError(error)}`;
+    } finally {
+        controls.forEach(control => { control.disabled = false; });
+    }
+}
+
+// Summary cards and chart for the loaded records, metric and chart type
+function renderDistribution(panel) {
+    if (panel.records.length === 0) return;
+
+    const metric = DISTRIBUTION_METRICS.find(m => m.value === panel.metricSelect.value);
+    const chart = DISTRIBUTION_CHARTS.find(c => c.value === panel.chartSelect.value);
+    const marketType = panel.marketSelect.value;
+    const values = panel.records.map(record => record[metric.value]).filter(value => typeof value === 'number');
+
+    panel.chartTitle.textContent = `${marketType} ${metric.name} ${chart.label} (${panel.fromInput.value} to ${panel.toInput.value})`;
+    panel.summary.innerHTML = renderMarkdown(formatDistributionSummary(values, metric));
+
+    const series = chart.value === 'boxplot'
+        ? getMonthlySeries(panel.records, metric.value)
+        : [{ label: `${marketType} ${metric.name}`, values }];
+
+    renderDistributionChart(panel.chartId, chart.value, series, metric.label);
+}
+
+// One series of values per yyyy-MM month, in date order
+function getMonthlySeries(records, metricKey) {
+    const valuesByMonth = {};
+    records.forEach(record => {
+        const value = record[metricKey];
+        if (typeof value !== 'number') return;
+
+        const month = String(record.date).slice(0, 7);
+        (valuesByMonth[month] = valuesByMonth[month] || []).push(value);
+    });
+
+    return Object.keys(valuesByMonth).sort().map(month => ({ label: month, values: valuesByMonth[month] }));
+}
+
+// Average, median and the levels exceeded 10% and 90% of the time
+function formatDistributionSummary(values, metric) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const average = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+    const format = value => metric.value === 'mcp' ? `₹${value.toFixed(2)}` : `${value.toFixed(2)} GW`;
+
+    let content = '<div class="stats-grid">';
+    content += `<div class="stat-card">
+        <div class="stat-value">${format(average)}</div>
+        <div class="stat-label">Average ${metric.name}</div>
+    </div>`;
+    content += `<div class="stat-card">
+        <div class="stat-value">${format(getPercentile(sorted, 0.5))}</div>
+        <div class="stat-label">Median</div>
+    </div>`;
+    content += `<div class="stat-card">
+        <div class="stat-value">${format(getPercentile(sorted, 0.9))}</div>
+        <div class="stat-label">Exceeded 10% of the time</div>
+    </div>`;
+    content += `<div class="stat-card">
+        <div class="stat-value">${format(getPercentile(sorted, 0.1))}</div>
+        <div class="stat-label">Exceeded 90% of the time</div>
+    </div>`;
+    content += '</div>';
+
+    content += `\n\n**Blocks:** ${sorted.length.toLocaleString()} | **Min:** ${format(sorted[0])} | **Max:** ${format(sorted[sorted.length - 1])}\n`;
+
+    return content;
+}
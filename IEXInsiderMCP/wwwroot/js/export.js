@@ -0,0 +1,259 @@
+// CSV and Excel export of tables and charts in a message
+
+import { chartInstances } from './charts.js';
+import { toISODateString } from './parsing.js';
+import { addAssistantMessage } from './rendering.js';
+
+// Rows behind rendered tables and charts, keyed by a table's data-export-id or a chart id.
+// Anything not registered is read back from the table cells or the Chart.js datasets.
+const exportSources = {};
+let exportSourceCount = 0;
+let exportPruneTimer = null;
+
+// Excel sheet names are limited to 31 characters and can't contain []:*?/\
+const SHEET_NAME_MAX_LENGTH = 31;
+
+// Register the rows behind a table or chart and return its export id
+export function registerExportSource(title, headers, rows, id) {
+    const exportId = id || `export-${Date.now()}-${exportSourceCount++}`;
+    exportSources[exportId] = { title, headers, rows };
+
+    // Markup is often added to the page just after its rows are registered, so prune on a later tick
+    if (exportPruneTimer === null) {
+        exportPruneTimer = setTimeout(pruneExportSources, 0);
+    }
+    return exportId;
+}
+
+// Rows registered for a table or chart, if any
+export function getExportSource(exportId) {
+    return exportSources[exportId];
+}
+
+// Drop the rows of tables and charts no longer in the page (cleared chats, refreshed tiles, re-rendered panels)
+function pruneExportSources() {
+    exportPruneTimer = null;
+    Object.keys(exportSources).forEach(exportId => {
+        if (!document.getElementById(exportId) && !document.querySelector(`[data-export-id="${CSS.escape(exportId)}"]`)) {
+            delete exportSources[exportId];
+        }
+    });
+}
+
+// Export every table and chart in a message as CSV or an .xlsx workbook
+export function exportMessageData(button, format) {
+    const messageDiv = button.closest('.message');
+    if (!messageDiv) return;
+
+    const sections = collectExportSections(messageDiv);
+    if (sections.length === 0) return;
+
+    const metadata = getExportMetadata(messageDiv);
+    const fileName = `iex-${slugify(metadata.title)}-${toISODateString(new Date())}`;
+
+    if (format === 'xlsx') {
+        downloadWorkbook(sections, metadata, fileName);
+    } else {
+        const csv = buildCsv(sections);
+        // BOM so Excel opens the ₹ symbol correctly
+        downloadBlob(new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' }), `${fileName}.csv`);
+    }
+}
+
+// Tables and charts in document order, each as { title, headers, rows }
+function collectExportSections(messageDiv) {
+    const sections = [];
+
+    messageDiv.querySelectorAll('table, canvas[id], .record-grid').forEach(element => {
+        if (element.classList.contains('record-grid')) {
+            const source = exportSources[element.dataset.exportId];
+            if (source) sections.push(source);
+            return;
+        }
+
+        if (element.tagName === 'TABLE') {
+            const source = exportSources[element.dataset.exportId];
+            sections.push(source || extractTableSection(element));
+            return;
+        }
+
+        const chart = chartInstances[element.id];
+        if (exportSources[element.id]) {
+            sections.push(exportSources[element.id]);
+        } else if (chart) {
+            const titleElement = element.closest('.chart-container')?.querySelector('.chart-title');
+            sections.push(extractChartSection(chart, titleElement ? titleElement.textContent.trim() : 'Chart'));
+        }
+    });
+
+    return sections.filter(section => section.rows.length > 0);
+}
+
+// Read a rendered HTML table back into headers and rows
+function extractTableSection(table) {
+    const headers = Array.from(table.querySelectorAll('thead th')).map(th => th.textContent.trim());
+    const rows = Array.from(table.querySelectorAll('tbody tr')).map(tr =>
+        Array.from(tr.querySelectorAll('td')).map(td => parseExportCell(td.textContent))
+    );
+
+    return { title: 'Table', headers, rows };
+}
+
+// Turn "₹4.1234" or "1,234" into a number; leave other text alone
+function parseExportCell(text) {
+    const trimmed = text.trim();
+    const numeric = trimmed.replace(/^₹/, '').replace(/\s*(₹\/kWh|GW|%)$/, '').replace(/,/g, '');
+    return numeric !== '' && !isNaN(numeric) ? Number(numeric) : trimmed;
+}
+
+// Flatten Chart.js datasets into rows: one per label, or one per point for scatter/bubble data
+function extractChartSection(chart, title) {
+    const datasets = chart.data.datasets || [];
+    const labels = (chart.data.labels || []).map(label => Array.isArray(label) ? label.join(' ') : label);
+    const hasPointObjects = datasets.some(dataset =>
+        (dataset.data || []).some(point => point !== null && typeof point === 'object')
+    );
+
+    if (hasPointObjects) {
+        const rows = [];
+        datasets.forEach(dataset => {
+            dataset.data.forEach(point => {
+                if (point === null || typeof point !== 'object') return;
+                rows.push([dataset.label || '', point.x, point.y]);
+            });
+        });
+
+        return {
+            title,
+            headers: ['Series', getChartAxisTitle(chart, 'x') || 'X', getChartAxisTitle(chart, 'y') || 'Y'],
+            rows
+        };
+    }
+
+    return {
+        title,
+        headers: [getChartAxisTitle(chart, 'x') || 'Label', ...datasets.map(dataset => getDatasetExportHeader(chart, dataset))],
+        rows: labels.map((label, index) => [
+            label,
+            ...datasets.map(dataset => {
+                const value = dataset.data[index];
+                return value === null || value === undefined ? '' : value;
+            })
+        ])
+    };
+}
+
+function getChartAxisTitle(chart, axisId) {
+    const title = chart.options.scales?.[axisId]?.title;
+    if (!title || !title.display || !title.text) return null;
+    return Array.isArray(title.text) ? title.text.join(' ') : title.text;
+}
+
+// Dataset label with its unit, taken from the y axis title when the label has none
+function getDatasetExportHeader(chart, dataset) {
+    const label = dataset.label || 'Value';
+    if (/₹|GW|kWh|%/.test(label)) return label;
+
+    const axisTitle = getChartAxisTitle(chart, dataset.yAxisID || 'y');
+    const unitMatch = axisTitle ? axisTitle.match(/\(([^)]+)\)/) : null;
+    return unitMatch ? `${label} (${unitMatch[1]})` : label;
+}
+
+// The question the message answers and its heading
+function getExportMetadata(messageDiv) {
+    let query = '';
+    for (let previous = messageDiv.previousElementSibling; previous; previous = previous.previousElementSibling) {
+        if (previous.classList.contains('message-user')) {
+            query = previous.querySelector('.message-text').textContent.trim();
+            break;
+        }
+    }
+
+    const heading = messageDiv.querySelector('h1, h2, h3, h4');
+
+    return {
+        query: query || 'N/A',
+        title: heading ? heading.textContent.trim() : 'IEX Insider export',
+        exportedAt: new Date().toLocaleString()
+    };
+}
+
+function toCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One CSV; when a message has several tables/charts each gets a titled block
+function buildCsv(sections) {
+    const lines = [];
+
+    sections.forEach((section, index) => {
+        if (sections.length > 1) {
+            if (index > 0) lines.push('');
+            lines.push(toCsvValue(section.title));
+        }
+        lines.push(section.headers.map(toCsvValue).join(','));
+        section.rows.forEach(row => {
+            lines.push(row.map(toCsvValue).join(','));
+        });
+    });
+
+    return lines.join('\r\n');
+}
+
+// Build the workbook in the browser with SheetJS: one sheet per table/chart plus a Metadata sheet
+function downloadWorkbook(sections, metadata, fileName) {
+    if (typeof XLSX === 'undefined') {
+        addAssistantMessage('❌ Excel export is unavailable because the spreadsheet library failed to load. Try the CSV export instead.');
+        return;
+    }
+
+    const workbook = XLSX.utils.book_new();
+    const usedNames = new Set(['Metadata']);
+    const sheetSummaries = [];
+
+    sections.forEach(section => {
+        const sheetName = getUniqueSheetName(section.title, usedNames);
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([section.headers, ...section.rows]), sheetName);
+        sheetSummaries.push(['Sheet', sheetName, `${section.rows.length.toLocaleString()} rows`]);
+    });
+
+    const metadataRows = [
+        ['Query', metadata.query],
+        ['Title', metadata.title],
+        ['Exported At', metadata.exportedAt],
+        ['Source', 'IEX Insider AI'],
+        [],
+        ...sheetSummaries
+    ];
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(metadataRows), 'Metadata');
+
+    XLSX.writeFile(workbook, `${fileName}.xlsx`);
+}
+
+function getUniqueSheetName(title, usedNames) {
+    const baseName = (title || 'Data').replace(/[\[\]:*?\/\\]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, SHEET_NAME_MAX_LENGTH) || 'Data';
+
+    let sheetName = baseName;
+    for (let suffix = 2; usedNames.has(sheetName); suffix++) {
+        const suffixText = ` (${suffix})`;
+        sheetName = baseName.slice(0, SHEET_NAME_MAX_LENGTH - suffixText.length) + suffixText;
+    }
+
+    usedNames.add(sheetName);
+    return sheetName;
+}
+
+export function slugify(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 50) || 'export';
+}
+
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.download = fileName;
+    link.href = url;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,344 @@
+// Price forecast panel
+
+import { apiRequest, describeError, fetchQueryRows } from './api.js';
+import { chartInstances, chartColors, getChartTypeMenu, syncChartTypeMenu } from './charts.js';
+import { MARKET_TYPES, parseQueryIntent, toISODateString } from './parsing.js';
+import { addAssistantMessage, hideTypingIndicator, scrollToBottom, createPanelSelect, createPanelLabel } from './rendering.js';
+import { sanitizeHtml, renderMarkdown } from './sanitize.js';
+
+// Forecast horizons offered in the forecast panel (days)
+const FORECAST_HORIZONS = [7, 14, 30, 60, 90];
+export const DEFAULT_FORECAST_DAYS = 30;
+
+// Number of days of actual prices shown before the forecast starts
+const FORECAST_HISTORY_DAYS = 60;
+
+// Check if a query asks for a forecast/prediction
+export function isForecastQuery(query) {
+    return /\b(forecast|forecasting|predict|prediction|predictions)\b/i.test(query);
+}
+
+// Extract market type and horizon from a forecast query
+function parseForecastRequest(query) {
+    const queryLower = query.toLowerCase();
+    const params = parseQueryIntent(query);
+    let days = DEFAULT_FORECAST_DAYS;
+
+    const daysMatch = queryLower.match(/(\d+)\s*days?/);
+    const weeksMatch = queryLower.match(/(\d+)\s*weeks?/);
+    const monthsMatch = queryLower.match(/(\d+)\s*months?/);
+
+    if (daysMatch) {
+        days = parseInt(daysMatch[1]);
+    } else if (weeksMatch) {
+        days = parseInt(weeksMatch[1]) * 7;
+    } else if (monthsMatch) {
+        days = parseInt(monthsMatch[1]) * 30;
+    } else if (queryLower.includes('next week')) {
+        days = 7;
+    } else if (queryLower.includes('next month')) {
+        days = 30;
+    }
+
+    return {
+        marketType: params.filters.market_type || 'DAM',
+        days: Math.min(Math.max(days, 1), 365)
+    };
+}
+
+// Handle Forecast Request from the chat input
+export async function handleForecastRequest(query) {
+    hideTypingIndicator();
+
+    try {
+        const { marketType, days } = parseForecastRequest(query);
+        await showForecastPanel(marketType, days);
+    } finally {
+        document.getElementById('sendButton').disabled = false;
+    }
+}
+
+// Display the forecast panel with market/horizon controls
+export async function showForecastPanel(marketType, days) {
+    const messageDiv = addAssistantMessage(`### 🔮 Price Forecast\n\nML-based MCP forecast (daily average) with 95% confidence bands.`);
+    const messageText = messageDiv.querySelector('.message-text');
+    const chartId = `forecast-chart-${Date.now()}`;
+
+    // Market and horizon controls
+    const controls = document.createElement('div');
+    controls.className = 'panel-controls';
+
+    const marketSelect = createPanelSelect(MARKET_TYPES.map(m => ({ value: m, label: m })), marketType);
+    const horizons = FORECAST_HORIZONS.includes(days) ? FORECAST_HORIZONS : [...FORECAST_HORIZONS, days].sort((a, b) => a - b);
+    const horizonSelect = createPanelSelect(horizons.map(d => ({ value: d, label: `${d} days` })), days);
+
+    controls.appendChild(createPanelLabel('Market', marketSelect));
+    controls.appendChild(createPanelLabel('Horizon', horizonSelect));
+
+    const status = document.createElement('span');
+    status.className = 'panel-status';
+    controls.appendChild(status);
+
+    // Summary and chart
+    const summary = document.createElement('div');
+
+    const chartContainer = document.createElement('div');
+    chartContainer.className = 'chart-container';
+    chartContainer.innerHTML = sanitizeHtml(`
+        <div class="chart-header">
+            <div class="chart-title">Forecast</div>
+            <div class="chart-actions">
+                <button class="chart-action-btn" data-action="downloadChart" data-action-arg="${chartId}" title="Download Chart">📥</button>
+                ${getChartTypeMenu(chartId)}
+            </div>
+        </div>
+        <canvas id="${chartId}" style="max-height: 450px;"></canvas>
+    `);
+
+    messageText.appendChild(controls);
+    messageText.appendChild(summary);
+    messageText.appendChild(chartContainer);
+    scrollToBottom();
+
+    const panel = { chartId, marketSelect, horizonSelect, status, summary, chartTitle: chartContainer.querySelector('.chart-title') };
+    marketSelect.addEventListener('change', () => loadForecast(panel));
+    horizonSelect.addEventListener('change', () => loadForecast(panel));
+
+    await loadForecast(panel);
+}
+
+// Fetch forecast + historical tail and render the panel
+async function loadForecast(panel) {
+    const marketType = panel.marketSelect.value;
+    const days = parseInt(panel.horizonSelect.value);
+
+    panel.status.className = 'panel-status';
+    panel.status.textContent = `⏳ Forecasting ${days} days for ${marketType}...`;
+    panel.marketSelect.disabled = true;
+    panel.horizonSelect.disabled = true;
+
+    try {
+        const forecast = await fetchForecast(marketType, days);
+
+        if (!forecast.predictions || forecast.predictions.length === 0) {
+            throw new Error(`Forecast unavailable for ${marketType}. Need at least 30 days of historical data.`);
+        }
+
+        const history = await fetchForecastHistory(marketType, new Date(forecast.forecastStartDate));
+
+        panel.status.textContent = '';
+        panel.chartTitle.textContent = `${marketType}: ${days}-Day MCP Forecast`;
+        panel.summary.innerHTML = renderMarkdown(formatForecastSummary(forecast));
+
+        renderForecastChart(panel.chartId, forecast, history);
+    } catch (error) {
+        console.error('Forecast error:', error);
+        panel.status.className = 'panel-status error';
+        panel.status.textContent = `❌ ${describeError(error)}`;
+    } finally {
+        panel.marketSelect.disabled = false;
+        panel.horizonSelect.disabled = false;
+    }
+}
+
+// Fetch ForecastResult from the insights API
+async function fetchForecast(marketType, days) {
+    return await apiRequest(`/api/insights/forecast?marketType=${encodeURIComponent(marketType)}&days=${days}`);
+}
+
+// Fetch daily average MCP for the days leading up to the forecast
+async function fetchForecastHistory(marketType, forecastStartDate) {
+    const endDate = new Date(forecastStartDate);
+    endDate.setDate(endDate.getDate() - 1);
+    const startDate = new Date(endDate);
+    startDate.setDate(startDate.getDate() - (FORECAST_HISTORY_DAYS - 1));
+
+    try {
+        const result = await fetchQueryRows({
+            query: `Daily average MCP for ${marketType}`,
+            filters: {
+                market_type: marketType,
+                start_date: toISODateString(startDate),
+                end_date: toISODateString(endDate)
+            },
+            aggregation: 'average',
+            group_by: 'date'
+        });
+        const groups = result.metadata?.groups || [];
+
+        return groups.map(group => ({
+            date: group.group_key,
+            value: group.mcp_average
+        }));
+    } catch (error) {
+        // The forecast is still useful without its historical context
+        console.error('Error loading forecast history:', error);
+        return [];
+    }
+}
+
+// Build the markdown summary for a ForecastResult
+function formatForecastSummary(forecast) {
+    const values = forecast.predictions.map(p => p.predictedValue);
+    const avg = values.reduce((a, b) => a + b, 0) / values.length;
+    const start = new Date(forecast.predictions[0].date).toLocaleDateString();
+    const end = new Date(forecast.predictions[forecast.predictions.length - 1].date).toLocaleDateString();
+
+    let content = '<div class="stats-grid">';
+    content += `<div class="stat-card">
+        <div class="stat-value">₹${avg.toFixed(2)}</div>
+        <div class="stat-label">Avg Predicted MCP (₹/kWh)</div>
+    </div>`;
+    content += `<div class="stat-card">
+        <div class="stat-value">₹${Math.max(...values).toFixed(2)}</div>
+        <div class="stat-label">Peak Predicted MCP</div>
+    </div>`;
+    content += `<div class="stat-card">
+        <div class="stat-value">₹${Math.min(...values).toFixed(2)}</div>
+        <div class="stat-label">Lowest Predicted MCP</div>
+    </div>`;
+    content += `<div class="stat-card">
+        <div class="stat-value">${(forecast.confidenceScore * 100).toFixed(0)}%</div>
+        <div class="stat-label">Model Confidence</div>
+    </div>`;
+    content += '</div>';
+
+    content += `\n\n**Period:** ${start} to ${end} | **Model:** ${forecast.modelAccuracy || 'N/A'}\n`;
+
+    return content;
+}
+
+// Render forecast line chart: historical tail, prediction and confidence band
+function renderForecastChart(chartId, forecast, history) {
+    const ctx = document.getElementById(chartId);
+    if (!ctx) return;
+
+    // Destroy existing chart if any
+    if (chartInstances[chartId]) {
+        chartInstances[chartId].destroy();
+    }
+
+    const predictions = forecast.predictions;
+    const historyPadding = history.map(() => null);
+    const forecastPadding = predictions.map(() => null);
+
+    const labels = [
+        ...history.map(h => h.date),
+        ...predictions.map(p => toISODateString(new Date(p.date)))
+    ];
+
+    // Anchor the forecast line to the last actual value so the two lines connect
+    const forecastValues = [...historyPadding, ...predictions.map(p => p.predictedValue)];
+    if (history.length > 0) {
+        forecastValues[history.length - 1] = history[history.length - 1].value;
+    }
+
+    const datasets = [
+        {
+            label: 'Actual MCP (₹/kWh)',
+            data: [...history.map(h => h.value), ...forecastPadding],
+            borderColor: chartColors.primaryBlueBorder,
+            backgroundColor: chartColors.primaryBlue,
+            borderWidth: 2.5,
+            pointRadius: 0,
+            pointHoverRadius: 5,
+            tension: 0.3,
+            fill: false
+        },
+        {
+            label: 'Forecast MCP (₹/kWh)',
+            data: forecastValues,
+            borderColor: chartColors.amberBorder,
+            backgroundColor: chartColors.amber,
+            borderWidth: 2.5,
+            borderDash: [6, 4],
+            pointRadius: 0,
+            pointHoverRadius: 5,
+            tension: 0.3,
+            fill: false
+        },
+        {
+            label: 'Upper Bound (95%)',
+            data: [...historyPadding, ...predictions.map(p => p.upperBound)],
+            borderColor: 'rgba(251, 146, 60, 0.4)',
+            backgroundColor: 'rgba(251, 146, 60, 0.15)',
+            borderWidth: 1,
+            pointRadius: 0,
+            tension: 0.3,
+            fill: '+1'
+        },
+        {
+            label: 'Lower Bound (95%)',
+            data: [...historyPadding, ...predictions.map(p => p.lowerBound)],
+            borderColor: 'rgba(251, 146, 60, 0.4)',
+            backgroundColor: 'rgba(251, 146, 60, 0.15)',
+            borderWidth: 1,
+            pointRadius: 0,
+            tension: 0.3,
+            fill: false
+        }
+    ];
+
+    chartInstances[chartId] = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: labels,
+            datasets: datasets
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top',
+                    labels: {
+                        usePointStyle: true,
+                        padding: 15
+                    }
+                },
+                tooltip: {
+                    backgroundColor: 'rgba(30, 41, 59, 0.95)',
+                    padding: 12,
+                    filter: function(item) {
+                        return item.parsed.y !== null;
+                    },
+                    callbacks: {
+                        label: function(context) {
+                            return `${context.dataset.label}: ${context.parsed.y.toFixed(2)}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    ticks: {
+                        maxRotation: 45,
+                        minRotation: 0,
+                        autoSkip: true,
+                        maxTicksLimit: 20,
+                        color: '#64748b'
+                    }
+                },
+                y: {
+                    beginAtZero: false,
+                    title: {
+                        display: true,
+                        text: 'Price (₹/kWh)'
+                    },
+                    ticks: {
+                        callback: function(value) {
+                            return value.toFixed(2);
+                        }
+                    }
+                }
+            }
+        }
+    });
+
+    syncChartTypeMenu(chartId, 'line');
+}
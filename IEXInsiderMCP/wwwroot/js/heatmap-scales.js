@@ -0,0 +1,219 @@
+// Heat map colour scales: palettes, auto/fixed/shared bounds and the legend under each heat map
+
+import { chartInstances } from './charts.js';
+import { createRecordGridInput } from './record-grid.js';
+import { createPanelSelect, createPanelLabel } from './rendering.js';
+
+// Evenly spaced RGB stops from low to high values
+const HEATMAP_PALETTES = {
+    classic: { label: 'Classic', stops: [[0, 100, 255], [100, 255, 205], [155, 200, 0], [255, 255, 0], [255, 155, 0]] },
+    viridis: { label: 'Viridis (colour-blind safe)', stops: [[68, 1, 84], [59, 82, 139], [33, 145, 140], [94, 201, 98], [253, 231, 37]] },
+    cividis: { label: 'Cividis (colour-blind safe)', stops: [[0, 32, 77], [65, 77, 107], [124, 123, 120], [188, 175, 111], [255, 234, 70]] },
+    blueRed: { label: 'Blue–red (colour-blind safe)', stops: [[33, 102, 172], [146, 197, 222], [247, 247, 247], [244, 165, 130], [178, 24, 43]] },
+    greys: { label: 'Greyscale (print)', stops: [[240, 240, 240], [20, 20, 20]] }
+};
+
+const HEATMAP_OPACITY = 0.8;
+
+// localStorage key for the chosen palette and the fixed bounds per unit
+const HEATMAP_SCALE_KEY = 'iexInsider.heatMapScale';
+
+// auto: this heat map's own min/max; fixed: saved bounds for the unit;
+// shared: min/max across the heat maps of one multi-time-slot response with the same unit
+const HEATMAP_SCALE_MODES = [
+    { value: 'auto', label: 'Auto (this heat map)' },
+    { value: 'fixed', label: 'Fixed bounds' },
+    { value: 'shared', label: 'Shared across response' }
+];
+
+const heatMapScaleSettings = loadHeatMapScaleSettings();
+
+// Heat maps on the page by chart id: { values, unit, group, mode, legend }
+const heatMapScales = {};
+
+// Read the palette and fixed bounds from localStorage
+function loadHeatMapScaleSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(HEATMAP_SCALE_KEY)) || {};
+        return {
+            palette: HEATMAP_PALETTES[saved.palette] ? saved.palette : 'classic',
+            fixedBounds: saved.fixedBounds || {}
+        };
+    } catch (error) {
+        console.error('Error reading heat map scale settings:', error);
+        return { palette: 'classic', fixedBounds: {} };
+    }
+}
+
+function saveHeatMapScaleSettings() {
+    localStorage.setItem(HEATMAP_SCALE_KEY, JSON.stringify(heatMapScaleSettings));
+}
+
+// Track a heat map's values so its colours can follow palette and scale changes.
+// group ties together the heat maps of one multi-time-slot response (null for a standalone heat map).
+export function registerHeatMapScale(chartId, values, unit, group = null) {
+    heatMapScales[chartId] = { values, unit, group, mode: 'auto', legend: null };
+    return getHeatMapBounds(chartId);
+}
+
+// Colour for a value within { min, max }; values outside fixed bounds take the end colours
+export function getHeatMapColor(value, bounds) {
+    const stops = HEATMAP_PALETTES[heatMapScaleSettings.palette].stops;
+    const range = bounds.max - bounds.min;
+    const normalized = range > 0 ? Math.min(Math.max((value - bounds.min) / range, 0), 1) : 0.5;
+
+    const position = normalized * (stops.length - 1);
+    const index = Math.min(Math.floor(position), stops.length - 2);
+    const t = position - index;
+    const [r, g, b] = stops[index].map((channel, i) => Math.round(channel + t * (stops[index + 1][i] - channel)));
+
+    return `rgba(${r}, ${g}, ${b}, ${HEATMAP_OPACITY})`;
+}
+
+// Current { min, max } of a heat map's colour scale
+function getHeatMapBounds(chartId) {
+    const scale = heatMapScales[chartId];
+
+    if (scale.mode === 'fixed' && heatMapScaleSettings.fixedBounds[scale.unit]) {
+        return heatMapScaleSettings.fixedBounds[scale.unit];
+    }
+
+    const values = scale.mode === 'shared'
+        ? getSharedScales(scale).flatMap(other => other.values)
+        : scale.values;
+
+    return { min: Math.min(...values), max: Math.max(...values) };
+}
+
+function getSharedScales(scale) {
+    return Object.values(heatMapScales).filter(other => other.group === scale.group && other.unit === scale.unit);
+}
+
+// Legend bar with palette and scale controls, placed under the heat map's canvas
+export function renderHeatMapLegend(chartId) {
+    const scale = heatMapScales[chartId];
+    const container = document.getElementById(chartId)?.closest('.chart-container');
+    if (!scale || !container) return;
+
+    const legend = document.createElement('div');
+    legend.className = 'heatmap-legend';
+
+    const bar = document.createElement('div');
+    bar.className = 'heatmap-legend-bar';
+    const minLabel = document.createElement('span');
+    const maxLabel = document.createElement('span');
+
+    const scaleRow = document.createElement('div');
+    scaleRow.className = 'heatmap-legend-scale';
+    scaleRow.append(minLabel, bar, maxLabel);
+
+    const paletteSelect = createPanelSelect(
+        Object.entries(HEATMAP_PALETTES).map(([value, palette]) => ({ value, label: palette.label })),
+        heatMapScaleSettings.palette);
+    const modeSelect = createPanelSelect(
+        HEATMAP_SCALE_MODES.filter(mode => mode.value !== 'shared' || scale.group), scale.mode);
+    const minInput = createRecordGridInput('number', 'min');
+    const maxInput = createRecordGridInput('number', 'max');
+
+    const boundsLabels = [createPanelLabel('Min', minInput), createPanelLabel('Max', maxInput)];
+
+    const controls = document.createElement('div');
+    controls.className = 'panel-controls heatmap-legend-controls';
+    controls.append(createPanelLabel('🎨 Palette', paletteSelect), createPanelLabel('Scale', modeSelect), ...boundsLabels);
+
+    legend.append(scaleRow, controls);
+    container.appendChild(legend);
+
+    scale.legend = { bar, minLabel, maxLabel, paletteSelect, modeSelect, minInput, maxInput, boundsLabels };
+
+    // The palette applies to every heat map so they stay comparable
+    paletteSelect.addEventListener('change', () => {
+        heatMapScaleSettings.palette = paletteSelect.value;
+        saveHeatMapScaleSettings();
+        refreshHeatMapScales(() => true);
+    });
+
+    // Heat maps of one response switch scale mode together
+    modeSelect.addEventListener('change', () => {
+        const mode = modeSelect.value;
+        if (mode === 'fixed' && !heatMapScaleSettings.fixedBounds[scale.unit]) {
+            heatMapScaleSettings.fixedBounds[scale.unit] = getHeatMapBounds(chartId);
+            saveHeatMapScaleSettings();
+        }
+
+        const members = scale.group ? getSharedScales(scale) : [scale];
+        members.forEach(member => {
+            member.mode = mode;
+        });
+        refreshHeatMapScales(other => members.includes(other));
+    });
+
+    // Fixed bounds are kept per unit, for all heat maps locked to it
+    const onBoundsChange = () => {
+        const min = parseFloat(minInput.value);
+        const max = parseFloat(maxInput.value);
+        const isValid = Number.isFinite(min) && Number.isFinite(max) && min < max;
+        minInput.classList.toggle('invalid', !isValid);
+        maxInput.classList.toggle('invalid', !isValid);
+        if (!isValid) return;
+
+        heatMapScaleSettings.fixedBounds[scale.unit] = { min, max };
+        saveHeatMapScaleSettings();
+        refreshHeatMapScales(other => other.mode === 'fixed' && other.unit === scale.unit);
+    };
+    minInput.addEventListener('change', onBoundsChange);
+    maxInput.addEventListener('change', onBoundsChange);
+
+    updateHeatMapLegend(chartId);
+}
+
+// Recolour the heat maps matching a filter and update their legends.
+// Entries whose chart has since been destroyed are dropped.
+function refreshHeatMapScales(filter) {
+    Object.keys(heatMapScales).forEach(chartId => {
+        if (!chartInstances[chartId] || !document.getElementById(chartId)) {
+            delete heatMapScales[chartId];
+        }
+    });
+
+    Object.keys(heatMapScales).forEach(chartId => {
+        if (!filter(heatMapScales[chartId])) return;
+
+        const chart = chartInstances[chartId];
+        const bounds = getHeatMapBounds(chartId);
+        const dataset = chart.data.datasets[0];
+        const colors = dataset.data.map(point => getHeatMapColor(point.value, bounds));
+        dataset.data.forEach((point, i) => {
+            point.backgroundColor = colors[i];
+        });
+        dataset.backgroundColor = colors;
+        dataset.borderColor = colors;
+        chart.update('none');
+
+        updateHeatMapLegend(chartId);
+    });
+}
+
+function updateHeatMapLegend(chartId) {
+    const scale = heatMapScales[chartId];
+    if (!scale.legend) return;
+
+    const { bar, minLabel, maxLabel, paletteSelect, modeSelect, minInput, maxInput, boundsLabels } = scale.legend;
+    const bounds = getHeatMapBounds(chartId);
+    const stops = HEATMAP_PALETTES[heatMapScaleSettings.palette].stops;
+    const isFixed = scale.mode === 'fixed';
+
+    bar.style.background = `linear-gradient(to right, ${stops.map(([r, g, b]) => `rgba(${r}, ${g}, ${b}, ${HEATMAP_OPACITY})`).join(', ')})`;
+    minLabel.textContent = `${isFixed ? '≤ ' : ''}${bounds.min.toFixed(2)}`;
+    maxLabel.textContent = `${isFixed ? '≥ ' : ''}${bounds.max.toFixed(2)} ${scale.unit}`;
+
+    paletteSelect.value = heatMapScaleSettings.palette;
+    modeSelect.value = scale.mode;
+    boundsLabels.forEach(label => {
+        label.style.display = isFixed ? '' : 'none';
+    });
+    if (isFixed && document.activeElement !== minInput && document.activeElement !== maxInput) {
+        minInput.value = bounds.min;
+        maxInput.value = bounds.max;
+    }
+}
@@ -0,0 +1,1188 @@
+// Heat maps and multi-time-slot comparisons
+
+import { showDayDrillDown } from './anomalies.js';
+import { apiRequest, streamRequest } from './api.js';
+import { chartInstances, getMarketColor, chartColors, getChartTypeMenu, syncChartTypeMenu } from './charts.js';
+import { registerExportSource, slugify } from './export.js';
+import { registerHeatMapScale, getHeatMapColor, renderHeatMapLegend } from './heatmap-scales.js';
+import { getLinkedZoomOptions, linkedChartsPlugin } from './linked-charts.js';
+import { MARKET_TYPES, toISODateString } from './parsing.js';
+import { showProfilePanel } from './profile.js';
+import { showQueryError, addAssistantMessage, showTypingStatus, hideTypingIndicator, escapeHtml } from './rendering.js';
+
+// Handle Heat Map Request - INTELLIGENT VERSION
+export async function handleHeatMapRequest(query, queryParams) {
+    hideTypingIndicator();
+
+    const queryLower = query.toLowerCase();
+
+    // Determine which metrics to show (MCP, MCV, or both)
+    const hasMCP = queryLower.includes('mcp');
+    const hasMCV = queryLower.includes('mcv');
+
+    // If both mentioned, generate two heat maps
+    // If neither mentioned, default to BOTH
+    // If only one mentioned, show that one
+    const metrics = [];
+    if (hasMCP && !hasMCV) {
+        metrics.push('mcp');
+    } else if (hasMCV && !hasMCP) {
+        metrics.push('mcv');
+    } else {
+        // Default: show both MCP and MCV
+        metrics.push('mcp', 'mcv');
+    }
+
+    try {
+        // Use the NEW intelligent POST endpoint that parses the entire query
+        const heatMapPromises = metrics.map(async (metric) => {
+            // Modify query to specify metric
+            let metricQuery = query;
+            if (metrics.length === 1) {
+                // If only one metric, use the query as-is
+                metricQuery = query.replace(/\b(mcp|mcv)\b/gi, metric.toUpperCase());
+            } else {
+                // If both, create separate queries
+                metricQuery = query.replace(/\b(mcp|mcv)\b/gi, metric.toUpperCase());
+            }
+
+            const data = await apiRequest('/api/iex/heatmap', {
+                method: 'POST',
+                body: { query: metricQuery }
+            });
+            return { metric, data };
+        });
+
+        const results = await Promise.all(heatMapPromises);
+
+        // Check for errors
+        const failedResults = results.filter(r => !r.data.success);
+        if (failedResults.length > 0) {
+            addAssistantMessage(`❌ ${escapeHtml(failedResults[0].data.message)}`);
+            return;
+        }
+
+        // Display all heat maps
+        results.forEach(({ metric, data }) => {
+            displayHeatMap(query, data, metric);
+        });
+
+    } catch (error) {
+        showQueryError(error, 'Could not generate the heat map');
+    } finally {
+        document.getElementById('sendButton').disabled = false;
+    }
+}
+
+// Handle Multi-Time-Slot Request
+export async function handleMultiTimeSlotRequest(query) {
+    try {
+        const data = await streamRequest('/api/iex/multi-timeslot/stream', { query: query }, { onStatus: showTypingStatus });
+        hideTypingIndicator();
+
+        if (!data.success) {
+            addAssistantMessage(`❌ ${escapeHtml(data.message)}`);
+            return;
+        }
+
+        // Display overview message
+        addAssistantMessage(`### 📊 Multi-Time-Slot Analysis\n\n**${escapeHtml(data.message)}**\n\nGenerated ${data.results.length} results across markets and time slots.\n\n` +
+            `> 🔗 The charts below are linked: hovering a date marks it on all of them, and zooming (mouse wheel) or panning (drag) one moves the others to the same window.`);
+
+        // Group results by time slot for better organization
+        const resultsByTimeSlot = {};
+        data.results.forEach(result => {
+            if (!resultsByTimeSlot[result.timeSlotName]) {
+                resultsByTimeSlot[result.timeSlotName] = [];
+            }
+            resultsByTimeSlot[result.timeSlotName].push(result);
+        });
+
+        // Display results grouped by time slot; their charts are linked and heat maps can share one colour scale
+        const responseGroup = `timeslots-${Date.now()}`;
+        for (const [timeSlotName, results] of Object.entries(resultsByTimeSlot)) {
+            displayMultiTimeSlotGroup(timeSlotName, results, query, responseGroup);
+        }
+
+    } catch (error) {
+        hideTypingIndicator();
+        if (error.name === 'AbortError') {
+            addAssistantMessage('⏹️ Stopped the multi-time-slot analysis.');
+        } else {
+            showQueryError(error, 'Could not generate the multi-time-slot analysis');
+        }
+    } finally {
+        document.getElementById('sendButton').disabled = false;
+    }
+}
+
+// Display a group of results for a single time slot across markets
+function displayMultiTimeSlotGroup(timeSlotName, results, query, responseGroup) {
+    const queryLower = query.toLowerCase();
+
+    // Check if this is a combined MCP+MCV chart
+    const hasMCV = queryLower.includes('mcv') || queryLower.includes('volume');
+    const hasMCP = queryLower.includes('mcp') || queryLower.includes('price');
+    const isCombinedChart = hasMCV && hasMCP;
+
+    // Determine metric type
+    let metricType = 'MCP';
+    if (isCombinedChart) {
+        metricType = 'MCP & MCV';
+    } else if (hasMCV) {
+        metricType = 'MCV';
+    }
+    const unit = metricType === 'MCV' ? 'GW' : (metricType === 'MCP & MCV' ? 'Mixed' : '₹/kWh');
+
+    // Determine chart type
+    let chartType = 'heatmap';
+    if (queryLower.includes('bar chart') || queryLower.includes('bar graph')) {
+        chartType = 'bar';
+    } else if (queryLower.includes('line chart') || queryLower.includes('line graph')) {
+        chartType = 'line';
+    }
+
+    let content = `### 🕐 Time Slot: ${escapeHtml(timeSlotName)}\n\n`;
+    addAssistantMessage(content);
+
+    // Create a styled HTML table for statistics
+    const tableContainer = document.createElement('div');
+    tableContainer.style.margin = '20px 0';
+    tableContainer.style.overflowX = 'auto';
+
+    const table = document.createElement('table');
+    table.className = 'stats-table';
+
+    // Check if this is a combined multi-market result
+    const isCombinedMultiMarket = results.length > 0 && results[0].market === 'All Markets';
+
+    // Create header
+    const thead = document.createElement('thead');
+    const headerRow = document.createElement('tr');
+    if (isCombinedMultiMarket) {
+        ['Metric', 'Average', 'Max', 'Min', 'Records'].forEach(header => {
+            const th = document.createElement('th');
+            th.textContent = header;
+            headerRow.appendChild(th);
+        });
+    } else {
+        ['Market', 'Average', 'Max', 'Min', 'Records'].forEach(header => {
+            const th = document.createElement('th');
+            th.textContent = header;
+            headerRow.appendChild(th);
+        });
+    }
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    // Create body
+    const tbody = document.createElement('tbody');
+    results.forEach(result => {
+        const stats = result.statistics;
+
+        if (isCombinedMultiMarket) {
+            // For combined charts, show MCP and MCV rows separately
+            // MCP row
+            const mcpRow = document.createElement('tr');
+            const mcpLabelCell = document.createElement('td');
+            mcpLabelCell.innerHTML = `<strong style="color: #0f4c81">MCP (Price)</strong>`;
+            mcpRow.appendChild(mcpLabelCell);
+
+            const mcpAvgCell = document.createElement('td');
+            mcpAvgCell.textContent = `${(stats.avg_mcp || 0).toFixed(2)} ₹/kWh`;
+            mcpAvgCell.style.textAlign = 'right';
+            mcpRow.appendChild(mcpAvgCell);
+
+            const mcpMaxCell = document.createElement('td');
+            mcpMaxCell.textContent = `${(stats.max_mcp || 0).toFixed(2)} ₹/kWh`;
+            mcpMaxCell.style.textAlign = 'right';
+            mcpMaxCell.style.color = '#e74c3c';
+            mcpMaxCell.style.fontWeight = 'bold';
+            mcpRow.appendChild(mcpMaxCell);
+
+            const mcpMinCell = document.createElement('td');
+            mcpMinCell.textContent = `${(stats.min_mcp || 0).toFixed(2)} ₹/kWh`;
+            mcpMinCell.style.textAlign = 'right';
+            mcpMinCell.style.color = '#27ae60';
+            mcpMinCell.style.fontWeight = 'bold';
+            mcpRow.appendChild(mcpMinCell);
+
+            const mcpRecordsCell = document.createElement('td');
+            mcpRecordsCell.textContent = result.recordCount.toLocaleString();
+            mcpRecordsCell.style.textAlign = 'right';
+            mcpRecordsCell.rowSpan = 2;
+            mcpRow.appendChild(mcpRecordsCell);
+
+            tbody.appendChild(mcpRow);
+
+            // MCV row
+            const mcvRow = document.createElement('tr');
+            const mcvLabelCell = document.createElement('td');
+            mcvLabelCell.innerHTML = `<strong style="color: #00a8cc">MCV (Volume)</strong>`;
+            mcvRow.appendChild(mcvLabelCell);
+
+            const mcvAvgCell = document.createElement('td');
+            mcvAvgCell.textContent = `${(stats.avg_mcv || 0).toFixed(2)} GW`;
+            mcvAvgCell.style.textAlign = 'right';
+            mcvRow.appendChild(mcvAvgCell);
+
+            const mcvMaxCell = document.createElement('td');
+            mcvMaxCell.textContent = `${(stats.max_mcv || 0).toFixed(2)} GW`;
+            mcvMaxCell.style.textAlign = 'right';
+            mcvMaxCell.style.color = '#e74c3c';
+            mcvMaxCell.style.fontWeight = 'bold';
+            mcvRow.appendChild(mcvMaxCell);
+
+            const mcvMinCell = document.createElement('td');
+            mcvMinCell.textContent = `${(stats.min_mcv || 0).toFixed(2)} GW`;
+            mcvMinCell.style.textAlign = 'right';
+            mcvMinCell.style.color = '#27ae60';
+            mcvMinCell.style.fontWeight = 'bold';
+            mcvRow.appendChild(mcvMinCell);
+
+            tbody.appendChild(mcvRow);
+        } else {
+            // For single-market charts, show normal row
+            const row = document.createElement('tr');
+
+            // Market name cell with color indicator
+            const marketCell = document.createElement('td');
+            marketCell.innerHTML = `<strong style="color: ${getMarketColor(result.market)}">${escapeHtml(result.market)}</strong>`;
+            row.appendChild(marketCell);
+
+            // Statistics cells
+            const avgCell = document.createElement('td');
+            avgCell.textContent = `${(stats.average || 0).toFixed(2)} ${unit}`;
+            avgCell.style.textAlign = 'right';
+            row.appendChild(avgCell);
+
+            const maxCell = document.createElement('td');
+            maxCell.textContent = `${(stats.max || 0).toFixed(2)} ${unit}`;
+            maxCell.style.textAlign = 'right';
+            maxCell.style.color = '#e74c3c';
+            maxCell.style.fontWeight = 'bold';
+            row.appendChild(maxCell);
+
+            const minCell = document.createElement('td');
+            minCell.textContent = `${(stats.min || 0).toFixed(2)} ${unit}`;
+            minCell.style.textAlign = 'right';
+            minCell.style.color = '#27ae60';
+            minCell.style.fontWeight = 'bold';
+            row.appendChild(minCell);
+
+            const recordsCell = document.createElement('td');
+            recordsCell.textContent = result.recordCount.toLocaleString();
+            recordsCell.style.textAlign = 'right';
+            row.appendChild(recordsCell);
+
+            tbody.appendChild(row);
+        }
+    });
+    table.appendChild(tbody);
+    tableContainer.appendChild(table);
+
+    // Register numeric rows for the export control, one unit per column
+    const exportHeaders = isCombinedMultiMarket
+        ? ['Market', 'Avg MCP (₹/kWh)', 'Max MCP (₹/kWh)', 'Min MCP (₹/kWh)', 'Avg MCV (GW)', 'Max MCV (GW)', 'Min MCV (GW)', 'Records']
+        : ['Market', `Average ${metricType} (${unit})`, `Max ${metricType} (${unit})`, `Min ${metricType} (${unit})`, 'Records'];
+    const exportRows = results.map(result => {
+        const stats = result.statistics;
+        return isCombinedMultiMarket
+            ? [result.market, stats.avg_mcp, stats.max_mcp, stats.min_mcp, stats.avg_mcv, stats.max_mcv, stats.min_mcv, result.recordCount]
+            : [result.market, stats.average, stats.max, stats.min, result.recordCount];
+    });
+    table.dataset.exportId = registerExportSource(`${timeSlotName} statistics`, exportHeaders, exportRows);
+
+    // Append to the last assistant message's text container
+    const messagesArea = document.getElementById('messagesArea');
+    const lastMessage = messagesArea.lastElementChild;
+    if (lastMessage) {
+        const messageText = lastMessage.querySelector('.message-text');
+        if (messageText) {
+            messageText.appendChild(tableContainer);
+        }
+    }
+
+    // Render visualizations for each market in this time slot
+    results.forEach(result => {
+        if (chartType === 'heatmap' && result.chartData) {
+            displayHeatMapForTimeSlot(result, metricType, unit, timeSlotName, responseGroup);
+        } else if ((chartType === 'bar' || chartType === 'line') && result.chartData) {
+            displayChartForTimeSlot(result, metricType, unit, timeSlotName, chartType, responseGroup);
+        }
+    });
+}
+
+// Display heat map for a specific time slot and market
+function displayHeatMapForTimeSlot(result, metricType, unit, timeSlotName, responseGroup) {
+    const heatMapData = result.chartData;
+    const market = escapeHtml(result.market);
+    const slot = escapeHtml(timeSlotName);
+
+    // Check if there's any data
+    if (!heatMapData || !heatMapData.dates || heatMapData.dates.length === 0 || result.recordCount === 0) {
+        let content = `#### 🔥 ${market} - ${metricType} Heat Map\n\n`;
+        content += `> ⚠️ **No data available** for ${market} in time slot ${slot}\n\n`;
+        addAssistantMessage(content);
+        return;
+    }
+
+    // Determine grouping info for title
+    const groupingUnit = heatMapData.grouping_unit || 'day';
+    const daysRange = heatMapData.days_range || 0;
+    const groupingText = groupingUnit === 'week' ? ' (grouped by week)' :
+                        groupingUnit === 'month' ? ' (grouped by month)' : '';
+
+    let content = `#### 🔥 ${market} - ${metricType} Heat Map\n\n`;
+
+    if (daysRange > 0) {
+        content += `> 📅 Date range: ${daysRange} days${groupingText}\n\n`;
+    }
+    content += getHeatMapClickHint(heatMapData);
+
+    // Add canvas for heat map visualization (25% larger for better visibility)
+    const chartId = `heatmap-${slugify(`${result.market} ${timeSlotName}`)}-${Date.now()}`;
+    content += `<div class="chart-container">
+        <div class="chart-header">
+            <div class="chart-title">${market}: ${metricType} by Time Block (${slot})</div>
+            <div class="chart-actions">
+                <button class="chart-action-btn" data-action="resetLinkedZoom" data-action-arg="${chartId}" title="Reset zoom on all linked charts">🔄</button>
+                <button class="chart-action-btn" data-action="downloadChart" data-action-arg="${chartId}" title="Download Chart">📥</button>
+            </div>
+        </div>
+        <canvas id="${chartId}" style="max-height: 625px; width: 100%;"></canvas>
+    </div>`;
+
+    addAssistantMessage(content);
+
+    // Render heat map after DOM update
+    setTimeout(() => {
+        renderHeatMap(chartId, heatMapData, metricType, unit, [result.market], responseGroup);
+    }, 100);
+}
+
+// Display bar/line chart for a specific time slot and market
+function displayChartForTimeSlot(result, metricType, unit, timeSlotName, chartType, responseGroup) {
+    const chartData = result.chartData;
+    const market = escapeHtml(result.market);
+    const slot = escapeHtml(timeSlotName);
+
+    // Check if there's any data
+    if (!chartData || !chartData.labels || chartData.labels.length === 0 || result.recordCount === 0) {
+        let content = `#### 📊 ${market} - ${metricType} ${chartType === 'bar' ? 'Bar Chart' : 'Line Graph'}\n\n`;
+        content += `> ⚠️ **No data available** for ${market} in time slot ${slot}\n\n`;
+        addAssistantMessage(content);
+        return;
+    }
+
+    // Determine grouping info
+    const groupingUnit = chartData.grouping_unit || 'day';
+    const daysRange = chartData.days_range || 0;
+    const groupingText = groupingUnit === 'week' ? ' (grouped by week)' :
+                        groupingUnit === 'month' ? ' (grouped by month)' : '';
+
+    let content = `#### 📊 ${market} - ${metricType} ${chartType === 'bar' ? 'Bar Chart' : 'Line Graph'}\n\n`;
+
+    if (daysRange > 0) {
+        content += `> 📅 Date range: ${daysRange} days${groupingText}\n\n`;
+    }
+
+    // Add canvas for chart visualization (25% larger for better visibility)
+    const chartId = `chart-${slugify(`${result.market} ${timeSlotName}`)}-${Date.now()}`;
+    content += `<div class="chart-container">
+        <div class="chart-header">
+            <div class="chart-title">${market}: ${metricType} Over Time (${slot})</div>
+            <div class="chart-actions">
+                <button class="chart-action-btn" data-action="resetLinkedZoom" data-action-arg="${chartId}" title="Reset zoom on all linked charts">🔄</button>
+                <button class="chart-action-btn" data-action="downloadChart" data-action-arg="${chartId}" title="Download Chart">📥</button>
+                ${getChartTypeMenu(chartId)}
+            </div>
+        </div>
+        <canvas id="${chartId}" style="max-height: 500px; width: 100%;"></canvas>
+    </div>`;
+
+    addAssistantMessage(content);
+
+    // Render chart after DOM update
+    setTimeout(() => {
+        renderTimeSlotChart(chartId, chartData, metricType, unit, chartType, responseGroup);
+    }, 100);
+}
+
+// Render bar/line chart for time slot data
+function renderTimeSlotChart(chartId, chartData, metricType, unit, chartType, responseGroup) {
+    const ctx = document.getElementById(chartId);
+    if (!ctx) return;
+
+    // Destroy existing chart if any
+    if (chartInstances[chartId]) {
+        chartInstances[chartId].destroy();
+    }
+
+    // Check if this is a combined chart with dual Y-axes (check both camelCase and snake_case)
+    const hasDualAxes = chartData.hasDualAxes === true || chartData.has_dual_axes === true || chartData.chartType === 'combined_bar_line';
+    const isCombinedChart = hasDualAxes && chartData.datasets && chartData.datasets.length > 1;
+
+    let datasets;
+    let scales;
+
+    if (isCombinedChart) {
+        // Use datasets from backend for combined charts
+        datasets = chartData.datasets.map((dataset, idx) => ({
+            label: dataset.label,
+            data: dataset.data,
+            type: dataset.type || 'bar',
+            backgroundColor: dataset.backgroundColor,
+            borderColor: dataset.borderColor,
+            borderWidth: dataset.borderWidth || 2,
+            fill: dataset.fill !== undefined ? dataset.fill : false,
+            tension: dataset.tension || 0.4,
+            yAxisID: dataset.yAxisID,
+            order: dataset.order || 1,
+            pointRadius: dataset.type === 'line' ? 4 : 0,
+            pointHoverRadius: dataset.type === 'line' ? 6 : 0,
+            pointBackgroundColor: dataset.borderColor,
+            pointBorderColor: '#fff',
+            pointBorderWidth: 2
+        }));
+
+        // Dual Y-axes configuration
+        scales = {
+            x: {
+                title: {
+                    display: true,
+                    text: 'Date',
+                    padding: { top: 10, bottom: 0 }
+                },
+                ticks: {
+                    maxRotation: 45,
+                    minRotation: 45,
+                    autoSkip: true,
+                    maxTicksLimit: 20,
+                    padding: 5
+                },
+                grid: {
+                    drawOnChartArea: true,
+                    offset: false
+                }
+            },
+            'y-mcv': {
+                type: 'linear',
+                position: 'left',
+                beginAtZero: true,
+                title: {
+                    display: true,
+                    text: 'Volume (GW)',
+                    color: '#00a8cc',
+                    padding: { bottom: 10 }
+                },
+                ticks: {
+                    color: '#00a8cc',
+                    callback: function(value) {
+                        return value.toFixed(2);
+                    }
+                },
+                grid: {
+                    drawOnChartArea: true
+                }
+            },
+            'y-mcp': {
+                type: 'linear',
+                position: 'right',
+                beginAtZero: true,
+                title: {
+                    display: true,
+                    text: 'Price (₹/kWh)',
+                    color: '#0f4c81',
+                    padding: { bottom: 10 }
+                },
+                ticks: {
+                    color: '#0f4c81',
+                    callback: function(value) {
+                        return value.toFixed(2);
+                    }
+                },
+                grid: {
+                    drawOnChartArea: false
+                }
+            }
+        };
+    } else {
+        // Single metric chart
+        const colors = {
+            primary: 'rgba(102, 126, 234, 0.8)',
+            primaryBorder: 'rgba(102, 126, 234, 1)'
+        };
+
+        datasets = [{
+            label: `${metricType} (${unit})`,
+            data: chartData.values || [],
+            backgroundColor: chartType === 'bar' ? colors.primary : 'rgba(102, 126, 234, 0.1)',
+            borderColor: colors.primaryBorder,
+            borderWidth: 2,
+            fill: chartType === 'line',
+            tension: 0.4
+        }];
+
+        scales = {
+            x: {
+                title: {
+                    display: true,
+                    text: 'Date',
+                    padding: { top: 10, bottom: 0 }
+                },
+                ticks: {
+                    maxRotation: 45,
+                    minRotation: 45,
+                    autoSkip: true,
+                    maxTicksLimit: 20,
+                    padding: 5
+                },
+                grid: {
+                    drawOnChartArea: true,
+                    offset: false
+                }
+            },
+            y: {
+                beginAtZero: true,
+                title: {
+                    display: true,
+                    text: metricType === 'MCV' ? 'Volume (GW)' : 'Price (₹/kWh)',
+                    padding: { bottom: 10 }
+                },
+                ticks: {
+                    callback: function(value) {
+                        return value.toFixed(2);
+                    }
+                }
+            }
+        };
+    }
+
+    chartInstances[chartId] = new Chart(ctx, {
+        type: isCombinedChart ? 'bar' : chartType,
+        data: {
+            labels: chartData.labels || [],
+            datasets: datasets
+        },
+        plugins: [linkedChartsPlugin],
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            layout: {
+                padding: {
+                    left: 10,
+                    right: 20,
+                    top: 10,
+                    bottom: 10
+                }
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top',
+                    labels: {
+                        padding: 10
+                    }
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            return `${context.dataset.label}: ${context.parsed.y.toFixed(2)}`;
+                        }
+                    }
+                },
+                linkedCharts: {
+                    group: responseGroup
+                },
+                zoom: getLinkedZoomOptions()
+            },
+            scales: scales
+        }
+    });
+
+    syncChartTypeMenu(chartId, isCombinedChart ? 'bar' : chartType);
+}
+
+// Display Heat Map
+function displayHeatMap(query, heatMapData, metric) {
+    const metricName = metric.toUpperCase();
+    const unit = metric === 'mcv' ? 'GW' : '₹/kWh';
+
+    let content = `### 🔥 Heat Map: ${metricName}\n\n`;
+    content += `**${escapeHtml(heatMapData.message)}**\n\n`;
+
+    // Create info card with extracted context
+    const isSingleDayHeatMap = heatMapData.grouping_unit === 'hourly_15min';
+
+    content += `<div class="heatmap-info">`;
+    content += `<p><strong>Metric:</strong> ${metricName} (${unit})</p>`;
+    content += `<p><strong>Time Period:</strong> ${escapeHtml(heatMapData.time_period_start)} to ${escapeHtml(heatMapData.time_period_end)}</p>`;
+    if (heatMapData.markets && heatMapData.markets.length > 0) {
+        content += `<p><strong>Markets:</strong> ${escapeHtml(heatMapData.markets.join(', '))}</p>`;
+    }
+    if (heatMapData.extracted_filters && Object.keys(heatMapData.extracted_filters).length > 0) {
+        content += `<p><strong>Filters Applied:</strong> ${Object.entries(heatMapData.extracted_filters).map(([k, v]) => escapeHtml(`${k}=${v}`)).join(', ')}</p>`;
+    }
+
+    // Display appropriate info based on heat map type
+    if (isSingleDayHeatMap) {
+        content += `<p><strong>Days:</strong> 1</p>`;
+        content += `<p><strong>Hours:</strong> ${heatMapData.dates.length}</p>`;
+        content += `<p><strong>Time Slots per Hour:</strong> ${heatMapData.time_blocks.length} (15-min intervals)</p>`;
+    } else {
+        // Display based on grouping unit
+        const groupingUnit = heatMapData.grouping_unit || 'day';
+        if (groupingUnit === 'week') {
+            content += `<p><strong>Weeks:</strong> ${heatMapData.dates.length}</p>`;
+        } else if (groupingUnit === 'month') {
+            content += `<p><strong>Months:</strong> ${heatMapData.dates.length}</p>`;
+        } else {
+            content += `<p><strong>Days:</strong> ${heatMapData.dates.length}</p>`;
+        }
+        content += `<p><strong>Time Blocks per ${escapeHtml(groupingUnit)}:</strong> ${heatMapData.time_blocks.length}</p>`;
+    }
+
+    content += `</div>\n\n`;
+    content += getHeatMapClickHint(heatMapData);
+
+    // Calculate statistics from the matrix
+    let allValues = [];
+    heatMapData.matrix.forEach(row => {
+        row.forEach(val => {
+            if (val !== null) allValues.push(val);
+        });
+    });
+
+    if (allValues.length > 0) {
+        const min = Math.min(...allValues);
+        const max = Math.max(...allValues);
+        const avg = allValues.reduce((a, b) => a + b, 0) / allValues.length;
+
+        content += `**Statistics:**\n`;
+        content += `- Maximum: ${max.toFixed(2)} ${unit}\n`;
+        content += `- Average: ${avg.toFixed(2)} ${unit}\n`;
+        content += `- Minimum: ${min.toFixed(2)} ${unit}\n`;
+        content += `- Data Points: ${allValues.length.toLocaleString()}\n\n`;
+    }
+
+    // Add canvas for heat map visualization
+    const chartId = 'heatmap-' + Date.now();
+    const chartTitle = isSingleDayHeatMap
+        ? `Heat Map: ${metricName} - Hourly Pattern (15-min intervals)`
+        : `Heat Map: ${metricName} by Time Block and Date`;
+
+    content += `<div class="chart-container heatmap-container" ${isSingleDayHeatMap ? 'style="max-height: 220px;"' : ''}>
+        <div class="chart-header">
+            <div class="chart-title">${chartTitle}</div>
+            <div class="chart-actions">
+                <button class="chart-action-btn" data-action="downloadChart" data-action-arg="${chartId}" title="Download Chart">📥</button>
+            </div>
+        </div>
+        <div style="${isSingleDayHeatMap ? 'height: 140px;' : 'height: 450px;'}">
+            <canvas id="${chartId}"></canvas>
+        </div>
+    </div>`;
+
+    addAssistantMessage(content);
+
+    // Render heat map after DOM update
+    setTimeout(() => {
+        renderHeatMap(chartId, heatMapData, metricName, unit);
+    }, 100);
+}
+
+// Render Heat Map Chart (markets: the markets behind the values, for drilling into a day;
+// responseGroup: the multi-time-slot response it belongs to, for a shared colour scale and linked hover/zoom)
+function renderHeatMap(chartId, heatMapData, metricName, unit, markets = heatMapData.markets || [], responseGroup = null) {
+    const ctx = document.getElementById(chartId);
+    if (!ctx) return;
+
+    // Destroy existing chart if any
+    if (chartInstances[chartId]) {
+        chartInstances[chartId].destroy();
+    }
+
+    // Prepare data for heat map
+    const dates = heatMapData.dates;
+    const matrix = heatMapData.matrix;
+    const timeBlocks = heatMapData.time_blocks;
+    const groupingUnit = heatMapData.grouping_unit;
+
+    // Check if this is a single day query with hourly 15-min structure
+    const isSingleDayHourly = groupingUnit === 'hourly_15min';
+
+    let heatData = [];
+    let yAxisLabels = [];
+    let xAxisLabels = [];
+
+    if (isSingleDayHourly) {
+        // Single day: 4 rows (minute slots) × 24 columns (hours)
+        // Matrix structure: matrix[minuteSlot][hour]
+        yAxisLabels = timeBlocks; // [":00", ":15", ":30", ":45"]
+        xAxisLabels = dates; // ["00", "01", "02", ..., "23"]
+
+        timeBlocks.forEach((minuteSlot, rowIdx) => {
+            const row = matrix[rowIdx];
+            dates.forEach((hour, colIdx) => {
+                if (colIdx < row.length && row[colIdx] !== null) {
+                    heatData.push({
+                        x: hour, // Hour (00-23)
+                        y: minuteSlot, // Minute slot (:00, :15, :30, :45)
+                        v: row[colIdx]
+                    });
+                }
+            });
+        });
+    } else if (dates.length === 1) {
+        // Fallback for old single-day format
+        yAxisLabels = timeBlocks;
+        xAxisLabels = dates;
+
+        dates.forEach((date, dateIdx) => {
+            const dateRow = matrix[dateIdx];
+            timeBlocks.forEach((timeBlock, blockIdx) => {
+                if (blockIdx < dateRow.length && dateRow[blockIdx] !== null) {
+                    heatData.push({
+                        x: date,
+                        y: timeBlock,
+                        v: dateRow[blockIdx]
+                    });
+                }
+            });
+        });
+    } else {
+        // Multiple days: Aggregate by hour for readability
+        const hours = [];
+
+        // Extract unique hours from actual time blocks
+        const uniqueHours = new Set();
+        timeBlocks.forEach(tb => {
+            const hourOnly = tb.substring(0, 2); // Gets "HH"
+            uniqueHours.add(hourOnly);
+        });
+
+        // Create sorted hour labels
+        const sortedHours = Array.from(uniqueHours).sort();
+        sortedHours.forEach(h => {
+            hours.push(`${h}:00`);
+        });
+        yAxisLabels = hours;
+        xAxisLabels = dates;
+
+        // Aggregate data by hour for each date
+        dates.forEach((date, dateIdx) => {
+            const dateRow = matrix[dateIdx];
+
+            hours.forEach(hour => {
+                // Find all time blocks that belong to this hour
+                const hourPrefix = hour.substring(0, 2);
+                let hourValues = [];
+
+                timeBlocks.forEach((tb, blockIdx) => {
+                    if (tb.startsWith(hourPrefix + ':')) {
+                        if (blockIdx < dateRow.length && dateRow[blockIdx] !== null) {
+                            hourValues.push(dateRow[blockIdx]);
+                        }
+                    }
+                });
+
+                if (hourValues.length > 0) {
+                    const avgValue = hourValues.reduce((a, b) => a + b, 0) / hourValues.length;
+                    heatData.push({
+                        x: date,
+                        y: hour,
+                        v: avgValue
+                    });
+                }
+            });
+        });
+    }
+
+    // Register the raw (not hour-averaged) matrix for the export control
+    const periodHeader = groupingUnit === 'week' ? 'Week' : (groupingUnit === 'month' ? 'Month' : 'Date');
+    const exportRows = [];
+    if (isSingleDayHourly) {
+        dates.forEach((hour, colIdx) => {
+            timeBlocks.forEach((minuteSlot, rowIdx) => {
+                const value = matrix[rowIdx] ? matrix[rowIdx][colIdx] : null;
+                if (value !== null && value !== undefined) {
+                    exportRows.push([heatMapData.time_period_start, `${hour}${minuteSlot}`, value]);
+                }
+            });
+        });
+    } else {
+        dates.forEach((date, dateIdx) => {
+            timeBlocks.forEach((timeBlock, blockIdx) => {
+                const value = matrix[dateIdx] ? matrix[dateIdx][blockIdx] : null;
+                if (value !== null && value !== undefined) {
+                    exportRows.push([date, timeBlock, value]);
+                }
+            });
+        });
+    }
+    registerExportSource(`${metricName} heat map`, [periodHeader, 'Time Block', `${metricName} (${unit})`], exportRows, chartId);
+
+    // Colour scale (palette and bounds are shared settings, see heatmap-scales.js)
+    const bounds = registerHeatMapScale(chartId, heatData.map(d => d.v), unit, responseGroup);
+
+    // Transform data for Chart.js matrix display (using bubble chart as heat map)
+    const chartData = heatData.map(point => ({
+        x: point.x,
+        y: point.y,
+        r: isSingleDayHourly ? 10 : 18, // Compact bubbles for single day
+        value: point.v,
+        backgroundColor: getHeatMapColor(point.v, bounds)
+    }));
+
+    chartInstances[chartId] = new Chart(ctx, {
+        type: 'bubble',
+        plugins: [linkedChartsPlugin],
+        data: {
+            datasets: [{
+                label: `${metricName} (${unit})`,
+                data: chartData,
+                backgroundColor: chartData.map(d => d.backgroundColor),
+                borderColor: chartData.map(d => d.backgroundColor),
+                borderWidth: 1
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            onClick: (event, elements, chart) => {
+                const target = getHeatMapClickTarget(event, elements, chart, heatMapData);
+                if (!target) return;
+
+                if (target.period.from !== target.period.to) {
+                    showHeatMapPeriod(markets, target.period, metricName);
+                } else if (target.type === 'cell') {
+                    showHeatMapDay(markets, target.period.from, `${metricName} heat map cell (${target.label})`);
+                } else {
+                    showDayVsAverageProfile(heatMapData, target.period.from, metricName, unit, markets);
+                }
+            },
+            onHover: (event, elements, chart) => {
+                chart.canvas.style.cursor = getHeatMapClickTarget(event, elements, chart, heatMapData) ? 'pointer' : 'default';
+            },
+            layout: {
+                padding: isSingleDayHourly ? {
+                    left: 5,
+                    right: 15,
+                    top: 5,
+                    bottom: 5
+                } : {
+                    left: 10,
+                    right: 20,
+                    top: 20,
+                    bottom: 10
+                }
+            },
+            plugins: {
+                legend: {
+                    display: false
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            const point = context.raw;
+                            if (isSingleDayHourly) {
+                                return `${point.x}${point.y}: ${point.value.toFixed(2)} ${unit}`;
+                            }
+                            return `${point.y} on ${point.x}: ${point.value.toFixed(2)} ${unit}`;
+                        }
+                    }
+                },
+                // Linked to the other charts of a multi-time-slot response; a date column has many cells,
+                // so siblings only draw the crosshair
+                linkedCharts: {
+                    group: responseGroup,
+                    tooltip: false
+                },
+                zoom: responseGroup ? getLinkedZoomOptions() : {}
+            },
+            scales: {
+                x: {
+                    type: 'category',
+                    labels: xAxisLabels,
+                    title: {
+                        display: true,
+                        text: isSingleDayHourly ? 'Hour of Day' : 'Date',
+                        padding: { top: 10, bottom: 0 }
+                    },
+                    ticks: {
+                        maxRotation: isSingleDayHourly ? 0 : 90,
+                        minRotation: isSingleDayHourly ? 0 : 45,
+                        autoSkip: isSingleDayHourly ? false : true,
+                        maxTicksLimit: isSingleDayHourly ? undefined : 15,
+                        padding: 2
+                    },
+                    grid: {
+                        offset: true,
+                        drawOnChartArea: false
+                    }
+                },
+                y: {
+                    type: 'category',
+                    labels: yAxisLabels,
+                    title: {
+                        display: true,
+                        text: isSingleDayHourly ? 'Minute Slot' : 'Hour of Day',
+                        padding: { left: 0, right: 10 }
+                    },
+                    ticks: {
+                        autoSkip: false, // Always show all labels
+                        padding: isSingleDayHourly ? 0 : 2
+                    },
+                    grid: {
+                        offset: true,
+                        drawOnChartArea: false
+                    }
+                }
+            }
+        }
+    });
+
+    renderHeatMapLegend(chartId);
+}
+
+// Columns of a per-day heat map are dates; week columns are "2024-W05" (weeks start on Monday and
+// week 1 is the one holding 1 January) and month columns are "2024-05"
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const WEEK_COLUMN_PATTERN = /^(\d{4})-W(\d{2})$/;
+const MONTH_COLUMN_PATTERN = /^(\d{4})-(\d{2})$/;
+
+// Days a heat map column stands for as { from, to }, clipped to the heat map's period; every cell of a
+// single-day heat map belongs to its one day
+function getHeatMapColumnPeriod(heatMapData, column) {
+    if (heatMapData.grouping_unit === 'hourly_15min') {
+        const day = heatMapData.time_period_start;
+        return day ? { from: day, to: day } : null;
+    }
+    if (ISO_DATE_PATTERN.test(column)) {
+        return { from: column, to: column };
+    }
+
+    let first;
+    let last;
+    const week = WEEK_COLUMN_PATTERN.exec(column);
+    const month = MONTH_COLUMN_PATTERN.exec(column);
+    if (week) {
+        const year = Number(week[1]);
+        const januaryFirst = new Date(year, 0, 1);
+        const weekStart = new Date(year, 0, 1 - (januaryFirst.getDay() + 6) % 7 + (Number(week[2]) - 1) * 7);
+        first = weekStart < januaryFirst ? januaryFirst : weekStart;
+        last = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + 6);
+        if (last.getFullYear() > year) last = new Date(year, 11, 31);
+    } else if (month) {
+        first = new Date(Number(month[1]), Number(month[2]) - 1, 1);
+        last = new Date(Number(month[1]), Number(month[2]), 0);
+    } else {
+        return null;
+    }
+
+    const { time_period_start: periodStart, time_period_end: periodEnd } = heatMapData;
+    const from = periodStart && periodStart > toISODateString(first) ? periodStart : toISODateString(first);
+    const to = periodEnd && periodEnd < toISODateString(last) ? periodEnd : toISODateString(last);
+    return from <= to ? { from, to } : null;
+}
+
+// Cell or column label under the pointer: { type: 'cell' | 'label', period: { from, to }, label }, or null
+function getHeatMapClickTarget(event, elements, chart, heatMapData) {
+    if (elements.length > 0) {
+        const point = chart.data.datasets[elements[0].datasetIndex].data[elements[0].index];
+        const period = getHeatMapColumnPeriod(heatMapData, point.x);
+        if (!period) return null;
+
+        const label = heatMapData.grouping_unit === 'hourly_15min' ? `${point.x}${point.y}` : `${point.y} on ${point.x}`;
+        return { type: 'cell', period, label };
+    }
+
+    // Column labels sit under the x axis; a single-day heat map's labels are hours
+    const xScale = chart.scales.x;
+    if (heatMapData.grouping_unit === 'hourly_15min' || event.y <= chart.chartArea.bottom ||
+        event.x < xScale.left || event.x > xScale.right) {
+        return null;
+    }
+
+    const column = xScale.getLabelForValue(xScale.getValueForPixel(event.x));
+    const period = getHeatMapColumnPeriod(heatMapData, column);
+    return period ? { type: 'label', period, label: column } : null;
+}
+
+// Note above a heat map saying what can be clicked
+function getHeatMapClickHint(heatMapData) {
+    if (heatMapData.grouping_unit === 'hourly_15min') {
+        return heatMapData.time_period_start ? `> 🖱️ Click a cell to open the day's 96 time blocks.\n\n` : '';
+    }
+    if (heatMapData.grouping_unit === 'week' || heatMapData.grouping_unit === 'month') {
+        return `> 🖱️ Click a cell or a ${heatMapData.grouping_unit} label to open that ${heatMapData.grouping_unit}'s time-of-day profile.\n\n`;
+    }
+    if (!(heatMapData.dates || []).some(date => ISO_DATE_PATTERN.test(date))) return '';
+
+    return `> 🖱️ Click a cell to open that day's 96 time blocks, or a date label to compare the day with the period's average profile.\n\n`;
+}
+
+// Open a day's MCP/MCV curve for each market behind a heat map
+function showHeatMapDay(markets, date, source) {
+    (markets.length > 0 ? markets : MARKET_TYPES).forEach(market => {
+        showDayDrillDown(market, date, {
+            description: `Opened from the ${source}.`
+        });
+    });
+}
+
+// Open the time-of-day profile of a week or month column for each market behind a heat map
+function showHeatMapPeriod(markets, period, metricName) {
+    (markets.length > 0 ? markets : MARKET_TYPES).forEach(market => {
+        showProfilePanel({
+            marketType: market,
+            dateFrom: period.from,
+            dateTo: period.to,
+            metric: metricName === 'MCV' ? 'mcv' : 'mcp',
+            overlay: 'none'
+        });
+    });
+}
+
+// Compare one day's row of a heat map with the average of all its rows, block by block
+function showDayVsAverageProfile(heatMapData, date, metricName, unit, markets) {
+    const dayRow = heatMapData.matrix[heatMapData.dates.indexOf(date)] || [];
+
+    const averages = heatMapData.time_blocks.map((timeBlock, blockIdx) => {
+        const values = heatMapData.matrix
+            .map(row => row[blockIdx])
+            .filter(value => value !== null && value !== undefined);
+        return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+    });
+    const dayValues = heatMapData.time_blocks.map((timeBlock, blockIdx) => dayRow[blockIdx] ?? null);
+
+    const pairs = dayValues
+        .map((value, blockIdx) => ({ timeBlock: heatMapData.time_blocks[blockIdx], value, average: averages[blockIdx] }))
+        .filter(pair => pair.value !== null && pair.average !== null);
+
+    const dates = heatMapData.dates;
+    const day = escapeHtml(date);
+    let content = `### 📈 ${day} vs Period Average: ${metricName}\n\n`;
+    content += `**${escapeHtml(markets.length > 0 ? markets.join(', ') : 'All markets')}**, ${dates.length} days from ${escapeHtml(dates[0])} to ${escapeHtml(dates[dates.length - 1])}\n\n`;
+
+    if (pairs.length === 0) {
+        content += `> ⚠️ **No data available** for ${day} in this heat map`;
+        addAssistantMessage(content);
+        return;
+    }
+
+    const dayMean = pairs.reduce((sum, pair) => sum + pair.value, 0) / pairs.length;
+    const periodMean = pairs.reduce((sum, pair) => sum + pair.average, 0) / pairs.length;
+    const change = periodMean !== 0 ? ((dayMean - periodMean) / periodMean) * 100 : 0;
+    const largest = pairs.reduce((max, pair) =>
+        Math.abs(pair.value - pair.average) > Math.abs(max.value - max.average) ? pair : max);
+    const largestGap = largest.value - largest.average;
+
+    content += `- Day average: ${dayMean.toFixed(2)} ${unit}\n`;
+    content += `- Period average: ${periodMean.toFixed(2)} ${unit} (day is ${change >= 0 ? '+' : ''}${change.toFixed(1)}%)\n`;
+    content += `- Largest gap: ${largestGap >= 0 ? '+' : ''}${largestGap.toFixed(2)} ${unit} at ${escapeHtml(largest.timeBlock.split('-')[0])}\n`;
+    content += `- Blocks above average: ${pairs.filter(pair => pair.value > pair.average).length} of ${pairs.length}\n\n`;
+
+    const chartId = `profile-chart-${Date.now()}`;
+    content += `<div class="chart-container">
+        <div class="chart-header">
+            <div class="chart-title">${metricName}: ${day} vs Average Profile</div>
+            <div class="chart-actions">
+                <button class="chart-action-btn" data-action="downloadChart" data-action-arg="${chartId}" title="Download Chart">📥</button>
+                ${getChartTypeMenu(chartId)}
+            </div>
+        </div>
+        <canvas id="${chartId}" style="max-height: 400px;"></canvas>
+    </div>`;
+
+    addAssistantMessage(content);
+
+    setTimeout(() => {
+        renderProfileComparisonChart(chartId, heatMapData.time_blocks, dayValues, averages, date, metricName, unit);
+    }, 100);
+}
+
+// Day curve (solid) over the period's average profile (dashed), with the gap between them shaded
+function renderProfileComparisonChart(chartId, timeBlocks, dayValues, averages, date, metricName, unit) {
+    const ctx = document.getElementById(chartId);
+    if (!ctx) return;
+
+    if (chartInstances[chartId]) {
+        chartInstances[chartId].destroy();
+    }
+
+    registerExportSource(`${date} vs average`, ['Time Block', `${date} ${metricName} (${unit})`, `Average ${metricName} (${unit})`],
+        timeBlocks.map((timeBlock, i) => [timeBlock, dayValues[i] ?? '', averages[i] ?? '']), chartId);
+
+    chartInstances[chartId] = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: timeBlocks.map(timeBlock => timeBlock.split('-')[0]),
+            datasets: [
+                {
+                    label: `${date} (${unit})`,
+                    data: dayValues,
+                    borderColor: chartColors.primaryBlueBorder,
+                    backgroundColor: 'rgba(251, 146, 60, 0.2)',
+                    borderWidth: 2.5,
+                    pointRadius: 0,
+                    tension: 0.3,
+                    fill: '+1'
+                },
+                {
+                    label: `Period average (${unit})`,
+                    data: averages,
+                    borderColor: chartColors.accentCyanBorder,
+                    borderWidth: 2,
+                    borderDash: [6, 4],
+                    pointRadius: 0,
+                    tension: 0.3,
+                    fill: false
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            spanGaps: true,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top'
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            return `${context.dataset.label}: ${context.parsed.y.toFixed(2)}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Time Block'
+                    },
+                    ticks: {
+                        autoSkip: true,
+                        maxTicksLimit: 24
+                    }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: `${metricName} (${unit})`
+                    }
+                }
+            }
+        }
+    });
+
+    syncChartTypeMenu(chartId, 'line');
+}
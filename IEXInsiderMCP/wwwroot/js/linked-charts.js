@@ -0,0 +1,145 @@
+// Linked charts: charts sharing options.plugins.linkedCharts.group follow each other's hovered date
+// (crosshair, plus tooltip unless tooltip: false) and zoom/pan window on the date axis
+
+import { chartInstances } from './charts.js';
+
+// Date hovered on one of a group's charts
+const linkedHover = {
+    group: null,
+    date: null
+};
+
+const CROSSHAIR_COLOR = 'rgba(100, 116, 139, 0.7)';
+
+// Chart.js plugin; add it to a chart's plugins and set options.plugins.linkedCharts = { group, tooltip }
+export const linkedChartsPlugin = {
+    id: 'linkedCharts',
+
+    afterEvent(chart, args) {
+        const group = getLinkGroup(chart);
+        const event = args.event;
+        if (!group || (event.type !== 'mousemove' && event.type !== 'mouseout')) return;
+
+        const date = event.type === 'mousemove' && args.inChartArea ? getDateAtPixel(chart, event.x) : null;
+        if (linkedHover.group === group && linkedHover.date === date) return;
+
+        linkedHover.group = date === null ? null : group;
+        linkedHover.date = date;
+
+        getLinkedCharts(group).forEach(sibling => {
+            if (sibling !== chart) showLinkedDate(sibling, date);
+        });
+        args.changed = true;
+    },
+
+    afterDatasetsDraw(chart) {
+        if (linkedHover.date === null || linkedHover.group !== getLinkGroup(chart)) return;
+
+        const xScale = chart.scales.x;
+        const index = xScale.getLabels().indexOf(linkedHover.date);
+        if (index === -1 || index < xScale.min || index > xScale.max) return;
+
+        const x = xScale.getPixelForValue(index);
+        const ctx = chart.ctx;
+        ctx.save();
+        ctx.beginPath();
+        ctx.moveTo(x, chart.chartArea.top);
+        ctx.lineTo(x, chart.chartArea.bottom);
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.strokeStyle = CROSSHAIR_COLOR;
+        ctx.stroke();
+        ctx.restore();
+    }
+};
+
+// chartjs-plugin-zoom options (x axis only) that carry a zoom or pan over to the rest of the group
+export function getLinkedZoomOptions() {
+    return {
+        zoom: {
+            wheel: {
+                enabled: true,
+                speed: 0.1
+            },
+            pinch: {
+                enabled: true
+            },
+            mode: 'x',
+            onZoomComplete: ({ chart }) => syncLinkedZoom(chart)
+        },
+        pan: {
+            enabled: true,
+            mode: 'x',
+            onPanComplete: ({ chart }) => syncLinkedZoom(chart)
+        }
+    };
+}
+
+// Reset zoom on a chart and every chart linked to it
+export function resetLinkedZoom(chartId) {
+    const chart = chartInstances[chartId];
+    if (!chart) return;
+
+    const group = getLinkGroup(chart);
+    (group ? getLinkedCharts(group) : [chart]).forEach(linked => linked.resetZoom('none'));
+}
+
+function getLinkGroup(chart) {
+    return chart.config.options.plugins?.linkedCharts?.group || null;
+}
+
+function getLinkedCharts(group) {
+    return Object.values(chartInstances).filter(chart => chart.canvas && chart.canvas.isConnected && getLinkGroup(chart) === group);
+}
+
+// Category (date) label under an x pixel
+function getDateAtPixel(chart, x) {
+    const xScale = chart.scales.x;
+    const index = Math.round(xScale.getValueForPixel(x));
+    return xScale.getLabelForValue(index) ?? null;
+}
+
+// Crosshair (and tooltip) at a date on a sibling chart; null clears it
+function showLinkedDate(chart, date) {
+    if (chart.config.options.plugins.linkedCharts.tooltip === false) {
+        chart.draw();
+        return;
+    }
+
+    const xScale = chart.scales.x;
+    const index = date === null ? -1 : xScale.getLabels().indexOf(date);
+    const elements = index === -1 ? [] : chart.data.datasets
+        .map((dataset, datasetIndex) => ({ datasetIndex, index }))
+        .filter(({ datasetIndex }) => chart.isDatasetVisible(datasetIndex) &&
+            chart.data.datasets[datasetIndex].data[index] !== null && chart.data.datasets[datasetIndex].data[index] !== undefined);
+
+    chart.setActiveElements(elements);
+    chart.tooltip.setActiveElements(elements, {
+        x: index === -1 ? 0 : xScale.getPixelForValue(index),
+        y: chart.chartArea.top
+    });
+    chart.update('none');
+}
+
+// Apply a chart's visible date range to the other charts in its group. Labels are matched by value
+// (ISO dates, weeks and months sort as strings), so charts with different date sets line up too.
+function syncLinkedZoom(chart) {
+    const group = getLinkGroup(chart);
+    if (!group) return;
+
+    const xScale = chart.scales.x;
+    const labels = xScale.getLabels();
+    const from = labels[Math.max(Math.ceil(xScale.min), 0)];
+    const to = labels[Math.min(Math.floor(xScale.max), labels.length - 1)];
+
+    getLinkedCharts(group).forEach(sibling => {
+        if (sibling === chart) return;
+
+        const siblingLabels = sibling.scales.x.getLabels();
+        const min = siblingLabels.findIndex(label => label >= from);
+        const max = siblingLabels.findLastIndex(label => label <= to);
+        if (min === -1 || max === -1 || min > max) return;
+
+        sibling.zoomScale('x', { min, max }, 'none');
+    });
+}
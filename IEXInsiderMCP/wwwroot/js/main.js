@@ -0,0 +1,486 @@
+// IEX Insider - entry point: page setup, event wiring and routing of chat questions
+
+import { showAnomalyExplorer } from './anomalies.js';
+import { apiRequest, streamRequest, stopStreaming, offlineCache, registerServiceWorker } from './api.js';
+import { downloadChart, toggleChartType, setChartType } from './charts.js';
+import { toggleComparisonDashboard } from './comparison.js';
+import { getSessionId, startNewConversation, initConversationSidebar, renderConversationList } from './conversations.js';
+import { initQueryDashboard, toggleQueryDashboard, pinResponse } from './dashboard.js';
+import { isDemandSupplyQuery, handleDemandSupplyRequest } from './demand-supply.js';
+import { isDistributionQuery, handleDistributionRequest } from './distribution.js';
+import { exportMessageData } from './export.js';
+import { DEFAULT_FORECAST_DAYS, isForecastQuery, handleForecastRequest, showForecastPanel } from './forecast.js';
+import { handleHeatMapRequest, handleMultiTimeSlotRequest } from './heatmaps.js';
+import { resetLinkedZoom } from './linked-charts.js';
+import { parseQueryIntent } from './parsing.js';
+import { showPatternGallery } from './patterns.js';
+import { copyMessageLink, readPermalink, restorePermalinkView } from './permalinks.js';
+import { isProfileQuery, handleProfileRequest } from './profile.js';
+import {
+    initQueryBuilder,
+    toggleQueryBuilder,
+    openQueryInBuilder,
+    showFilterChips,
+    getFilterChipParams,
+    editFilterChip,
+    addFilterChip,
+    removeFilterChip,
+    rerunFilteredQuery
+} from './query-builder.js';
+import { showRecommendationsInbox } from './recommendations.js';
+import { toggleReportBuilder, pickReportMessage } from './report.js';
+import {
+    showQueryError,
+    getQuestionMessage,
+    displayAIResponse,
+    processQueryResult,
+    addUserMessage,
+    addAssistantMessage,
+    showTypingIndicator,
+    showTypingStatus,
+    hideTypingIndicator,
+    replaceMessageResponse,
+    createStreamingAnswer,
+    appendStreamingAnswer,
+    finishStreamingAnswer,
+    escapeHtml,
+    showCachedLabel,
+    showPinButtons,
+    formatCachedAt
+} from './rendering.js';
+import { initSpeechRecognition, toggleVoiceInput } from './speech.js';
+
+// Buttons and selects in rendered markup name their handler in data-action (with an optional
+// data-action-arg) instead of inline on* attributes, which sanitizeHtml removes
+const CLICK_ACTIONS = {
+    downloadChart: (element, chartId) => downloadChart(chartId),
+    toggleChartType: (element, chartId) => toggleChartType(chartId),
+    resetLinkedZoom: (element, chartId) => resetLinkedZoom(chartId),
+    exportMessageData: (element, format) => exportMessageData(element, format),
+    openQueryInBuilder: element => openQueryInBuilder(element),
+    pinResponse: element => pinResponse(element),
+    copyMessageLink: element => copyMessageLink(element),
+    editFilterChip: (element, fieldId) => editFilterChip(element, fieldId),
+    removeFilterChip: (element, fieldId) => removeFilterChip(element, fieldId),
+    retryQuery: element => retryQuery(element)
+};
+
+const CHANGE_ACTIONS = {
+    setChartType: (element, chartId) => setChartType(chartId, element.value),
+    addFilterChip: element => addFilterChip(element)
+};
+
+// Delegated handler for data-action elements anywhere on the page
+function handleDataAction(event, actions) {
+    const element = event.target.closest('[data-action]');
+    if (!element) return;
+
+    const action = actions[element.dataset.action];
+    if (action) {
+        action(element, element.dataset.actionArg);
+    }
+}
+
+// Re-run the question a failed answer belongs to and put the new answer in its place
+async function retryQuery(button) {
+    const userMessage = getQuestionMessage(button.closest('.message'));
+    if (!userMessage) return;
+
+    // Filter chips hold the exact params the question last ran with
+    const chips = userMessage.querySelector('.filter-chips');
+    if (chips) {
+        await rerunFilteredQuery(chips, getFilterChipParams(chips));
+        return;
+    }
+
+    const sendButton = document.getElementById('sendButton');
+    sendButton.disabled = true;
+
+    try {
+        let isPinnable = false;
+        await replaceMessageResponse(userMessage, async () => {
+            showTypingIndicator();
+            isPinnable = await runQuery(userMessage.querySelector('.message-text').textContent.trim(), userMessage);
+        });
+        if (isPinnable) showPinButtons(userMessage);
+    } finally {
+        sendButton.disabled = false;
+    }
+}
+
+// Ask the question of a shared link (see permalinks.js) and restore its charts' type and zoom
+async function openPermalink() {
+    const permalink = readPermalink();
+    if (!permalink) return;
+
+    const userMessage = addUserMessage(permalink.query);
+    const sendButton = document.getElementById('sendButton');
+    sendButton.disabled = true;
+
+    try {
+        if (permalink.params) {
+            // The link carries the filter chips the question was last answered with
+            showFilterChips(userMessage, permalink.params, permalink.route);
+            await rerunFilteredQuery(userMessage.querySelector('.filter-chips'), permalink.params);
+        } else {
+            showTypingIndicator();
+            if (await runQuery(permalink.query, userMessage)) showPinButtons(userMessage);
+        }
+    } finally {
+        sendButton.disabled = false;
+    }
+
+    await restorePermalinkView(userMessage, permalink.view);
+}
+
+// Load and display suggested queries
+async function loadSuggestedQueries() {
+    try {
+        const data = await apiRequest('/api/query/suggestions');
+        displaySuggestedQueries(data.categories);
+    } catch (error) {
+        console.error('Error loading suggested queries:', error);
+    }
+}
+
+function displaySuggestedQueries(categories) {
+    const suggestionsContainer = document.getElementById('suggestions');
+    if (!suggestionsContainer || !categories || categories.length === 0) return;
+
+    // Create toggle button
+    const toggleButton = document.createElement('div');
+    toggleButton.className = 'suggestions-toggle';
+    toggleButton.innerHTML = `
+        <span>💡 Explore Sample Queries</span>
+        <span class="icon">▼</span>
+    `;
+
+    // Create categories container
+    const categoriesContainer = document.createElement('div');
+    categoriesContainer.className = 'suggestions-categories';
+    categoriesContainer.style.display = 'none'; // Hidden by default
+
+    // Populate categories
+    categories.forEach(category => {
+        const categoryDiv = document.createElement('div');
+        categoryDiv.className = 'suggestion-category';
+
+        const header = document.createElement('div');
+        header.className = 'category-header';
+        header.innerHTML = `
+            <div class="category-icon">${escapeHtml(category.icon)}</div>
+            <div class="category-info">
+                <h4 class="category-name">${escapeHtml(category.name)}</h4>
+                <p class="category-description">${escapeHtml(category.description)}</p>
+            </div>
+            <div class="category-toggle">▼</div>
+        `;
+
+        const queriesDiv = document.createElement('div');
+        queriesDiv.className = 'category-queries';
+        queriesDiv.style.display = 'none'; // Start collapsed
+
+        category.queries.forEach(query => {
+            const queryItem = document.createElement('div');
+            queryItem.className = 'query-item';
+            queryItem.textContent = query;
+            queryItem.addEventListener('click', () => {
+                const queryInput = document.getElementById('queryInput');
+                if (queryInput) {
+                    queryInput.value = query;
+                    queryInput.focus();
+                    // Hide suggestions after selection
+                    categoriesContainer.style.display = 'none';
+                    toggleButton.classList.add('collapsed');
+                }
+            });
+            queriesDiv.appendChild(queryItem);
+        });
+
+        // Category header click to expand/collapse
+        header.style.cursor = 'pointer';
+        header.addEventListener('click', () => {
+            const isHidden = queriesDiv.style.display === 'none';
+            queriesDiv.style.display = isHidden ? 'flex' : 'none';
+            const toggleIcon = header.querySelector('.category-toggle');
+            if (toggleIcon) {
+                toggleIcon.textContent = isHidden ? '▲' : '▼';
+            }
+            categoryDiv.classList.toggle('expanded', isHidden);
+        });
+
+        categoryDiv.appendChild(header);
+        categoryDiv.appendChild(queriesDiv);
+        categoriesContainer.appendChild(categoryDiv);
+    });
+
+    // Toggle functionality
+    toggleButton.addEventListener('click', () => {
+        const isHidden = categoriesContainer.style.display === 'none';
+        categoriesContainer.style.display = isHidden ? 'grid' : 'none';
+        toggleButton.classList.toggle('collapsed', !isHidden);
+    });
+
+    // Append to container
+    suggestionsContainer.innerHTML = '';
+    suggestionsContainer.appendChild(toggleButton);
+    suggestionsContainer.appendChild(categoriesContainer);
+}
+
+// Initialize on load
+document.addEventListener('DOMContentLoaded', () => {
+    initSpeechRecognition();
+    setupEventListeners();
+    loadInitialStats();
+    adjustTextareaHeight();
+    loadSuggestedQueries();
+    // A shared link's question is asked once the last conversation is back on screen
+    initConversationSidebar().then(openPermalink);
+    initQueryBuilder();
+    initQueryDashboard();
+    registerServiceWorker();
+});
+
+// Setup Event Listeners
+function setupEventListeners() {
+    // Send button
+    document.getElementById('sendButton').addEventListener('click', sendMessage);
+
+    // Stop button (cancels a streamed request)
+    document.getElementById('stopButton').addEventListener('click', stopStreaming);
+
+    // Enter key (Shift+Enter for new line)
+    document.getElementById('queryInput').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            sendMessage();
+        }
+    });
+
+    // Auto-resize textarea
+    document.getElementById('queryInput').addEventListener('input', adjustTextareaHeight);
+
+    // Microphone button
+    document.getElementById('micButton').addEventListener('click', toggleVoiceInput);
+
+    // New conversation button
+    document.getElementById('newConversationButton').addEventListener('click', startNewConversation);
+
+    // Saved conversation search
+    document.getElementById('conversationSearch').addEventListener('input', renderConversationList);
+
+    // Forecast button
+    document.getElementById('forecastButton').addEventListener('click', () => {
+        showForecastPanel('DAM', DEFAULT_FORECAST_DAYS);
+    });
+
+    // Anomalies button
+    document.getElementById('anomaliesButton').addEventListener('click', showAnomalyExplorer);
+
+    // Patterns button
+    document.getElementById('patternsButton').addEventListener('click', showPatternGallery);
+
+    // Compare button
+    document.getElementById('compareButton').addEventListener('click', toggleComparisonDashboard);
+
+    // Pinned queries dashboard button
+    document.getElementById('dashboardButton').addEventListener('click', toggleQueryDashboard);
+
+    // Recommendations button
+    document.getElementById('recommendationsButton').addEventListener('click', showRecommendationsInbox);
+
+    // Report builder button; in report mode clicking a message adds it to the report
+    document.getElementById('reportButton').addEventListener('click', toggleReportBuilder);
+    document.getElementById('messagesArea').addEventListener('click', pickReportMessage);
+
+    // Query builder button
+    document.getElementById('queryBuilderButton').addEventListener('click', () => toggleQueryBuilder());
+
+    // Example cards
+    document.querySelectorAll('.example-card').forEach(card => {
+        card.addEventListener('click', () => {
+            const query = card.getAttribute('data-query');
+            document.getElementById('queryInput').value = query;
+            sendMessage();
+        });
+    });
+
+    // Shared link pasted into an open tab
+    window.addEventListener('hashchange', openPermalink);
+
+    // Chart, export, retry and filter chip buttons in messages and panels
+    document.addEventListener('click', event => handleDataAction(event, CLICK_ACTIONS));
+    document.addEventListener('change', event => handleDataAction(event, CHANGE_ACTIONS));
+}
+
+// Adjust textarea height
+export function adjustTextareaHeight() {
+    const textarea = document.getElementById('queryInput');
+    textarea.style.height = 'auto';
+    textarea.style.height = Math.min(textarea.scrollHeight, 200) + 'px';
+}
+
+// Load Initial Stats
+async function loadInitialStats() {
+    try {
+        const stats = await apiRequest('/api/iex/statistics');
+
+        if (stats.TotalRecords) {
+            let statsText = `${stats.TotalRecords.toLocaleString()} Records | ${stats.MarketTypes.length} Markets`;
+
+            // Add date range if available and valid (check both PascalCase and camelCase)
+            const dateRange = stats.DateRange || stats.dateRange;
+            if (dateRange) {
+                const start = dateRange.Start || dateRange.start;
+                const end = dateRange.End || dateRange.end;
+
+                if (start && end) {
+                    const startDate = new Date(start);
+                    const endDate = new Date(end);
+
+                    if (!isNaN(startDate.getTime()) && !isNaN(endDate.getTime())) {
+                        const startYear = startDate.getFullYear();
+                        const endYear = endDate.getFullYear();
+                        statsText += ` | ${startYear}-${endYear}`;
+                    }
+                }
+            }
+
+            if (stats.cachedAt) {
+                statsText += ` | Offline, cached ${formatCachedAt(stats.cachedAt)}`;
+            }
+
+            document.getElementById('headerStats').textContent = statsText;
+        }
+    } catch (error) {
+        console.error('Error loading stats:', error);
+    }
+}
+
+// Send Message
+export async function sendMessage() {
+    const input = document.getElementById('queryInput');
+    const query = input.value.trim();
+
+    if (!query) return;
+
+    // Add user message
+    const userMessage = addUserMessage(query);
+
+    // Clear input
+    input.value = '';
+    adjustTextareaHeight();
+
+    // Show typing indicator
+    showTypingIndicator();
+
+    // Disable send button
+    const sendButton = document.getElementById('sendButton');
+    sendButton.disabled = true;
+
+    try {
+        if (await runQuery(query, userMessage)) showPinButtons(userMessage);
+    } finally {
+        sendButton.disabled = false;
+    }
+}
+
+// Route a question to the endpoint that answers it and render the answer.
+// Returns true when /api/query gave the answer, so a dashboard tile can re-run it, and false otherwise.
+async function runQuery(query, userMessage) {
+    const stream = createStreamingAnswer();
+    offlineCache.lastCachedAt = null;
+
+    try {
+        // Check if this is a multi-time-slot request (special case)
+        const queryLower = query.toLowerCase();
+        const isHeatMapOrChartQuery = queryLower.includes('heat map') || queryLower.includes('heatmap') ||
+                                       queryLower.includes('heat-map') || queryLower.includes('bar chart') ||
+                                       queryLower.includes('line chart') || queryLower.includes('line graph');
+
+        // Check if query has multiple time slots (e.g., "9AM to 5PM, 5PM to 9PM")
+        const timeSlotPattern = /(\d{1,2})\s*([ap]m)\s+to\s+(\d{1,2})\s*([ap]m)/gi;
+        const timeSlotMatches = query.match(timeSlotPattern);
+        const hasMultipleTimeSlots = timeSlotMatches && timeSlotMatches.length > 1;
+
+        // Check if query mentions "all 3 markets" or "all markets"
+        const hasMultipleMarkets = queryLower.includes('all 3 markets') || queryLower.includes('all markets');
+
+        // If it's a multi-time-slot query, use the multi-timeslot endpoint
+        if (isHeatMapOrChartQuery && (hasMultipleTimeSlots || hasMultipleMarkets)) {
+            await handleMultiTimeSlotRequest(query);
+            return false;
+        }
+
+        // If it's a single time slot heat map, use the existing heat map endpoint
+        if (queryLower.includes('heat map') || queryLower.includes('heatmap') || queryLower.includes('heat-map')) {
+            const queryParams = parseQueryIntent(query);
+            await handleHeatMapRequest(query, queryParams);
+            return false;
+        }
+
+        // Forecast queries get the dedicated forecast panel
+        if (isForecastQuery(query)) {
+            await handleForecastRequest(query);
+            return false;
+        }
+
+        // Time-of-day profile queries get the per-block profile chart
+        if (isProfileQuery(query)) {
+            await handleProfileRequest(query);
+            return false;
+        }
+
+        // Duration curve / histogram / box plot queries get the distribution panel
+        if (isDistributionQuery(query)) {
+            await handleDistributionRequest(query);
+            return false;
+        }
+
+        // Demand vs supply / bid-ask ratio queries get the market tightness chart
+        if (isDemandSupplyQuery(query)) {
+            const params = parseQueryIntent(query);
+            showFilterChips(userMessage, params, 'demand_supply');
+            await handleDemandSupplyRequest(query, params);
+            return false;
+        }
+
+        // Send ALL queries to the unified endpoint - it will intelligently route them.
+        // The answer streams in as it is produced; the full response then replaces it.
+        const result = await streamRequest('/api/query/stream', { question: query, sessionId: getSessionId() }, {
+            onStatus: showTypingStatus,
+            onDelta: text => appendStreamingAnswer(stream, text)
+        });
+
+        // Hide typing indicator
+        hideTypingIndicator();
+        finishStreamingAnswer(stream, false);
+
+        // Check if it's an AI response or data response
+        if (result.answer) {
+            // AI response from NaturalLanguageEngine
+            displayAIResponse(result);
+        } else {
+            // Structured data response from IEXDataService: chips show the filters the server applied
+            // (a local parse stands in when it answered through its natural language path)
+            const params = result.appliedParams || parseQueryIntent(query);
+            showFilterChips(userMessage, params, 'data');
+            await processQueryResult(query, result, params);
+        }
+        return true;
+
+    } catch (error) {
+        hideTypingIndicator();
+        if (error.name === 'AbortError') {
+            // Keep whatever part of the answer had arrived
+            finishStreamingAnswer(stream, true);
+            addAssistantMessage('⏹️ Stopped. The partial answer above may be incomplete.');
+        } else {
+            finishStreamingAnswer(stream, false);
+            showQueryError(error, 'Could not answer this question');
+        }
+        return false;
+    } finally {
+        showCachedLabel(userMessage);
+    }
+}
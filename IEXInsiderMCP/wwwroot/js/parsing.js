@@ -0,0 +1,203 @@
+// Natural-language question parsing and structured query filters
+
+// Markets available in the IEX dataset
+export const MARKET_TYPES = ['DAM', 'GDAM', 'RTM'];
+
+// Parse Query Intent - Convert natural language to structured filters
+export function parseQueryIntent(query) {
+    const queryLower = query.toLowerCase();
+    const params = {
+        query: query,
+        filters: {},
+        limit: 100
+    };
+
+    // Extract year
+    const yearMatch = query.match(/\b(202[3-9]|203[0-9])\b/);
+    if (yearMatch) {
+        params.filters.year = parseInt(yearMatch[1]);
+    }
+
+    // Extract market type
+    if (queryLower.includes('dam') && !queryLower.includes('gdam')) {
+        params.filters.market_type = 'DAM';
+    } else if (queryLower.includes('gdam')) {
+        params.filters.market_type = 'GDAM';
+    } else if (queryLower.includes('rtm')) {
+        params.filters.market_type = 'RTM';
+    }
+
+    // Extract price range (e.g., "9-10 Rs", "within 9 to 10", "between 9 and 10")
+    const priceRangeMatch = query.match(/(\d+(?:\.\d+)?)\s*(?:-|to|and)\s*(\d+(?:\.\d+)?)\s*(?:rs|rupees|₹)?/i);
+    if (priceRangeMatch) {
+        const min = parseFloat(priceRangeMatch[1]);
+        const max = parseFloat(priceRangeMatch[2]);
+        params.filters.mcp_min = Math.min(min, max);
+        params.filters.mcp_max = Math.max(min, max);
+    }
+
+    // Extract time block range (e.g., "5pm to 9pm", "17:00 to 21:00", "5:00pm-9:00pm")
+    const timeRangeMatch = query.match(/(\d{1,2})(?::(\d{2}))?\s*(?:am|pm)?\s*(?:-|to)\s*(\d{1,2})(?::(\d{2}))?\s*(am|pm)?/i);
+    if (timeRangeMatch) {
+        let startHour = parseInt(timeRangeMatch[1]);
+        let endHour = parseInt(timeRangeMatch[3]);
+        const endPeriod = timeRangeMatch[5]?.toLowerCase();
+
+        // Convert to 24-hour format
+        if (endPeriod === 'pm' && endHour < 12) {
+            endHour += 12;
+        }
+        if (queryLower.includes('pm') && startHour < 12 && startHour < endHour) {
+            startHour += 12;
+        }
+
+        params.filters.time_block_start = `${String(startHour).padStart(2, '0')}:00`;
+        params.filters.time_block_end = `${String(endHour).padStart(2, '0')}:00`;
+    }
+
+    // Detect heat map intent (special case - uses different endpoint)
+    if (queryLower.includes('heat map') || queryLower.includes('heatmap') || queryLower.includes('heat-map')) {
+        params.isHeatMap = true;
+        return params; // Return early for heat map
+    }
+
+    // Detect demand/supply metrics (IEX purchase bids vs sell bids)
+    const metrics = [];
+    if (/\b(demand|purchase bids?|buy bids?)\b/.test(queryLower)) {
+        metrics.push('demand');
+    }
+    if (/\b(supply|sell bids?)\b/.test(queryLower)) {
+        metrics.push('supply');
+    }
+    if (BID_ASK_PATTERN.test(queryLower)) {
+        metrics.push('bid_ask_ratio');
+    }
+    if (metrics.length > 0) {
+        params.metrics = metrics;
+    }
+
+    // Detect aggregation intent
+    if (queryLower.includes('average') || queryLower.includes('avg') || queryLower.includes('mean')) {
+        params.aggregation = 'average';
+    } else if (queryLower.includes('highest') || queryLower.includes('maximum') || queryLower.includes('max') || queryLower.includes('peak')) {
+        params.aggregation = 'max';
+    } else if (queryLower.includes('lowest') || queryLower.includes('minimum') || queryLower.includes('min')) {
+        params.aggregation = 'min';
+    } else if (queryLower.includes('total') || queryLower.includes('sum')) {
+        params.aggregation = 'sum';
+    } else if (queryLower.includes('count') || queryLower.includes('how many') || queryLower.includes('number of')) {
+        params.aggregation = 'count';
+    } else if (queryLower.includes('standard deviation') || queryLower.includes('stddev') || queryLower.includes('std dev')) {
+        params.aggregation = 'stddev';
+    }
+
+    // Detect grouping intent
+    if (queryLower.includes('each month') || queryLower.includes('by month') || queryLower.includes('monthly') || queryLower.includes('which month')) {
+        params.group_by = 'month';
+    } else if (queryLower.includes('each year') || queryLower.includes('by year') || queryLower.includes('yearly')) {
+        params.group_by = 'year';
+    } else if (queryLower.includes('each market') || queryLower.includes('by market') || queryLower.includes('compare market')) {
+        params.group_by = 'market_type';
+    } else if (queryLower.includes('each day') || queryLower.includes('by day') || queryLower.includes('daily')) {
+        params.group_by = 'date';
+    } else if (queryLower.includes('each hour') || queryLower.includes('by hour') || queryLower.includes('hourly')) {
+        params.group_by = 'hour';
+    } else if (queryLower.includes('time block') && (queryLower.includes('each') || queryLower.includes('by'))) {
+        params.group_by = 'time_block';
+    }
+
+    // If grouping is detected but no aggregation specified, default to average
+    if (params.group_by && !params.aggregation) {
+        params.aggregation = 'average';
+    }
+
+    // Remove limit for aggregation queries
+    if (params.aggregation || params.group_by) {
+        delete params.limit;
+    }
+
+    return params;
+}
+
+// Format a Date as yyyy-MM-dd using local time (matches the server's DateTime values)
+export function toISODateString(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Convert { market, dateFrom, dateTo, timeFrom, timeTo, mcpMin, ... } form values into
+// /api/iex/query filters, layered over baseFilters. Empty values (null) are left out.
+export function toQueryFilters(values, baseFilters = {}) {
+    const filters = { ...baseFilters };
+
+    if (values.market) filters.market_type = values.market;
+
+    // The API only applies a date range when both ends are given
+    if (values.dateFrom || values.dateTo) {
+        filters.start_date = values.dateFrom || '2000-01-01';
+        filters.end_date = values.dateTo || '2099-12-31';
+    }
+
+    if (values.timeFrom || values.timeTo) {
+        filters.time_block_start = values.timeFrom || '00:00';
+        filters.time_block_end = values.timeTo || '23:45';
+    }
+
+    if (values.mcpMin !== null) filters.mcp_min = values.mcpMin;
+    if (values.mcpMax !== null) filters.mcp_max = values.mcpMax;
+    if (values.mcvMin !== null) filters.mcv_min = values.mcvMin;
+    if (values.mcvMax !== null) filters.mcv_max = values.mcvMax;
+
+    return filters;
+}
+
+// Bid-ask vocabulary: "bid-ask ratio", "bid/ask", "buy-sell ratio", "demand-supply ratio", "market tightness"
+const BID_ASK_PATTERN = /\b(bid[\s\-\/]?ask|buy[\s\-\/]sell ratio|demand[\s\-\/]supply ratio|demand to supply|tightness)\b/;
+
+// Date range covered by start_date/end_date or by year (+ month, + day) filters
+export function getFilterDateRange(filters) {
+    if (filters.start_date || filters.end_date) {
+        return { dateFrom: filters.start_date || '', dateTo: filters.end_date || '' };
+    }
+    if (!filters.year) {
+        return { dateFrom: '', dateTo: '' };
+    }
+
+    const year = filters.year;
+    const pad = n => String(n).padStart(2, '0');
+
+    if (filters.month && filters.day) {
+        const date = `${year}-${pad(filters.month)}-${pad(filters.day)}`;
+        return { dateFrom: date, dateTo: date };
+    }
+    if (filters.month) {
+        const lastDay = new Date(year, filters.month, 0).getDate();
+        return { dateFrom: `${year}-${pad(filters.month)}-01`, dateTo: `${year}-${pad(filters.month)}-${pad(lastDay)}` };
+    }
+    return { dateFrom: `${year}-01-01`, dateTo: `${year}-12-31` };
+}
+
+// Problems the API would silently accept but return nothing for
+export function validateQueryParams(params) {
+    const f = params.filters;
+    if (f.start_date && f.end_date && f.start_date > f.end_date) return 'The start date is after the end date.';
+    if (f.mcp_min !== undefined && f.mcp_max !== undefined && f.mcp_min > f.mcp_max) return 'MCP minimum is above the maximum.';
+    if (f.mcv_min !== undefined && f.mcv_max !== undefined && f.mcv_min > f.mcv_max) return 'MCV minimum is above the maximum.';
+    return null;
+}
+
+// Readable one-line summary, also sent as the query text
+export function describeQueryParams(params) {
+    const f = params.filters;
+    const { dateFrom, dateTo } = getFilterDateRange(f);
+    const parts = [f.market_type || 'All markets'];
+
+    if (dateFrom || dateTo) parts.push(dateFrom === dateTo ? dateFrom : `${dateFrom || '…'} to ${dateTo || '…'}`);
+    if (f.time_block_start) parts.push(`${f.time_block_start}–${f.time_block_end}`);
+    if (f.mcp_min !== undefined || f.mcp_max !== undefined) parts.push(`MCP ${f.mcp_min ?? '…'}–${f.mcp_max ?? '…'} ₹/kWh`);
+    if (f.mcv_min !== undefined || f.mcv_max !== undefined) parts.push(`MCV ${f.mcv_min ?? '…'}–${f.mcv_max ?? '…'} GW`);
+
+    const summary = parts.join(' · ');
+    if (params.group_by) return `${params.aggregation} by ${params.group_by.replace('_', ' ')}: ${summary}`;
+    if (params.aggregation) return `${params.aggregation}: ${summary}`;
+    return `Records: ${summary}`;
+}
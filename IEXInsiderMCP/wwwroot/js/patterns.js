@@ -0,0 +1,209 @@
+// Pattern gallery of recurring weekday/time-block behaviour
+
+import { fetchGroupedAverages } from './anomalies.js';
+import { apiRequest, describeError } from './api.js';
+import { chartInstances, getMarketColor } from './charts.js';
+import { sendMessage } from './main.js';
+import { MARKET_TYPES } from './parsing.js';
+import { addAssistantMessage, scrollToBottom, escapeHtml } from './rendering.js';
+
+// Day names in display order for weekly patterns
+const WEEKDAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Display the pattern gallery: one card per PatternInsight across markets
+export async function showPatternGallery() {
+    const messageDiv = addAssistantMessage(`### 🧩 Pattern Gallery\n\nRecurring daily, weekly and seasonal price patterns detected in each market.`);
+    const messageText = messageDiv.querySelector('.message-text');
+
+    const status = document.createElement('div');
+    status.className = 'panel-status';
+    status.textContent = '⏳ Identifying patterns...';
+
+    const gallery = document.createElement('div');
+    gallery.className = 'pattern-gallery';
+
+    messageText.appendChild(status);
+    messageText.appendChild(gallery);
+    scrollToBottom();
+
+    try {
+        const results = await Promise.all(MARKET_TYPES.map(async market => ({
+            market,
+            patterns: await fetchPatterns(market)
+        })));
+
+        const cards = [];
+        results.forEach(({ market, patterns }) => {
+            patterns.forEach(pattern => cards.push({ ...pattern, market }));
+        });
+
+        if (cards.length === 0) {
+            status.textContent = 'No recurring patterns found.';
+            return;
+        }
+
+        status.textContent = '';
+        cards.forEach((pattern, index) => {
+            gallery.appendChild(createPatternCard(pattern, `pattern-spark-${Date.now()}-${index}`));
+        });
+
+        // Sparklines share the underlying series, so load each (market, grouping) once
+        const seriesCache = {};
+        cards.forEach((pattern, index) => {
+            const canvasId = gallery.children[index].querySelector('canvas').id;
+            loadPatternSeries(pattern, seriesCache)
+                .then(series => renderSparkline(canvasId, series, pattern.timeWindows, getMarketColor(pattern.market)))
+                .catch(error => console.error('Pattern sparkline error:', error));
+        });
+    } catch (error) {
+        console.error('Pattern gallery error:', error);
+        status.className = 'panel-status error';
+        status.textContent = `❌ ${describeError(error)}`;
+    }
+}
+
+// Fetch PatternInsight list for a market
+async function fetchPatterns(marketType) {
+    return await apiRequest(`/api/insights/patterns?marketType=${encodeURIComponent(marketType)}`);
+}
+
+// Build a pattern card with sparkline, confidence indicator and data action
+function createPatternCard(pattern, canvasId) {
+    const card = document.createElement('div');
+    card.className = 'pattern-card';
+
+    const confidence = Math.round(pattern.confidence * 100);
+    const icons = { 'Daily': '🕐', 'Weekly': '📅', 'Seasonal': '🌦️' };
+
+    card.innerHTML = `
+        <div class="pattern-card-header">
+            <span>${icons[pattern.patternType] || '🧩'} ${escapeHtml(pattern.patternType)} Pattern</span>
+            <strong style="color: ${getMarketColor(pattern.market)}">${escapeHtml(pattern.market)}</strong>
+        </div>
+        <p>${escapeHtml(pattern.description)}</p>
+        <div class="sparkline-container"><canvas id="${canvasId}"></canvas></div>
+        <div class="confidence-indicator">
+            <span>Confidence</span>
+            <div class="confidence-bar"><div class="confidence-fill" style="width: ${confidence}%"></div></div>
+            <span>${confidence}%</span>
+        </div>
+    `;
+
+    const actionButton = document.createElement('button');
+    actionButton.className = 'panel-action-btn';
+    actionButton.textContent = '📊 Show me the data';
+    actionButton.addEventListener('click', () => {
+        document.getElementById('queryInput').value = buildPatternQuery(pattern);
+        sendMessage();
+    });
+    card.appendChild(actionButton);
+
+    return card;
+}
+
+// Load the series backing a pattern's sparkline (hourly, weekday or monthly averages)
+async function loadPatternSeries(pattern, cache) {
+    const groupBy = pattern.patternType === 'Daily' ? 'hour' : pattern.patternType === 'Weekly' ? 'date' : 'month';
+    const cacheKey = `${pattern.market}-${groupBy}`;
+
+    if (!cache[cacheKey]) {
+        cache[cacheKey] = fetchGroupedAverages(pattern.market, groupBy);
+    }
+    const groups = await cache[cacheKey];
+
+    if (pattern.patternType === 'Daily') {
+        return groups.map(g => ({ label: `${g.group_key}:00`, value: g.mcp_average }));
+    }
+
+    if (pattern.patternType === 'Weekly') {
+        // Average daily values by day of week
+        const byDay = {};
+        groups.forEach(g => {
+            const dayIndex = (new Date(`${g.group_key}T00:00:00`).getDay() + 6) % 7;
+            const day = WEEKDAY_NAMES[dayIndex];
+            byDay[day] = byDay[day] || { total: 0, count: 0 };
+            byDay[day].total += g.mcp_average;
+            byDay[day].count++;
+        });
+        return WEEKDAY_NAMES.filter(day => byDay[day]).map(day => ({
+            label: day,
+            value: byDay[day].total / byDay[day].count
+        }));
+    }
+
+    return groups.map(g => ({ label: g.group_key, value: g.mcp_average }));
+}
+
+// Render a compact line chart with the pattern's time windows highlighted
+function renderSparkline(canvasId, series, highlightLabels, color) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return;
+
+    // Destroy existing chart if any
+    if (chartInstances[canvasId]) {
+        chartInstances[canvasId].destroy();
+    }
+
+    const highlights = new Set(highlightLabels || []);
+
+    chartInstances[canvasId] = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: series.map(p => p.label),
+            datasets: [{
+                data: series.map(p => p.value),
+                borderColor: color,
+                backgroundColor: 'rgba(0, 168, 204, 0.1)',
+                borderWidth: 2,
+                fill: true,
+                tension: 0.4,
+                pointRadius: series.map(p => highlights.has(p.label) ? 4 : 0),
+                pointBackgroundColor: '#fb923c'
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            plugins: {
+                legend: {
+                    display: false
+                },
+                tooltip: {
+                    displayColors: false,
+                    callbacks: {
+                        label: function(context) {
+                            return `₹${context.parsed.y.toFixed(2)}/kWh`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    display: false
+                },
+                y: {
+                    display: false
+                }
+            }
+        }
+    });
+}
+
+// Build the follow-up query for a pattern's market and time window
+function buildPatternQuery(pattern) {
+    const windows = pattern.timeWindows || [];
+
+    if (pattern.patternType === 'Daily' && windows.length > 0) {
+        const hours = windows.map(w => parseInt(w)).sort((a, b) => a - b);
+        const start = String(hours[0]).padStart(2, '0');
+        const end = String(Math.min(hours[hours.length - 1] + 1, 24)).padStart(2, '0');
+        return `Show hourly average MCP for ${pattern.market} market from ${start}:00 to ${end}:00`;
+    }
+
+    if (pattern.patternType === 'Weekly' && windows.length > 0) {
+        return `Show average MCP for ${pattern.market} market on ${windows.join(' and ')}`;
+    }
+
+    return `Show monthly average MCP for ${pattern.market} market`;
+}
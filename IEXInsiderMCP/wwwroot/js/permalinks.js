@@ -0,0 +1,138 @@
+// Shareable links: a question, its filter chip params and its charts' type and zoom, kept in the URL hash
+
+import { chartInstances, getChartType, setChartType } from './charts.js';
+import { validateQueryParams } from './parsing.js';
+import { getFilterChipParams } from './query-builder.js';
+import { getQuestionMessage, getAnswerMessages } from './rendering.js';
+
+// Filter chip routes a link may restore (see showFilterChips)
+const PERMALINK_ROUTES = ['data', 'demand_supply'];
+
+// Charts are drawn a moment after their message; how long to wait for them when restoring a view (ms)
+const CHART_WAIT_LIMIT = 3000;
+const CHART_WAIT_STEP = 100;
+
+// How long a copy button shows its confirmation (ms)
+const LINK_COPIED_DELAY = 2000;
+
+// Copy the link for the question an assistant message answers
+export async function copyMessageLink(button) {
+    const userMessage = getQuestionMessage(button.closest('.message'));
+    if (!userMessage) return;
+
+    const link = createPermalink(userMessage);
+
+    try {
+        await navigator.clipboard.writeText(link);
+    } catch (error) {
+        // No clipboard access (e.g. plain http): let the user copy it by hand
+        console.error('Error copying link:', error);
+        window.prompt('Copy this link:', link);
+        return;
+    }
+
+    const label = button.textContent;
+    button.textContent = '✅ Copied';
+    setTimeout(() => {
+        button.textContent = label;
+    }, LINK_COPIED_DELAY);
+}
+
+// URL of this page with #query=...&params=...&route=...&view=...
+function createPermalink(userMessage) {
+    const hash = new URLSearchParams();
+    hash.set('query', userMessage.querySelector('.message-text').textContent.trim());
+
+    const chips = userMessage.querySelector('.filter-chips');
+    if (chips) {
+        hash.set('params', JSON.stringify(getFilterChipParams(chips)));
+        hash.set('route', chips.dataset.queryRoute);
+    }
+
+    const view = getAnswerCharts(userMessage).map(chart => getChartView(chart));
+    if (view.length > 0) {
+        hash.set('view', JSON.stringify(view));
+    }
+
+    return `${location.origin}${location.pathname}${location.search}#${hash}`;
+}
+
+// { type, min, max } of a chart; min/max (x axis) only when it is zoomed or panned
+function getChartView(chart) {
+    const view = { type: getChartType(chart) };
+    if (chart.isZoomedOrPanned?.() && chart.scales.x) {
+        view.min = chart.scales.x.min;
+        view.max = chart.scales.x.max;
+    }
+    return view;
+}
+
+// Charts in the answers to a question, in page order
+function getAnswerCharts(userMessage) {
+    return getAnswerMessages(userMessage)
+        .flatMap(message => Array.from(message.querySelectorAll('canvas[id]')))
+        .map(canvas => chartInstances[canvas.id])
+        .filter(Boolean);
+}
+
+// The link in the page's hash, or null. The hash is cleared so a reload does not ask the question again.
+// Malformed filters or views are dropped, keeping the question.
+export function readPermalink() {
+    const hash = new URLSearchParams(location.hash.slice(1));
+    const query = hash.get('query')?.trim();
+    if (!query) return null;
+
+    history.replaceState(null, '', `${location.pathname}${location.search}`);
+
+    const params = parsePermalinkJson(hash.get('params'));
+    const route = hash.get('route');
+    const hasParams = params !== null && typeof params === 'object' && typeof params.query === 'string' &&
+        params.filters !== null && typeof params.filters === 'object' && PERMALINK_ROUTES.includes(route) &&
+        !validateQueryParams(params);
+
+    const view = parsePermalinkJson(hash.get('view'));
+
+    return {
+        query,
+        params: hasParams ? params : null,
+        route: hasParams ? route : null,
+        view: Array.isArray(view) ? view : []
+    };
+}
+
+function parsePermalinkJson(value) {
+    if (!value) return null;
+
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        console.error('Ignoring malformed link data:', error);
+        return null;
+    }
+}
+
+// Apply a link's chart types and zoom to the answers of the question it re-ran
+export async function restorePermalinkView(userMessage, view) {
+    if (view.length === 0) return;
+
+    let charts = getAnswerCharts(userMessage);
+    for (let waited = 0; charts.length < view.length && waited < CHART_WAIT_LIMIT; waited += CHART_WAIT_STEP) {
+        await new Promise(resolve => setTimeout(resolve, CHART_WAIT_STEP));
+        charts = getAnswerCharts(userMessage);
+    }
+
+    charts.forEach((chart, index) => {
+        const chartView = view[index];
+        if (!chartView || typeof chartView !== 'object') return;
+
+        const chartId = chart.canvas.id;
+        if (chartView.type !== getChartType(chart)) {
+            setChartType(chartId, chartView.type);
+        }
+
+        const current = chartInstances[chartId];
+        if (current?.scales.x && Number.isFinite(chartView.min) && Number.isFinite(chartView.max)) {
+            current.zoomScale('x', { min: chartView.min, max: chartView.max }, 'none');
+        }
+    });
+}
@@ -0,0 +1,452 @@
+// Time-of-day profile: average MCP/MCV per 15-minute block with P10–P90 bands and optional overlays
+
+import { describeError, fetchQueryRows } from './api.js';
+import { chartInstances, chartColors, getChartTypeMenu, getPercentile, syncChartTypeMenu } from './charts.js';
+import { MARKET_TYPES, parseQueryIntent, getFilterDateRange } from './parsing.js';
+import {
+    addAssistantMessage,
+    hideTypingIndicator,
+    scrollToBottom,
+    createPanelSelect,
+    createPanelLabel,
+    createPanelDateInput,
+    setRecentPanelPeriod
+} from './rendering.js';
+import { sanitizeHtml, renderMarkdown } from './sanitize.js';
+
+// Days covered when the question names no period, counted back from the last day in the data
+const DEFAULT_PROFILE_DAYS = 90;
+
+const PROFILE_METRICS = [
+    { value: 'mcp', label: 'MCP (₹/kWh)', name: 'MCP', unit: '₹/kWh' },
+    { value: 'mcv', label: 'MCV (GW)', name: 'MCV', unit: 'GW' }
+];
+
+const PROFILE_OVERLAYS = [
+    { value: 'none', label: 'None' },
+    { value: 'weekday', label: 'Weekdays vs weekends' },
+    { value: 'month', label: 'Separate months' }
+];
+
+// More months than this are overlaid by calendar month (Jan–Dec across years) instead of one line each
+const MAX_PROFILE_MONTH_LINES = 12;
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const PROFILE_OVERLAY_COLORS = [
+    chartColors.primaryBlueBorder, chartColors.amberBorder, chartColors.emeraldBorder, 'rgba(220, 38, 38, 1)',
+    chartColors.accentCyanBorder, 'rgba(139, 92, 246, 1)', chartColors.navyBorder, 'rgba(217, 70, 239, 1)',
+    chartColors.tealBorder, 'rgba(161, 98, 7, 1)', chartColors.lightBlueBorder, 'rgba(100, 116, 139, 1)'
+];
+
+// "Time-of-day profile", "intraday price shape", "daily profile for RTM 2024", "profile chart"
+export function isProfileQuery(query) {
+    return /\b(intraday|time[\s-]of[\s-]day|daily|hourly)\s+(?:price\s+|volume\s+)?(profile|shape)\b|\bprofile chart\b/i.test(query);
+}
+
+// Handle a profile question from the chat input: market, period, metric and overlay come from its wording
+export async function handleProfileRequest(query) {
+    hideTypingIndicator();
+
+    try {
+        const queryLower = query.toLowerCase();
+        const params = parseQueryIntent(query);
+        const { dateFrom, dateTo } = getFilterDateRange(params.filters);
+
+        let overlay = 'none';
+        if (/weekends?|weekdays?/.test(queryLower)) {
+            overlay = 'weekday';
+        } else if (/\b(by|each|per|separate) months?\b|\bmonthly\b/.test(queryLower)) {
+            overlay = 'month';
+        }
+
+        await showProfilePanel({
+            marketType: params.filters.market_type || 'DAM',
+            dateFrom,
+            dateTo,
+            metric: /\b(mcv|volume)\b/.test(queryLower) && !/\b(mcp|price)\b/.test(queryLower) ? 'mcv' : 'mcp',
+            overlay
+        });
+    } finally {
+        document.getElementById('sendButton').disabled = false;
+    }
+}
+
+// Display the profile panel with market, period, metric and overlay controls (also opened from heat map columns)
+export async function showProfilePanel({ marketType, dateFrom, dateTo, metric, overlay }) {
+    const messageDiv = addAssistantMessage(`### 🕒 Time-of-Day Profile\n\nAverage per 15-minute block over the chosen period. The shaded band spans the 10th to 90th percentile of the days; the dashed line is the median.`);
+    const messageText = messageDiv.querySelector('.message-text');
+    const chartId = `profile-chart-${Date.now()}`;
+
+    const controls = document.createElement('div');
+    controls.className = 'panel-controls';
+
+    const marketSelect = createPanelSelect(MARKET_TYPES.map(m => ({ value: m, label: m })), marketType);
+    const fromInput = createPanelDateInput();
+    const toInput = createPanelDateInput();
+    const metricSelect = createPanelSelect(PROFILE_METRICS, metric);
+    const overlaySelect = createPanelSelect(PROFILE_OVERLAYS, overlay);
+
+    controls.appendChild(createPanelLabel('Market', marketSelect));
+    controls.appendChild(createPanelLabel('From', fromInput));
+    controls.appendChild(createPanelLabel('To', toInput));
+    controls.appendChild(createPanelLabel('Metric', metricSelect));
+    controls.appendChild(createPanelLabel('Overlay', overlaySelect));
+
+    const status = document.createElement('span');
+    status.className = 'panel-status';
+    controls.appendChild(status);
+
+    const summary = document.createElement('div');
+
+    const chartContainer = document.createElement('div');
+    chartContainer.className = 'chart-container';
+    chartContainer.innerHTML = sanitizeHtml(`
+        <div class="chart-header">
+            <div class="chart-title">Time-of-Day Profile</div>
+            <div class="chart-actions">
+                <button class="chart-action-btn" data-action="downloadChart" data-action-arg="${chartId}" title="Download Chart">📥</button>
+                ${getChartTypeMenu(chartId)}
+            </div>
+        </div>
+        <canvas id="${chartId}" style="max-height: 450px;"></canvas>
+    `);
+
+    messageText.appendChild(controls);
+    messageText.appendChild(summary);
+    messageText.appendChild(chartContainer);
+    scrollToBottom();
+
+    const panel = {
+        chartId, marketSelect, fromInput, toInput, metricSelect, overlaySelect, status, summary,
+        chartTitle: chartContainer.querySelector('.chart-title'),
+        records: []
+    };
+
+    // Market and period need new records; metric and overlay only redraw
+    marketSelect.addEventListener('change', () => loadProfile(panel));
+    fromInput.addEventListener('change', () => loadProfile(panel));
+    toInput.addEventListener('change', () => loadProfile(panel));
+    metricSelect.addEventListener('change', () => renderProfile(panel));
+    overlaySelect.addEventListener('change', () => renderProfile(panel));
+
+    if (dateFrom && dateTo) {
+        fromInput.value = dateFrom;
+        toInput.value = dateTo;
+    } else {
+        await setRecentPanelPeriod(fromInput, toInput, DEFAULT_PROFILE_DAYS);
+    }
+
+    await loadProfile(panel);
+}
+
+// Fetch the raw records for the market and period, then draw the profile
+async function loadProfile(panel) {
+    const marketType = panel.marketSelect.value;
+    const dateFrom = panel.fromInput.value;
+    const dateTo = panel.toInput.value;
+
+    if (!dateFrom || !dateTo || dateFrom > dateTo) {
+        panel.status.className = 'panel-status error';
+        panel.status.textContent = '❌ Choose a start date on or before the end date.';
+        return;
+    }
+
+    const controls = [panel.marketSelect, panel.fromInput, panel.toInput];
+    panel.status.className = 'panel-status';
+    panel.status.textContent = `⏳ Loading ${marketType} time blocks...`;
+    controls.forEach(control => { control.disabled = true; });
+
+    try {
+        const result = await fetchQueryRows({
+            query: `Time-of-day profile for ${marketType}`,
+            filters: { market_type: marketType, start_date: dateFrom, end_date: dateTo }
+        });
+
+        if (!result.success) {
+            throw new Error(result.message);
+        }
+        if (!result.data || result.data.length === 0) {
+            throw new Error(`No ${marketType} records between ${dateFrom} and ${dateTo}.`);
+        }
+
+        panel.records = result.data;
+        panel.status.textContent = '';
+        renderProfile(panel);
+    } catch (error) {
+        console.error('Profile error:', error);
+        panel.status.className = 'panel-status error';
+        panel.status.textContent = `❌ ${describeError(error)}`;
+    } finally {
+        controls.forEach(control => { control.disabled = false; });
+    }
+}
+
+// Summary cards and chart for the loaded records, metric and overlay
+function renderProfile(panel) {
+    if (panel.records.length === 0) return;
+
+    const metric = PROFILE_METRICS.find(m => m.value === panel.metricSelect.value);
+    const overlay = panel.overlaySelect.value;
+    const profile = buildTimeOfDayProfile(panel.records, metric.value);
+    const overlaySeries = overlay === 'none' ? [] : buildProfileOverlays(panel.records, metric.value, profile.blocks, overlay);
+
+    panel.chartTitle.textContent = `${panel.marketSelect.value}: Average ${metric.name} by Time of Day (${panel.fromInput.value} to ${panel.toInput.value})`;
+    panel.summary.innerHTML = renderMarkdown(formatProfileSummary(profile, overlaySeries, metric, overlay));
+
+    renderProfileChart(panel.chartId, profile, overlaySeries, metric);
+}
+
+// Start time of a block, e.g. "08:15" for "08:15:00-08:30:00"
+function getBlockStart(timeBlock) {
+    return timeBlock.split('-')[0].slice(0, 5);
+}
+
+// Mean and P10/P50/P90 per time block, plus the number of days covered
+function buildTimeOfDayProfile(records, metricKey) {
+    const valuesByBlock = groupValuesByBlock(records, metricKey);
+    const blocks = Object.keys(valuesByBlock).sort();
+
+    const stats = blocks.map(block => {
+        const sorted = valuesByBlock[block].slice().sort((a, b) => a - b);
+        return {
+            mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+            p10: getPercentile(sorted, 0.1),
+            p50: getPercentile(sorted, 0.5),
+            p90: getPercentile(sorted, 0.9)
+        };
+    });
+
+    const days = new Set(records.map(record => String(record.date).slice(0, 10))).size;
+
+    return { blocks, stats, days, recordCount: records.length };
+}
+
+function groupValuesByBlock(records, metricKey) {
+    const valuesByBlock = {};
+    records.forEach(record => {
+        const value = record[metricKey];
+        if (typeof value !== 'number') return;
+
+        const block = getBlockStart(record.timeBlock);
+        (valuesByBlock[block] = valuesByBlock[block] || []).push(value);
+    });
+    return valuesByBlock;
+}
+
+// Mean profile per weekday/weekend or per month, aligned to the overall profile's blocks
+function buildProfileOverlays(records, metricKey, blocks, overlay) {
+    let getSeriesKey;
+    if (overlay === 'weekday') {
+        getSeriesKey = record => {
+            const day = new Date(`${String(record.date).slice(0, 10)}T00:00:00`).getDay();
+            return day === 0 || day === 6 ? 'Weekends' : 'Weekdays';
+        };
+    } else {
+        const months = new Set(records.map(record => String(record.date).slice(0, 7)));
+        getSeriesKey = months.size > MAX_PROFILE_MONTH_LINES
+            ? record => MONTH_NAMES[parseInt(String(record.date).slice(5, 7)) - 1]
+            : record => String(record.date).slice(0, 7);
+    }
+
+    const recordsBySeries = {};
+    records.forEach(record => {
+        const key = getSeriesKey(record);
+        (recordsBySeries[key] = recordsBySeries[key] || []).push(record);
+    });
+
+    const keys = Object.keys(recordsBySeries);
+    if (MONTH_NAMES.includes(keys[0])) {
+        keys.sort((a, b) => MONTH_NAMES.indexOf(a) - MONTH_NAMES.indexOf(b));
+    } else {
+        keys.sort();
+    }
+
+    return keys.map(key => {
+        const valuesByBlock = groupValuesByBlock(recordsBySeries[key], metricKey);
+        return {
+            label: key,
+            means: blocks.map(block => {
+                const values = valuesByBlock[block];
+                return values ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+            })
+        };
+    });
+}
+
+// Peak and trough blocks, the daily swing, and how the overlays differ
+function formatProfileSummary(profile, overlaySeries, metric, overlay) {
+    const means = profile.stats.map(s => s.mean);
+    const peakIndex = means.indexOf(Math.max(...means));
+    const troughIndex = means.indexOf(Math.min(...means));
+    const format = value => metric.value === 'mcp' ? `₹${value.toFixed(2)}` : `${value.toFixed(2)} GW`;
+
+    let content = '<div class="stats-grid">';
+    content += `<div class="stat-card">
+        <div class="stat-value">${format(means[peakIndex])}</div>
+        <div class="stat-label">Peak block avg (${profile.blocks[peakIndex]})</div>
+    </div>`;
+    content += `<div class="stat-card">
+        <div class="stat-value">${format(means[troughIndex])}</div>
+        <div class="stat-label">Lowest block avg (${profile.blocks[troughIndex]})</div>
+    </div>`;
+    content += `<div class="stat-card">
+        <div class="stat-value">${format(means[peakIndex] - means[troughIndex])}</div>
+        <div class="stat-label">Peak–trough spread</div>
+    </div>`;
+    content += '</div>';
+
+    content += `\n\n**Days:** ${profile.days.toLocaleString()} | **Records:** ${profile.recordCount.toLocaleString()} | **Blocks:** ${profile.blocks.length}\n`;
+
+    if (overlay === 'weekday' && overlaySeries.length === 2) {
+        const average = series => {
+            const values = series.means.filter(value => value !== null);
+            return values.reduce((sum, value) => sum + value, 0) / values.length;
+        };
+        const [weekdays, weekends] = overlaySeries;
+        content += `\nWeekday blocks average **${format(average(weekdays))}** against **${format(average(weekends))}** at weekends.\n`;
+    }
+
+    return content;
+}
+
+// Overall mean, median and P10–P90 band, with one line per overlay series (which then stands in for the mean)
+function renderProfileChart(chartId, profile, overlaySeries, metric) {
+    const ctx = document.getElementById(chartId);
+    if (!ctx) return;
+
+    // Destroy existing chart if any
+    if (chartInstances[chartId]) {
+        chartInstances[chartId].destroy();
+    }
+
+    const hasOverlay = overlaySeries.length > 0;
+    const datasets = [];
+
+    if (!hasOverlay) {
+        datasets.push({
+            label: `Average ${metric.name} (${metric.unit})`,
+            data: profile.stats.map(s => s.mean),
+            borderColor: chartColors.primaryBlueBorder,
+            backgroundColor: chartColors.primaryBlue,
+            borderWidth: 2.5,
+            pointRadius: 0,
+            pointHoverRadius: 5,
+            tension: 0.3,
+            fill: false
+        });
+    }
+
+    overlaySeries.forEach((series, index) => {
+        const color = PROFILE_OVERLAY_COLORS[index % PROFILE_OVERLAY_COLORS.length];
+        datasets.push({
+            label: `${series.label} avg (${metric.unit})`,
+            data: series.means,
+            borderColor: color,
+            backgroundColor: color,
+            borderWidth: 2,
+            pointRadius: 0,
+            pointHoverRadius: 4,
+            tension: 0.3,
+            fill: false
+        });
+    });
+
+    datasets.push(
+        {
+            label: 'Median (P50)',
+            data: profile.stats.map(s => s.p50),
+            borderColor: chartColors.navyBorder,
+            borderWidth: 1.5,
+            borderDash: [6, 4],
+            pointRadius: 0,
+            tension: 0.3,
+            fill: false
+        },
+        {
+            label: 'P90',
+            data: profile.stats.map(s => s.p90),
+            borderColor: 'rgba(0, 168, 204, 0.4)',
+            backgroundColor: 'rgba(0, 168, 204, 0.15)',
+            borderWidth: 1,
+            pointRadius: 0,
+            tension: 0.3,
+            fill: '+1'
+        },
+        {
+            label: 'P10',
+            data: profile.stats.map(s => s.p10),
+            borderColor: 'rgba(0, 168, 204, 0.4)',
+            backgroundColor: 'rgba(0, 168, 204, 0.15)',
+            borderWidth: 1,
+            pointRadius: 0,
+            tension: 0.3,
+            fill: false
+        }
+    );
+
+    chartInstances[chartId] = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: profile.blocks,
+            datasets: datasets
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top',
+                    labels: {
+                        usePointStyle: true,
+                        padding: 15
+                    }
+                },
+                tooltip: {
+                    backgroundColor: 'rgba(30, 41, 59, 0.95)',
+                    padding: 12,
+                    filter: function(item) {
+                        return item.parsed.y !== null;
+                    },
+                    callbacks: {
+                        label: function(context) {
+                            return `${context.dataset.label}: ${context.parsed.y.toFixed(2)}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Time block (start)'
+                    },
+                    ticks: {
+                        autoSkip: true,
+                        maxTicksLimit: 24,
+                        color: '#64748b'
+                    }
+                },
+                y: {
+                    beginAtZero: false,
+                    title: {
+                        display: true,
+                        text: metric.label
+                    },
+                    ticks: {
+                        callback: function(value) {
+                            return value.toFixed(2);
+                        }
+                    }
+                }
+            }
+        }
+    });
+
+    syncChartTypeMenu(chartId, 'line');
+}
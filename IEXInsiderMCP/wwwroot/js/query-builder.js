@@ -0,0 +1,498 @@
+// Structured query builder and the editable filter chips on questions
+
+import { apiRequest, fetchQueryRows, offlineCache } from './api.js';
+import { handleDemandSupplyRequest } from './demand-supply.js';
+import { MARKET_TYPES, parseQueryIntent, toQueryFilters, getFilterDateRange, validateQueryParams, describeQueryParams } from './parsing.js';
+import { createRecordGridInput } from './record-grid.js';
+import {
+    showQueryError,
+    processQueryResult,
+    addUserMessage,
+    showTypingIndicator,
+    hideTypingIndicator,
+    escapeHtml,
+    createPanelSelect,
+    createPanelLabel,
+    createPanelDateInput,
+    replaceMessageResponse,
+    showCachedLabel,
+    showPinButtons
+} from './rendering.js';
+
+// Query builder pickers for the /api/iex/query aggregation and group_by parameters
+const BUILDER_AGGREGATIONS = [
+    { value: '', label: 'None (raw records)' },
+    { value: 'average', label: 'Average' },
+    { value: 'sum', label: 'Sum' },
+    { value: 'count', label: 'Count' },
+    { value: 'max', label: 'Maximum' },
+    { value: 'min', label: 'Minimum' },
+    { value: 'stddev', label: 'Std deviation' }
+];
+
+const BUILDER_GROUP_BY = [
+    { value: '', label: 'None' },
+    { value: 'market_type', label: 'Market' },
+    { value: 'year', label: 'Year' },
+    { value: 'month', label: 'Month' },
+    { value: 'date', label: 'Date' },
+    { value: 'hour', label: 'Hour' },
+    { value: 'time_block', label: 'Time block' }
+];
+
+// Raw-record limit, matching parseQueryIntent
+const BUILDER_DEFAULT_LIMIT = 100;
+
+// Query builder controls, created once on load
+const queryBuilder = {
+    panel: null,
+    inputs: null,
+    status: null
+};
+
+// Build the query builder panel under the view toolbar
+export function initQueryBuilder() {
+    const panel = document.getElementById('queryBuilder');
+
+    const inputs = {
+        market: createPanelSelect([{ value: '', label: 'All' }, ...MARKET_TYPES.map(m => ({ value: m, label: m }))], ''),
+        dateFrom: createPanelDateInput(),
+        dateTo: createPanelDateInput(),
+        timeFrom: createRecordGridInput('time'),
+        timeTo: createRecordGridInput('time'),
+        mcpMin: createRecordGridInput('number', 'min'),
+        mcpMax: createRecordGridInput('number', 'max'),
+        mcvMin: createRecordGridInput('number', 'min'),
+        mcvMax: createRecordGridInput('number', 'max'),
+        aggregation: createPanelSelect(BUILDER_AGGREGATIONS, ''),
+        groupBy: createPanelSelect(BUILDER_GROUP_BY, ''),
+        limit: createRecordGridInput('number', String(BUILDER_DEFAULT_LIMIT))
+    };
+    inputs.limit.min = 1;
+    inputs.limit.step = 1;
+
+    const filterRow = document.createElement('div');
+    filterRow.className = 'panel-controls';
+    filterRow.appendChild(createPanelLabel('Market', inputs.market));
+    filterRow.appendChild(createPanelLabel('Date', inputs.dateFrom));
+    filterRow.appendChild(createPanelLabel('to', inputs.dateTo));
+    filterRow.appendChild(createPanelLabel('Time Block', inputs.timeFrom));
+    filterRow.appendChild(createPanelLabel('to', inputs.timeTo));
+
+    const boundsRow = document.createElement('div');
+    boundsRow.className = 'panel-controls';
+    boundsRow.appendChild(createPanelLabel('MCP ₹/kWh', inputs.mcpMin));
+    boundsRow.appendChild(createPanelLabel('–', inputs.mcpMax));
+    boundsRow.appendChild(createPanelLabel('MCV GW', inputs.mcvMin));
+    boundsRow.appendChild(createPanelLabel('–', inputs.mcvMax));
+    boundsRow.appendChild(createPanelLabel('Aggregation', inputs.aggregation));
+    boundsRow.appendChild(createPanelLabel('Group by', inputs.groupBy));
+    boundsRow.appendChild(createPanelLabel('Limit', inputs.limit));
+
+    const actions = document.createElement('div');
+    actions.className = 'query-builder-actions';
+
+    const runButton = document.createElement('button');
+    runButton.className = 'panel-action-btn primary';
+    runButton.textContent = '▶ Run query';
+    runButton.addEventListener('click', runQueryBuilder);
+
+    const resetButton = document.createElement('button');
+    resetButton.className = 'panel-action-btn';
+    resetButton.textContent = 'Reset';
+    resetButton.addEventListener('click', () => setQueryBuilderParams({ filters: {} }));
+
+    const closeButton = document.createElement('button');
+    closeButton.className = 'panel-action-btn';
+    closeButton.textContent = 'Close';
+    closeButton.addEventListener('click', () => toggleQueryBuilder(false));
+
+    const status = document.createElement('span');
+    status.className = 'panel-status';
+
+    actions.appendChild(runButton);
+    actions.appendChild(resetButton);
+    actions.appendChild(closeButton);
+    actions.appendChild(status);
+
+    panel.appendChild(filterRow);
+    panel.appendChild(boundsRow);
+    panel.appendChild(actions);
+
+    queryBuilder.panel = panel;
+    queryBuilder.inputs = inputs;
+    queryBuilder.status = status;
+}
+
+export function toggleQueryBuilder(show) {
+    const visible = show !== undefined ? show : queryBuilder.panel.style.display === 'none';
+    queryBuilder.panel.style.display = visible ? 'block' : 'none';
+    document.getElementById('queryBuilderButton').classList.toggle('active', visible);
+}
+
+// Fill the builder from a params object ({ filters, aggregation, group_by, limit }),
+// e.g. one produced by parseQueryIntent for a past free-text question
+function setQueryBuilderParams(params) {
+    const inputs = queryBuilder.inputs;
+    const filters = params.filters || {};
+    const { dateFrom, dateTo } = getFilterDateRange(filters);
+
+    inputs.market.value = filters.market_type || '';
+    inputs.dateFrom.value = dateFrom;
+    inputs.dateTo.value = dateTo;
+    inputs.timeFrom.value = filters.time_block_start || '';
+    inputs.timeTo.value = filters.time_block_end || '';
+    inputs.mcpMin.value = filters.mcp_min ?? '';
+    inputs.mcpMax.value = filters.mcp_max ?? '';
+    inputs.mcvMin.value = filters.mcv_min ?? '';
+    inputs.mcvMax.value = filters.mcv_max ?? '';
+    inputs.aggregation.value = params.aggregation || '';
+    inputs.groupBy.value = params.group_by || '';
+    inputs.limit.value = params.limit ?? '';
+
+    queryBuilder.status.className = 'panel-status';
+    queryBuilder.status.textContent = '';
+}
+
+// Read the builder into the same params object parseQueryIntent produces
+function getQueryBuilderParams() {
+    const inputs = queryBuilder.inputs;
+    const number = input => input.value === '' ? null : parseFloat(input.value);
+
+    const params = {
+        filters: toQueryFilters({
+            market: inputs.market.value || null,
+            dateFrom: inputs.dateFrom.value || null,
+            dateTo: inputs.dateTo.value || null,
+            timeFrom: inputs.timeFrom.value || null,
+            timeTo: inputs.timeTo.value || null,
+            mcpMin: number(inputs.mcpMin),
+            mcpMax: number(inputs.mcpMax),
+            mcvMin: number(inputs.mcvMin),
+            mcvMax: number(inputs.mcvMax)
+        })
+    };
+
+    if (inputs.aggregation.value) params.aggregation = inputs.aggregation.value;
+    if (inputs.groupBy.value) params.group_by = inputs.groupBy.value;
+
+    // Grouping without an aggregation defaults to average, and aggregations return all groups
+    if (params.group_by && !params.aggregation) {
+        params.aggregation = 'average';
+    }
+    if (!params.aggregation) {
+        params.limit = number(inputs.limit) || BUILDER_DEFAULT_LIMIT;
+    }
+
+    params.query = describeQueryParams(params);
+    return params;
+}
+
+// Send the builder's params to /api/iex/query and render the result like any other answer
+async function runQueryBuilder() {
+    const params = getQueryBuilderParams();
+
+    const error = validateQueryParams(params);
+    if (error) {
+        queryBuilder.status.className = 'panel-status error';
+        queryBuilder.status.textContent = `❌ ${error}`;
+        return;
+    }
+    queryBuilder.status.className = 'panel-status';
+    queryBuilder.status.textContent = '';
+
+    const userMessage = addUserMessage(params.query);
+    showFilterChips(userMessage, params, 'data');
+    showTypingIndicator();
+
+    const sendButton = document.getElementById('sendButton');
+    sendButton.disabled = true;
+    offlineCache.lastCachedAt = null;
+
+    try {
+        const result = await fetchStructuredQuery(params);
+        hideTypingIndicator();
+        await processQueryResult(params.query, result, params);
+        showPinButtons(userMessage);
+    } catch (error) {
+        hideTypingIndicator();
+        showQueryError(error, 'Could not run this query');
+    } finally {
+        sendButton.disabled = false;
+        showCachedLabel(userMessage);
+    }
+}
+
+// Run a params object ({ query, filters, aggregation, group_by, limit }) against /api/iex/query
+async function fetchStructuredQuery(params) {
+    // Raw records open in the record grid, which shows no AI insights
+    if (!params.aggregation) return await fetchQueryRows(params);
+
+    return await apiRequest('/api/iex/query', { method: 'POST', body: params });
+}
+
+// Open a past question in the builder: the filters shown in its chips, or parsed filters for free text
+export function openQueryInBuilder(button) {
+    const messageDiv = button.closest('.message');
+    if (!messageDiv) return;
+
+    const chips = messageDiv.querySelector('.filter-chips');
+    const params = chips
+        ? getFilterChipParams(chips)
+        : parseQueryIntent(messageDiv.querySelector('.message-text').textContent.trim());
+
+    setQueryBuilderParams(params);
+    toggleQueryBuilder(true);
+}
+
+// Filters shown as chips under a question. keys are the params/filters they set; form names the
+// toQueryFilters values for range filters; routes limits a chip to some kinds of answer.
+const FILTER_CHIP_FIELDS = [
+    { id: 'market_type', label: 'Market', keys: ['market_type'], form: ['market'], input: 'select', options: MARKET_TYPES.map(m => ({ value: m, label: m })) },
+    { id: 'year', label: 'Year', keys: ['year'], input: 'number' },
+    { id: 'month', label: 'Month', keys: ['month'], input: 'number' },
+    { id: 'day', label: 'Day', keys: ['day'], input: 'number' },
+    { id: 'dates', label: 'Dates', keys: ['start_date', 'end_date'], form: ['dateFrom', 'dateTo'], input: 'date' },
+    { id: 'time', label: 'Time', keys: ['time_block_start', 'time_block_end'], form: ['timeFrom', 'timeTo'], input: 'time' },
+    { id: 'mcp', label: 'MCP', unit: '₹/kWh', keys: ['mcp_min', 'mcp_max'], form: ['mcpMin', 'mcpMax'], input: 'number' },
+    { id: 'mcv', label: 'MCV', unit: 'GW', keys: ['mcv_min', 'mcv_max'], form: ['mcvMin', 'mcvMax'], input: 'number' },
+    { id: 'aggregation', label: 'Aggregation', keys: ['aggregation'], param: true, routes: ['data'], input: 'select', options: BUILDER_AGGREGATIONS.filter(o => o.value) },
+    { id: 'group_by', label: 'Group by', keys: ['group_by'], param: true, input: 'select', options: BUILDER_GROUP_BY.filter(o => o.value) }
+];
+
+// toQueryFilters values with nothing set
+const EMPTY_FILTER_FORM = {
+    market: null, dateFrom: null, dateTo: null, timeFrom: null, timeTo: null,
+    mcpMin: null, mcpMax: null, mcvMin: null, mcvMax: null
+};
+
+// Attach (or refresh) the chips for the params a question was answered with.
+// route is 'data' (/api/iex/query records and aggregations) or 'demand_supply'.
+export function showFilterChips(userMessage, params, route) {
+    let container = userMessage.querySelector('.filter-chips');
+    if (!container) {
+        container = document.createElement('div');
+        container.className = 'filter-chips';
+        userMessage.querySelector('.message-content').appendChild(container);
+    }
+
+    // Kept on the element so the chips survive being saved and restored with the transcript
+    container.dataset.queryParams = JSON.stringify(params);
+    container.dataset.queryRoute = route;
+    renderFilterChips(container);
+}
+
+export function getFilterChipParams(container) {
+    return JSON.parse(container.dataset.queryParams);
+}
+
+function getFilterChipFields(container) {
+    const route = container.dataset.queryRoute;
+    return FILTER_CHIP_FIELDS.filter(field => !field.routes || field.routes.includes(route));
+}
+
+function getFilterChipField(id) {
+    return FILTER_CHIP_FIELDS.find(field => field.id === id);
+}
+
+// Current values of a field's keys, null where unset
+function getFilterChipValues(field, params) {
+    const target = field.param ? params : params.filters;
+    return field.keys.map(key => target[key] ?? null);
+}
+
+function formatFilterChipValue(field, values) {
+    if (field.options) {
+        const option = field.options.find(o => o.value === values[0]);
+        return option ? option.label : values[0];
+    }
+    if (values.length === 1) return String(values[0]);
+
+    const [from, to] = values;
+    if (field.input === 'date') return from === to ? from : `${from} to ${to}`;
+
+    const range = `${from ?? '…'}–${to ?? '…'}`;
+    return field.unit ? `${range} ${field.unit}` : range;
+}
+
+function renderFilterChips(container) {
+    const params = getFilterChipParams(container);
+    const fields = getFilterChipFields(container);
+    const present = fields.filter(field => getFilterChipValues(field, params).some(v => v !== null));
+    const missing = fields.filter(field => !present.includes(field));
+
+    let html = present.map(field => `<span class="filter-chip">
+            <button class="filter-chip-value" data-action="editFilterChip" data-action-arg="${field.id}" title="Change this filter and re-run">${field.label}: ${escapeHtml(formatFilterChipValue(field, getFilterChipValues(field, params)))}</button>
+            <button class="filter-chip-remove" data-action="removeFilterChip" data-action-arg="${field.id}" title="Remove this filter and re-run">✕</button>
+        </span>`).join('');
+
+    if (missing.length > 0) {
+        html += `<select class="filter-chip-add" data-action="addFilterChip" title="Add a filter and re-run">
+            <option value="">+ Filter</option>
+            ${missing.map(field => `<option value="${field.id}">${field.label}</option>`).join('')}
+        </select>`;
+    }
+
+    html += '<span class="filter-chips-status"></span>';
+    container.innerHTML = html;
+}
+
+export function editFilterChip(button, id) {
+    openFilterChipEditor(button.closest('.filter-chips'), getFilterChipField(id), button.closest('.filter-chip'));
+}
+
+export function addFilterChip(select) {
+    const container = select.closest('.filter-chips');
+    const field = getFilterChipField(select.value);
+    if (!field) return;
+
+    const chip = document.createElement('span');
+    chip.className = 'filter-chip';
+    container.insertBefore(chip, select);
+    select.value = '';
+
+    openFilterChipEditor(container, field, chip);
+}
+
+export function removeFilterChip(button, id) {
+    const container = button.closest('.filter-chips');
+    const field = getFilterChipField(id);
+    applyFilterChipEdit(container, field, field.keys.map(() => null));
+}
+
+// Swap a chip for inputs; Enter or ✓ applies, Escape or ✕ puts the chip back
+function openFilterChipEditor(container, field, chip) {
+    const values = getFilterChipValues(field, getFilterChipParams(container));
+
+    const inputs = values.map((value, index) => {
+        let input;
+        if (field.input === 'select') {
+            input = createPanelSelect(field.options, value ?? field.options[0].value);
+        } else if (field.input === 'date') {
+            input = createPanelDateInput();
+        } else {
+            input = createRecordGridInput(field.input, values.length > 1 ? (index === 0 ? 'min' : 'max') : field.label.toLowerCase());
+        }
+        if (['year', 'month', 'day'].includes(field.id)) input.step = 1;
+        if (field.input !== 'select') input.value = value ?? '';
+        return input;
+    });
+
+    const readValues = () => inputs.map(input => {
+        if (input.value === '') return null;
+        return field.input === 'number' ? parseFloat(input.value) : input.value;
+    });
+
+    const applyButton = document.createElement('button');
+    applyButton.textContent = '✓';
+    applyButton.title = 'Apply and re-run';
+    applyButton.addEventListener('click', () => applyFilterChipEdit(container, field, readValues()));
+
+    const cancelButton = document.createElement('button');
+    cancelButton.textContent = '✕';
+    cancelButton.title = 'Cancel';
+    cancelButton.addEventListener('click', () => renderFilterChips(container));
+
+    chip.className = 'filter-chip editing';
+    chip.innerHTML = '';
+    chip.appendChild(document.createTextNode(`${field.label} `));
+    inputs.forEach((input, index) => {
+        if (index > 0) chip.appendChild(document.createTextNode(' – '));
+        input.addEventListener('keydown', event => {
+            if (event.key === 'Enter') applyFilterChipEdit(container, field, readValues());
+            if (event.key === 'Escape') renderFilterChips(container);
+        });
+        chip.appendChild(input);
+    });
+    chip.appendChild(applyButton);
+    chip.appendChild(cancelButton);
+
+    inputs[0].focus();
+}
+
+// Set a field to new values (all null removes it) and re-run the question with the result
+function applyFilterChipEdit(container, field, values) {
+    const params = getFilterChipParams(container);
+    const target = field.param ? params : params.filters;
+    const isSet = values.some(v => v !== null);
+
+    field.keys.forEach(key => delete target[key]);
+
+    if (isSet && field.form) {
+        const form = { ...EMPTY_FILTER_FORM };
+        field.form.forEach((name, index) => { form[name] = values[index]; });
+        params.filters = toQueryFilters(form, params.filters);
+    } else if (isSet) {
+        target[field.keys[0]] = values[0];
+    }
+
+    // A year (month, day) and a date range would both narrow the dates; keep the one just set
+    if (isSet && field.id === 'dates') {
+        delete params.filters.year;
+        delete params.filters.month;
+        delete params.filters.day;
+    } else if (isSet && ['year', 'month', 'day'].includes(field.id)) {
+        delete params.filters.start_date;
+        delete params.filters.end_date;
+    }
+
+    if (container.dataset.queryRoute === 'data') {
+        // Grouping needs an aggregation, so removing the aggregation removes the grouping too
+        if (field.id === 'aggregation' && !isSet) {
+            delete params.group_by;
+        }
+        if (params.group_by && !params.aggregation) {
+            params.aggregation = 'average';
+        }
+        if (params.aggregation) {
+            delete params.limit;
+        } else {
+            params.limit = params.limit || BUILDER_DEFAULT_LIMIT;
+        }
+    }
+
+    const error = validateQueryParams(params);
+    if (error) {
+        const status = container.querySelector('.filter-chips-status');
+        status.className = 'filter-chips-status error';
+        status.textContent = `❌ ${error}`;
+        return;
+    }
+
+    rerunFilteredQuery(container, params);
+}
+
+// Re-run a question with edited filters and put the new answer where the old one was
+export async function rerunFilteredQuery(container, params) {
+    const userMessage = container.closest('.message');
+    const route = container.dataset.queryRoute;
+
+    container.dataset.queryParams = JSON.stringify(params);
+    renderFilterChips(container);
+    container.classList.add('busy');
+    container.querySelectorAll('button, select').forEach(control => { control.disabled = true; });
+    container.querySelector('.filter-chips-status').textContent = '⏳ Updating...';
+
+    offlineCache.lastCachedAt = null;
+
+    await replaceMessageResponse(userMessage, async () => {
+        if (route === 'demand_supply') {
+            await handleDemandSupplyRequest(params.query, params);
+            return;
+        }
+
+        try {
+            const result = await fetchStructuredQuery(params);
+            await processQueryResult(params.query, result, params);
+        } catch (error) {
+            showQueryError(error, 'Could not re-run this query');
+        }
+    });
+
+    if (route !== 'demand_supply') {
+        showPinButtons(userMessage);
+    }
+    container.classList.remove('busy');
+    renderFilterChips(container);
+    showCachedLabel(userMessage);
+}
@@ -0,0 +1,200 @@
+// Trading recommendations inbox
+
+import { SEVERITY_RANK } from './anomalies.js';
+import { apiRequest, describeError } from './api.js';
+import { getMarketColor } from './charts.js';
+import { MARKET_TYPES } from './parsing.js';
+import { addAssistantMessage, scrollToBottom, escapeHtml, createPanelSelect, createPanelLabel } from './rendering.js';
+
+// localStorage key for acknowledged recommendations
+const ACKNOWLEDGED_RECOMMENDATIONS_KEY = 'iexInsider.acknowledgedRecommendations';
+
+// Action icons for recommendation items
+const RECOMMENDATION_ICONS = {
+    'Buy': '🟢',
+    'Sell': '🔴',
+    'Hold': '⏸️',
+    'Caution': '⚠️',
+    'Optimize': '⏱️'
+};
+
+// Read acknowledged recommendation keys from localStorage
+function loadAcknowledgedRecommendations() {
+    try {
+        return new Set(JSON.parse(localStorage.getItem(ACKNOWLEDGED_RECOMMENDATIONS_KEY)) || []);
+    } catch (error) {
+        console.error('Error reading acknowledged recommendations:', error);
+        return new Set();
+    }
+}
+
+// Persist acknowledged recommendation keys to localStorage
+function saveAcknowledgedRecommendations(keys) {
+    localStorage.setItem(ACKNOWLEDGED_RECOMMENDATIONS_KEY, JSON.stringify(Array.from(keys)));
+}
+
+// Stable key for a recommendation (the API does not return ids)
+function getRecommendationKey(rec) {
+    return `${rec.marketType}|${rec.action}|${rec.timeHorizon}|${rec.reasoning}`;
+}
+
+// Derive a priority from time horizon and confidence (the API has no priority field)
+function getRecommendationPriority(rec) {
+    if (rec.timeHorizon === 'Immediate' || rec.confidenceScore >= 0.85) {
+        return 'High';
+    }
+    if (rec.confidenceScore >= 0.7) {
+        return 'Medium';
+    }
+    return 'Low';
+}
+
+// Display the recommendations inbox with market/priority filters
+export async function showRecommendationsInbox() {
+    const messageDiv = addAssistantMessage(`### 💡 Recommendations Inbox\n\nCurrent buy/sell/hold recommendations per market. Expand an item to see its supporting evidence.`);
+    const messageText = messageDiv.querySelector('.message-text');
+
+    const controls = document.createElement('div');
+    controls.className = 'panel-controls';
+
+    const marketSelect = createPanelSelect([{ value: '', label: 'All' }, ...MARKET_TYPES.map(m => ({ value: m, label: m }))], '');
+    const prioritySelect = createPanelSelect([{ value: '', label: 'All' }, { value: 'High', label: 'High' }, { value: 'Medium', label: 'Medium' }, { value: 'Low', label: 'Low' }], '');
+
+    const showAcknowledged = document.createElement('input');
+    showAcknowledged.type = 'checkbox';
+
+    controls.appendChild(createPanelLabel('Market', marketSelect));
+    controls.appendChild(createPanelLabel('Priority', prioritySelect));
+    controls.appendChild(createPanelLabel('Show acknowledged', showAcknowledged));
+
+    const status = document.createElement('span');
+    status.className = 'panel-status';
+    status.textContent = '⏳ Loading recommendations...';
+    controls.appendChild(status);
+
+    const list = document.createElement('div');
+    list.className = 'recommendation-list';
+
+    messageText.appendChild(controls);
+    messageText.appendChild(list);
+    scrollToBottom();
+
+    const inbox = {
+        recommendations: [],
+        acknowledged: loadAcknowledgedRecommendations(),
+        marketSelect,
+        prioritySelect,
+        showAcknowledged,
+        status,
+        list
+    };
+
+    [marketSelect, prioritySelect, showAcknowledged].forEach(control => {
+        control.addEventListener('change', () => renderRecommendationsInbox(inbox));
+    });
+
+    try {
+        const results = await Promise.all(MARKET_TYPES.map(market => fetchRecommendations(market)));
+        inbox.recommendations = results.flat().map(rec => ({
+            ...rec,
+            key: getRecommendationKey(rec),
+            priority: getRecommendationPriority(rec)
+        }));
+
+        status.textContent = '';
+        renderRecommendationsInbox(inbox);
+    } catch (error) {
+        console.error('Recommendations inbox error:', error);
+        status.className = 'panel-status error';
+        status.textContent = `❌ ${describeError(error)}`;
+    }
+}
+
+// Fetch BusinessRecommendation list for a market
+async function fetchRecommendations(marketType) {
+    return await apiRequest(`/api/insights/recommendations?marketType=${encodeURIComponent(marketType)}`);
+}
+
+// Re-render the inbox list after a filter or acknowledgement change
+function renderRecommendationsInbox(inbox) {
+    const market = inbox.marketSelect.value;
+    const priority = inbox.prioritySelect.value;
+    const includeAcknowledged = inbox.showAcknowledged.checked;
+
+    const items = inbox.recommendations
+        .filter(rec =>
+            (!market || rec.marketType === market) &&
+            (!priority || rec.priority === priority) &&
+            (includeAcknowledged || !inbox.acknowledged.has(rec.key))
+        )
+        .sort((a, b) => (SEVERITY_RANK[b.priority] || 0) - (SEVERITY_RANK[a.priority] || 0) || b.confidenceScore - a.confidenceScore);
+
+    const pendingCount = inbox.recommendations.filter(rec => !inbox.acknowledged.has(rec.key)).length;
+    inbox.status.textContent = `${pendingCount} unacknowledged`;
+
+    inbox.list.innerHTML = '';
+    if (items.length === 0) {
+        inbox.list.textContent = 'No recommendations match the selected filters.';
+        return;
+    }
+
+    items.forEach(rec => {
+        inbox.list.appendChild(createRecommendationItem(rec, inbox));
+    });
+}
+
+// Build an expandable recommendation item with acknowledge action
+function createRecommendationItem(rec, inbox) {
+    const isAcknowledged = inbox.acknowledged.has(rec.key);
+
+    const item = document.createElement('details');
+    item.className = `recommendation-item${isAcknowledged ? ' acknowledged' : ''}`;
+    item.style.borderLeftColor = getMarketColor(rec.marketType);
+
+    const summary = document.createElement('summary');
+    summary.innerHTML = `
+        <span>${RECOMMENDATION_ICONS[rec.action] || '💡'}</span>
+        <span class="recommendation-title"><strong style="color: ${getMarketColor(rec.marketType)}">${escapeHtml(rec.marketType)}</strong> · <strong>${escapeHtml(rec.action)}</strong> — ${escapeHtml(rec.reasoning)}</span>
+        <span class="priority-badge ${SEVERITY_RANK[rec.priority] ? rec.priority.toLowerCase() : ''}">${escapeHtml(rec.priority)}</span>
+    `;
+
+    const acknowledgeButton = document.createElement('button');
+    acknowledgeButton.className = 'chart-action-btn';
+    acknowledgeButton.title = isAcknowledged ? 'Mark as unread' : 'Acknowledge';
+    acknowledgeButton.textContent = isAcknowledged ? '↩️' : '✔️';
+    acknowledgeButton.addEventListener('click', (e) => {
+        // Don't toggle the <details> when clicking the button
+        e.preventDefault();
+        if (inbox.acknowledged.has(rec.key)) {
+            inbox.acknowledged.delete(rec.key);
+        } else {
+            inbox.acknowledged.add(rec.key);
+        }
+        saveAcknowledgedRecommendations(inbox.acknowledged);
+        renderRecommendationsInbox(inbox);
+    });
+    summary.appendChild(acknowledgeButton);
+
+    const evidence = document.createElement('div');
+    evidence.className = 'recommendation-evidence';
+
+    let evidenceHtml = `<div><strong>Confidence:</strong> ${(rec.confidenceScore * 100).toFixed(0)}% | <strong>Time Horizon:</strong> ${escapeHtml(rec.timeHorizon || 'N/A')}`;
+    if (rec.expectedPriceRange !== null && rec.expectedPriceRange !== undefined) {
+        evidenceHtml += ` | <strong>Expected Price:</strong> ₹${rec.expectedPriceRange.toFixed(2)}/kWh`;
+    }
+    evidenceHtml += '</div>';
+
+    if (rec.supportingFactors && rec.supportingFactors.length > 0) {
+        evidenceHtml += '<strong>Supporting evidence:</strong><ul>';
+        rec.supportingFactors.forEach(factor => {
+            evidenceHtml += `<li>${escapeHtml(factor)}</li>`;
+        });
+        evidenceHtml += '</ul>';
+    }
+    evidence.innerHTML = evidenceHtml;
+
+    item.appendChild(summary);
+    item.appendChild(evidence);
+
+    return item;
+}
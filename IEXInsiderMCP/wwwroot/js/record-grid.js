@@ -0,0 +1,423 @@
+// Virtualised, filterable grid for raw record results
+
+import { API_GET_RETRIES, describeError, fetchQueryRows } from './api.js';
+import { getMarketColor } from './charts.js';
+import { registerExportSource } from './export.js';
+import { MARKET_TYPES, parseQueryIntent, toQueryFilters } from './parsing.js';
+import {
+    RECORD_EXPORT_HEADERS,
+    toRecordExportRow,
+    getBidAskRatio,
+    formatBidAskRatio,
+    escapeHtml,
+    createPanelSelect,
+    createPanelLabel,
+    createPanelDateInput
+} from './rendering.js';
+
+// Record browser: rows fetched from /api/iex/query in pages of this size when the result is large
+const RECORD_GRID_PAGE_SIZE = 200;
+
+// Fixed row height lets the grid render only the rows in view
+const RECORD_GRID_ROW_HEIGHT = 36;
+const RECORD_GRID_VIEWPORT_HEIGHT = 432;
+const RECORD_GRID_OVERSCAN = 10;
+
+// Wait for typing to pause before applying column filters (ms)
+const RECORD_GRID_FILTER_DELAY = 400;
+
+// sortKey is the sort_by value understood by /api/iex/query
+const RECORD_GRID_COLUMNS = [
+    { key: 'type', label: 'Market', sortKey: 'market_type' },
+    { key: 'date', label: 'Date', sortKey: 'date' },
+    { key: 'timeBlock', label: 'Time Block', sortKey: 'time_block' },
+    { key: 'iexDemand', label: 'Demand (GW)', sortKey: 'iex_demand' },
+    { key: 'iexSupply', label: 'Supply (GW)', sortKey: 'iex_supply' },
+    { key: 'bidAskRatio', label: 'Bid/Ask', sortKey: 'bid_ask_ratio' },
+    { key: 'mcp', label: 'MCP (₹/kWh)', sortKey: 'mcp' },
+    { key: 'mcv', label: 'MCV (GW)', sortKey: 'mcv' }
+];
+
+// Build a virtualized, sortable, filterable grid over a data result.
+// All rows already loaded → sorted and filtered in the browser; otherwise paged from the server.
+// params (from the query builder) gives the exact filters; free-text queries are re-parsed.
+export function createRecordGrid(query, result, params) {
+    const gridId = `record-grid-${Date.now()}`;
+    const isServerMode = result.data.length < result.totalRecords;
+
+    const container = document.createElement('div');
+    container.className = 'record-grid';
+    container.dataset.exportId = gridId;
+
+    // Per-column filters
+    const controls = document.createElement('div');
+    controls.className = 'panel-controls';
+
+    const filterInputs = {
+        market: createPanelSelect([{ value: '', label: 'All' }, ...MARKET_TYPES.map(m => ({ value: m, label: m }))], ''),
+        dateFrom: createPanelDateInput(),
+        dateTo: createPanelDateInput(),
+        timeFrom: createRecordGridInput('time'),
+        timeTo: createRecordGridInput('time'),
+        mcpMin: createRecordGridInput('number', 'min'),
+        mcpMax: createRecordGridInput('number', 'max'),
+        mcvMin: createRecordGridInput('number', 'min'),
+        mcvMax: createRecordGridInput('number', 'max')
+    };
+
+    controls.appendChild(createPanelLabel('Market', filterInputs.market));
+    controls.appendChild(createPanelLabel('Date', filterInputs.dateFrom));
+    controls.appendChild(createPanelLabel('to', filterInputs.dateTo));
+    controls.appendChild(createPanelLabel('Time Block', filterInputs.timeFrom));
+    controls.appendChild(createPanelLabel('to', filterInputs.timeTo));
+    controls.appendChild(createPanelLabel('MCP ₹/kWh', filterInputs.mcpMin));
+    controls.appendChild(createPanelLabel('–', filterInputs.mcpMax));
+    controls.appendChild(createPanelLabel('MCV GW', filterInputs.mcvMin));
+    controls.appendChild(createPanelLabel('–', filterInputs.mcvMax));
+
+    const resetButton = document.createElement('button');
+    resetButton.className = 'panel-action-btn';
+    resetButton.textContent = 'Clear filters';
+    controls.appendChild(resetButton);
+
+    // Header, scrolling viewport and footer
+    const header = document.createElement('div');
+    header.className = 'record-grid-header';
+
+    const viewport = document.createElement('div');
+    viewport.className = 'record-grid-viewport';
+    viewport.style.height = `${RECORD_GRID_VIEWPORT_HEIGHT}px`;
+
+    const spacer = document.createElement('div');
+    spacer.className = 'record-grid-spacer';
+    viewport.appendChild(spacer);
+
+    const footer = document.createElement('div');
+    footer.className = 'record-grid-footer';
+
+    const status = document.createElement('span');
+    status.className = 'panel-status';
+
+    const pager = document.createElement('div');
+    pager.className = 'record-grid-pager';
+
+    const prevButton = document.createElement('button');
+    prevButton.className = 'panel-action-btn';
+    prevButton.textContent = '◀ Prev';
+
+    const pageLabel = document.createElement('span');
+    pageLabel.className = 'panel-status';
+
+    const nextButton = document.createElement('button');
+    nextButton.className = 'panel-action-btn';
+    nextButton.textContent = 'Next ▶';
+
+    pager.appendChild(prevButton);
+    pager.appendChild(pageLabel);
+    pager.appendChild(nextButton);
+    footer.appendChild(status);
+    footer.appendChild(pager);
+
+    container.appendChild(controls);
+    container.appendChild(header);
+    container.appendChild(viewport);
+    container.appendChild(footer);
+
+    const grid = {
+        id: gridId,
+        query,
+        isServerMode,
+        // Filters the original question implied, so server pages match the answer
+        baseFilters: isServerMode ? (params || parseQueryIntent(query)).filters : {},
+        allRows: isServerMode ? [] : result.data,
+        viewRows: [],
+        pages: new Map(),
+        pendingPages: new Set(),
+        generation: 0,
+        total: result.totalRecords,
+        sort: null,
+        filterInputs,
+        filterTimer: null,
+        scrollFrame: null,
+        header,
+        viewport,
+        spacer,
+        status,
+        pageLabel,
+        container
+    };
+
+    Object.values(filterInputs).forEach(input => {
+        const eventName = input.tagName === 'SELECT' || input.type === 'date' ? 'change' : 'input';
+        input.addEventListener(eventName, () => {
+            clearTimeout(grid.filterTimer);
+            grid.filterTimer = setTimeout(() => applyRecordGridQuery(grid), RECORD_GRID_FILTER_DELAY);
+        });
+    });
+
+    resetButton.addEventListener('click', () => {
+        Object.values(filterInputs).forEach(input => { input.value = ''; });
+        applyRecordGridQuery(grid);
+    });
+
+    viewport.addEventListener('scroll', () => {
+        if (grid.scrollFrame) return;
+        grid.scrollFrame = requestAnimationFrame(() => {
+            grid.scrollFrame = null;
+            renderRecordGridRows(grid);
+        });
+    });
+
+    prevButton.addEventListener('click', () => scrollRecordGridPage(grid, -1));
+    nextButton.addEventListener('click', () => scrollRecordGridPage(grid, 1));
+
+    renderRecordGridHeader(grid);
+    applyRecordGridQuery(grid);
+
+    return container;
+}
+
+export function createRecordGridInput(type, placeholder) {
+    const input = document.createElement('input');
+    input.type = type;
+    input.className = 'panel-select record-grid-input';
+    if (type === 'time') {
+        input.step = 900; // 15-minute time blocks
+    } else {
+        input.step = 'any';
+        input.placeholder = placeholder;
+    }
+    return input;
+}
+
+// Current column filter values; empty inputs are left out
+function getRecordGridFilters(grid) {
+    const inputs = grid.filterInputs;
+    const number = input => input.value === '' ? null : parseFloat(input.value);
+
+    return {
+        market: inputs.market.value || null,
+        dateFrom: inputs.dateFrom.value || null,
+        dateTo: inputs.dateTo.value || null,
+        timeFrom: inputs.timeFrom.value || null,
+        timeTo: inputs.timeTo.value || null,
+        mcpMin: number(inputs.mcpMin),
+        mcpMax: number(inputs.mcpMax),
+        mcvMin: number(inputs.mcvMin),
+        mcvMax: number(inputs.mcvMax)
+    };
+}
+
+// Re-run sorting and filtering: locally for loaded results, from page 0 on the server otherwise
+function applyRecordGridQuery(grid) {
+    clearTimeout(grid.filterTimer);
+    grid.viewport.scrollTop = 0;
+
+    grid.status.className = 'panel-status';
+
+    if (grid.isServerMode) {
+        grid.generation++;
+        grid.pages.clear();
+        grid.pendingPages.clear();
+        updateRecordGridExport(grid);
+        renderRecordGridRows(grid);
+        // Always ask for the first page, even if the previous filters matched nothing
+        fetchRecordGridPage(grid, 0);
+        return;
+    }
+
+    const filters = getRecordGridFilters(grid);
+    grid.viewRows = grid.allRows.filter(row => matchesRecordGridFilters(row, filters));
+
+    if (grid.sort) {
+        const { key, direction } = grid.sort;
+        const factor = direction === 'asc' ? 1 : -1;
+        const getValue = key === 'bidAskRatio' ? row => getBidAskRatio(row) ?? 0 : row => row[key];
+        grid.viewRows.sort((a, b) => {
+            if (getValue(a) < getValue(b)) return -factor;
+            if (getValue(a) > getValue(b)) return factor;
+            return 0;
+        });
+    }
+
+    grid.total = grid.viewRows.length;
+    updateRecordGridExport(grid);
+    renderRecordGridRows(grid);
+}
+
+function matchesRecordGridFilters(row, filters) {
+    const date = String(row.date).slice(0, 10);
+    const blockStart = row.timeBlock.split('-')[0];
+
+    if (filters.market && row.type !== filters.market) return false;
+    if (filters.dateFrom && date < filters.dateFrom) return false;
+    if (filters.dateTo && date > filters.dateTo) return false;
+    if (filters.timeFrom && blockStart < filters.timeFrom) return false;
+    if (filters.timeTo && blockStart > filters.timeTo) return false;
+    if (filters.mcpMin !== null && row.mcp < filters.mcpMin) return false;
+    if (filters.mcpMax !== null && row.mcp > filters.mcpMax) return false;
+    if (filters.mcvMin !== null && row.mcv < filters.mcvMin) return false;
+    if (filters.mcvMax !== null && row.mcv > filters.mcvMax) return false;
+    return true;
+}
+
+// Column filters translated to /api/iex/query filters, layered over the question's own filters
+function buildRecordGridServerFilters(grid) {
+    return toQueryFilters(getRecordGridFilters(grid), grid.baseFilters);
+}
+
+// Load one page of records; responses from before the latest sort/filter change are dropped
+async function fetchRecordGridPage(grid, pageIndex) {
+    if (grid.pages.has(pageIndex) || grid.pendingPages.has(pageIndex)) return;
+
+    const generation = grid.generation;
+    grid.pendingPages.add(pageIndex);
+
+    try {
+        // Paging is read-only, so it is safe to retry like a GET
+        const result = await fetchQueryRows({
+            query: grid.query,
+            filters: buildRecordGridServerFilters(grid),
+            limit: RECORD_GRID_PAGE_SIZE,
+            offset: pageIndex * RECORD_GRID_PAGE_SIZE,
+            sort_by: grid.sort ? grid.sort.sortKey : undefined,
+            sort_order: grid.sort ? grid.sort.direction : undefined
+        }, { retries: API_GET_RETRIES });
+        if (generation !== grid.generation) return;
+        if (!result.success) throw new Error(result.message || 'Failed to load records');
+
+        grid.pages.set(pageIndex, result.data || []);
+        grid.total = result.totalRecords;
+        grid.status.className = 'panel-status';
+        updateRecordGridExport(grid);
+        renderRecordGridRows(grid);
+    } catch (error) {
+        if (generation !== grid.generation) return;
+        console.error('Record browser error:', error);
+        grid.status.className = 'panel-status error';
+        grid.status.textContent = `❌ ${describeError(error)}`;
+    } finally {
+        if (generation === grid.generation) {
+            grid.pendingPages.delete(pageIndex);
+        }
+    }
+}
+
+// Row at an absolute index, or undefined while its page is loading
+function getRecordGridRow(grid, index) {
+    if (!grid.isServerMode) return grid.viewRows[index];
+
+    const page = grid.pages.get(Math.floor(index / RECORD_GRID_PAGE_SIZE));
+    return page ? page[index % RECORD_GRID_PAGE_SIZE] : undefined;
+}
+
+function renderRecordGridHeader(grid) {
+    grid.header.innerHTML = '';
+
+    RECORD_GRID_COLUMNS.forEach(column => {
+        const cell = document.createElement('div');
+        cell.className = 'record-grid-cell sortable';
+        const isSorted = grid.sort && grid.sort.key === column.key;
+        cell.textContent = column.label + (isSorted ? (grid.sort.direction === 'asc' ? ' ▲' : ' ▼') : '');
+
+        cell.addEventListener('click', () => {
+            if (isSorted) {
+                grid.sort.direction = grid.sort.direction === 'asc' ? 'desc' : 'asc';
+            } else {
+                grid.sort = { key: column.key, sortKey: column.sortKey, direction: 'asc' };
+            }
+            renderRecordGridHeader(grid);
+            applyRecordGridQuery(grid);
+        });
+
+        grid.header.appendChild(cell);
+    });
+}
+
+// Render only the rows in (and just around) the visible part of the viewport
+function renderRecordGridRows(grid) {
+    const { viewport, spacer } = grid;
+    spacer.style.height = `${grid.total * RECORD_GRID_ROW_HEIGHT}px`;
+
+    const first = Math.max(0, Math.floor(viewport.scrollTop / RECORD_GRID_ROW_HEIGHT) - RECORD_GRID_OVERSCAN);
+    const last = Math.min(grid.total, Math.ceil((viewport.scrollTop + RECORD_GRID_VIEWPORT_HEIGHT) / RECORD_GRID_ROW_HEIGHT) + RECORD_GRID_OVERSCAN);
+
+    const fragment = document.createDocumentFragment();
+    for (let index = first; index < last; index++) {
+        const row = getRecordGridRow(grid, index);
+        const rowDiv = document.createElement('div');
+        rowDiv.className = 'record-grid-row';
+        rowDiv.style.top = `${index * RECORD_GRID_ROW_HEIGHT}px`;
+        rowDiv.style.height = `${RECORD_GRID_ROW_HEIGHT}px`;
+
+        if (row) {
+            rowDiv.innerHTML = `
+                <div class="record-grid-cell"><strong style="color: ${getMarketColor(row.type)}">${escapeHtml(row.type)}</strong></div>
+                <div class="record-grid-cell">${new Date(row.date).toLocaleDateString()}</div>
+                <div class="record-grid-cell">${escapeHtml(row.timeBlock)}</div>
+                <div class="record-grid-cell">${row.iexDemand.toFixed(2)}</div>
+                <div class="record-grid-cell">${row.iexSupply.toFixed(2)}</div>
+                <div class="record-grid-cell">${formatBidAskRatio(getBidAskRatio(row))}</div>
+                <div class="record-grid-cell">₹${row.mcp.toFixed(4)}</div>
+                <div class="record-grid-cell">${row.mcv.toFixed(2)}</div>
+            `;
+        } else {
+            rowDiv.classList.add('loading');
+            rowDiv.innerHTML = '<div class="record-grid-cell">Loading…</div>';
+            if (grid.isServerMode) {
+                fetchRecordGridPage(grid, Math.floor(index / RECORD_GRID_PAGE_SIZE));
+            }
+        }
+
+        fragment.appendChild(rowDiv);
+    }
+
+    spacer.innerHTML = '';
+    spacer.appendChild(fragment);
+
+    updateRecordGridStatus(grid, first, last);
+}
+
+function updateRecordGridStatus(grid, first, last) {
+    const visibleRows = Math.floor(RECORD_GRID_VIEWPORT_HEIGHT / RECORD_GRID_ROW_HEIGHT);
+    const firstVisible = Math.floor(grid.viewport.scrollTop / RECORD_GRID_ROW_HEIGHT);
+    const pageCount = Math.max(1, Math.ceil(grid.total / visibleRows));
+    const currentPage = Math.min(pageCount, Math.floor(firstVisible / visibleRows) + 1);
+
+    if (!grid.status.classList.contains('error')) {
+        grid.status.textContent = grid.total === 0
+            ? 'No records match these filters'
+            : `Rows ${(firstVisible + 1).toLocaleString()}–${Math.min(grid.total, firstVisible + visibleRows).toLocaleString()} of ${grid.total.toLocaleString()}${grid.isServerMode ? ' (loaded from server as you scroll)' : ''}`;
+    }
+    grid.pageLabel.textContent = `Page ${currentPage.toLocaleString()} of ${pageCount.toLocaleString()}`;
+}
+
+// Prev/Next scroll the viewport by one screen of rows
+function scrollRecordGridPage(grid, direction) {
+    const visibleRows = Math.floor(RECORD_GRID_VIEWPORT_HEIGHT / RECORD_GRID_ROW_HEIGHT);
+    const firstVisible = Math.floor(grid.viewport.scrollTop / RECORD_GRID_ROW_HEIGHT);
+    const target = Math.max(0, Math.floor(firstVisible / visibleRows) + direction) * visibleRows;
+    grid.viewport.scrollTop = target * RECORD_GRID_ROW_HEIGHT;
+}
+
+// Keep the export control in sync: every filtered row locally, or the pages loaded so far.
+// The report (report.js) prints these rows and notes how many of the matching records they are.
+function updateRecordGridExport(grid) {
+    grid.container.dataset.totalRecords = grid.total;
+
+    let rows;
+    if (grid.isServerMode) {
+        rows = Array.from(grid.pages.keys())
+            .sort((a, b) => a - b)
+            .flatMap(pageIndex => grid.pages.get(pageIndex));
+    } else {
+        rows = grid.viewRows;
+    }
+
+    registerExportSource(
+        grid.isServerMode ? 'Records (loaded pages)' : 'Records',
+        RECORD_EXPORT_HEADERS,
+        rows.map(toRecordExportRow),
+        grid.id
+    );
+}
@@ -0,0 +1,839 @@
+// Chat messages, query result rendering and shared panel controls
+
+import { apiRequest, offlineCache } from './api.js';
+import { renderAIChartDirect, renderChartFromData, aggregateDataForChart, renderChart, destroyMessageCharts, getChartTypeMenu } from './charts.js';
+import { registerExportSource } from './export.js';
+import { toISODateString } from './parsing.js';
+import { createRecordGrid } from './record-grid.js';
+import { sanitizeHtml, renderMarkdown } from './sanitize.js';
+
+// Container messages are added to instead of the chat, while renderMessagesInto runs
+let messageTarget = null;
+
+// Chat error for a failed question, with the server's details and a button to ask it again
+export function showQueryError(error, context) {
+    console.error(`${context}:`, error);
+
+    let content = `❌ **${context}.** ${escapeHtml(error.message)}`;
+    if (error.details) {
+        content += `\n\n> ${escapeHtml(error.details)}`;
+    }
+    content += `\n\n<button class="panel-action-btn" data-action="retryQuery" title="Run the question again and replace this error">🔄 Retry this query</button>`;
+
+    return addAssistantMessage(content);
+}
+
+// The user message a response answers (the nearest question above it)
+export function getQuestionMessage(messageDiv) {
+    for (let previous = messageDiv.previousElementSibling; previous; previous = previous.previousElementSibling) {
+        if (previous.classList.contains('message-user')) return previous;
+    }
+    return null;
+}
+
+// The messages answering a question (everything up to the next question)
+export function getAnswerMessages(userMessage) {
+    const answers = [];
+    for (let next = userMessage.nextElementSibling; next && !next.classList.contains('message-user'); next = next.nextElementSibling) {
+        if (next.classList.contains('message')) answers.push(next);
+    }
+    return answers;
+}
+
+// Display AI-generated intelligent response
+export function displayAIResponse(result) {
+    let content = result.answer;
+
+    // Add key findings if available
+    if (result.keyFindings && result.keyFindings.length > 0) {
+        content += '\n\n**🔑 Key Findings:**\n';
+        result.keyFindings.forEach(finding => {
+            content += `- ${finding}\n`;
+        });
+    }
+
+    // Add recommendations if available
+    if (result.recommendations && result.recommendations.length > 0) {
+        content += '\n\n**💡 Recommendations:**\n';
+        result.recommendations.forEach(rec => {
+            content += `- ${rec}\n`;
+        });
+    }
+
+    // Check if we have charts - if so, use side-by-side layout
+    const hasCharts = result.charts && result.charts.length > 0;
+
+    if (hasCharts) {
+        // Create side-by-side layout
+        addAssistantMessageWithCharts(content, result.charts);
+    } else {
+        // Regular message without charts
+        addAssistantAnswer(content);
+    }
+}
+
+// Process Query Result with Intelligence (params: the structured request, when known)
+export async function processQueryResult(query, result, params) {
+    if (!result.success) {
+        addAssistantMessage(`❌ ${escapeHtml(result.message)}`);
+        return;
+    }
+
+    const queryLower = query.toLowerCase();
+
+    // NEW: If AI insights are available, display them prominently
+    if (result.aiInsights) {
+        await showAIInsightsWithData(query, result);
+        return;
+    }
+
+    // Check if result has metadata with chart_data (from grouped aggregations)
+    if (result.metadata && result.metadata.chart_data) {
+        await showChartFromMetadata(query, result);
+        return;
+    }
+
+    // Check if result has metadata with groups (aggregation results)
+    if (result.metadata && result.metadata.groups) {
+        showGroupedAggregationResponse(query, result);
+        return;
+    }
+
+    // Check if result has simple aggregation metadata
+    if (result.metadata && result.metadata.record_count && !result.data?.length) {
+        showSimpleAggregationResponse(query, result);
+        return;
+    }
+
+    // Determine response type based on query intent
+    if (queryLower.includes('chart') || queryLower.includes('graph') || queryLower.includes('plot') || queryLower.includes('visualize') || queryLower.includes('compare')) {
+        await showChartResponse(query, result);
+    } else if (queryLower.includes('statistics') || queryLower.includes('stats') || queryLower.includes('summary') || queryLower.includes('overview')) {
+        showStatisticsResponse(query, result);
+    } else if (result.data && result.data.length > 0) {
+        showDataResponse(query, result, params);
+    } else if (result.aggregations) {
+        showAggregationResponse(query, result);
+    } else {
+        showTextResponse(query, result);
+    }
+}
+
+// Show Chart from Metadata (from grouped aggregations)
+async function showChartFromMetadata(query, result) {
+    const metadata = result.metadata;
+    const chartData = metadata.chart_data;
+
+    let content = `### 📊 ${generateTitle(query)}\n\n`;
+    content += `**${escapeHtml(result.message)}**\n\n`;
+
+    const chartId = 'chart-' + Date.now();
+
+    content += `<div class="chart-container">
+        <div class="chart-header">
+            <div class="chart-title">${escapeHtml(metadata.aggregation || 'Aggregation')} by ${escapeHtml(metadata.group_by || 'Group')}</div>
+            <div class="chart-actions">
+                <button class="chart-action-btn" data-action="downloadChart" data-action-arg="${chartId}" title="Download Chart">📥</button>
+                ${getChartTypeMenu(chartId)}
+            </div>
+        </div>
+        <canvas id="${chartId}"></canvas>
+    </div>`;
+
+    // Add summary stats
+    content += `\n\n**Summary:**\n`;
+    content += `- Total Records: ${metadata.total_records.toLocaleString()}\n`;
+    content += `- Groups: ${metadata.group_count}\n`;
+
+    addAssistantMessage(content);
+
+    // Render chart after DOM update
+    setTimeout(() => {
+        renderChartFromData(chartId, chartData, metadata.group_by);
+    }, 100);
+}
+
+// Show Grouped Aggregation Response
+function showGroupedAggregationResponse(query, result) {
+    const metadata = result.metadata;
+    const groups = metadata.groups;
+    const queryLower = query.toLowerCase();
+
+    let content = `### 📊 Analysis Results\n\n`;
+
+    // Generate intelligent narrative based on the query
+    const firstGroup = groups[0];
+    const columns = Object.keys(firstGroup).filter(k => k !== 'group_key' && k !== 'record_count');
+
+    // Find the highest value for narrative
+    let highestGroup = null;
+    let highestValue = -Infinity;
+    let metricName = '';
+
+    if (columns.length > 0) {
+        const metricKey = columns[0]; // Use first metric column
+        metricName = formatLabel(metricKey);
+
+        groups.forEach(group => {
+            const value = group[metricKey];
+            if (typeof value === 'number' && value > highestValue) {
+                highestValue = value;
+                highestGroup = group;
+            }
+        });
+    }
+
+    // Generate conversational response
+    if (queryLower.includes('highest') || queryLower.includes('maximum') || queryLower.includes('peak')) {
+        if (highestGroup) {
+            content += `Based on the analysis of ${metadata.total_records.toLocaleString()} records, **${escapeHtml(highestGroup.group_key)}** had the ${queryLower.includes('mcv') ? 'highest MCV (Market Clearing Volume)' : 'highest MCP (Market Clearing Price)'} `;
+            content += `with a value of **${formatValue(highestValue)}${queryLower.includes('mcv') ? ' GW' : ' ₹/kWh'}**.\n\n`;
+        }
+    } else if (queryLower.includes('average') || queryLower.includes('avg')) {
+        content += `Here are the average values across different ${escapeHtml(metadata.group_by)}s based on ${metadata.total_records.toLocaleString()} records:\n\n`;
+    } else {
+        content += `Analysis complete. Showing ${escapeHtml(metadata.aggregation || 'aggregated')} values grouped by ${escapeHtml(metadata.group_by)}:\n\n`;
+    }
+
+    // Column headers with appropriate units
+    const columnHeaders = columns.map(col => {
+        const colLower = col.toLowerCase();
+        let header = formatLabel(col);
+
+        // Add units to column headers
+        if (colLower.includes('mcp') || colLower.includes('price')) {
+            header += ' (₹/kWh)';
+        } else if (colLower.includes('mcv') || colLower.includes('volume')) {
+            header += ' (GW)';
+        } else if (colLower.includes('demand') || colLower.includes('supply')) {
+            header += ' (GW)';
+        }
+
+        return header;
+    });
+
+    const groupHeader = formatLabel(metadata.group_by) || 'Group';
+    const exportId = registerExportSource(
+        `${metadata.aggregation || 'Aggregation'} by ${metadata.group_by}`,
+        [groupHeader, 'Records', ...columnHeaders],
+        groups.map(group => [group.group_key, group.record_count, ...columns.map(col => group[col])])
+    );
+
+    // Create table
+    content += '<div class="aggregation-table-container">';
+    content += `<table class="data-table" data-export-id="${exportId}"><thead><tr>`;
+    content += `<th>${escapeHtml(groupHeader)}</th>`;
+    content += '<th>Records</th>';
+
+    columnHeaders.forEach(header => {
+        content += `<th>${escapeHtml(header)}</th>`;
+    });
+
+    content += '</tr></thead><tbody>';
+
+    // Add rows - highlight the highest/max row if relevant
+    groups.forEach(group => {
+        const isHighest = highestGroup && group.group_key === highestGroup.group_key;
+        content += `<tr${isHighest ? ' class="highlight-row"' : ''}>`;
+        content += `<td><strong>${escapeHtml(group.group_key)}</strong></td>`;
+        content += `<td>${group.record_count.toLocaleString()}</td>`;
+
+        columns.forEach(col => {
+            const value = group[col];
+            if (typeof value === 'number') {
+                content += `<td><strong>${formatValue(value)}</strong></td>`;
+            } else {
+                content += `<td>${escapeHtml(value)}</td>`;
+            }
+        });
+
+        content += '</tr>';
+    });
+
+    content += '</tbody></table></div>';
+
+    // Add insightful summary
+    content += `\n\n**Key Insights:**\n`;
+    if (highestGroup && (queryLower.includes('highest') || queryLower.includes('which'))) {
+        content += `- **${escapeHtml(highestGroup.group_key)}** stands out with the ${queryLower.includes('mcv') ? 'highest volume' : 'highest value'}\n`;
+    }
+    content += `- Analyzed ${metadata.total_records.toLocaleString()} records across ${metadata.group_count} ${escapeHtml(metadata.group_by)}s\n`;
+    content += `- Aggregation type: ${escapeHtml(metadata.aggregation || 'summary')}\n`;
+
+    addAssistantMessage(content);
+}
+
+// Show Simple Aggregation Response
+function showSimpleAggregationResponse(query, result) {
+    const metadata = result.metadata;
+
+    let content = `### 📊 ${generateTitle(query)}\n\n`;
+    content += `**${escapeHtml(result.message)}**\n\n`;
+
+    content += '<div class="stats-grid">';
+
+    // Create stat cards for all numeric values
+    for (const [key, value] of Object.entries(metadata)) {
+        if (typeof value === 'number' && key !== 'record_count') {
+            const keyLower = key.toLowerCase();
+            let unit = '';
+
+            // Determine appropriate unit
+            if (keyLower.includes('mcp') || keyLower.includes('price')) {
+                unit = ' ₹/kWh';
+            } else if (keyLower.includes('mcv') || keyLower.includes('volume')) {
+                unit = ' GW';
+            } else if (keyLower.includes('demand') || keyLower.includes('supply')) {
+                unit = ' GW';
+            }
+
+            content += `<div class="stat-card">
+                <div class="stat-value">${formatValue(value)}${unit}</div>
+                <div class="stat-label">${escapeHtml(formatLabel(key))}</div>
+            </div>`;
+        }
+    }
+
+    content += '</div>';
+
+    // Add detailed info
+    content += `\n\n**Details:**\n`;
+    for (const [key, value] of Object.entries(metadata)) {
+        if (typeof value !== 'object') {
+            let displayValue = typeof value === 'number' ? formatValue(value) : value;
+
+            // Add units to numeric values in details section
+            if (typeof value === 'number') {
+                const keyLower = key.toLowerCase();
+                if (keyLower.includes('mcp') || keyLower.includes('price')) {
+                    displayValue += ' ₹/kWh';
+                } else if (keyLower.includes('mcv') || keyLower.includes('volume')) {
+                    displayValue += ' GW';
+                } else if (keyLower.includes('demand') || keyLower.includes('supply')) {
+                    displayValue += ' GW';
+                }
+            }
+
+            content += `- **${escapeHtml(formatLabel(key))}:** ${escapeHtml(displayValue)}\n`;
+        }
+    }
+
+    addAssistantMessage(content);
+}
+
+// Show Chart Response
+async function showChartResponse(query, result) {
+    let content = `### 📊 ${generateTitle(query)}\n\n`;
+
+    // Generate chart based on data
+    if (result.data && result.data.length > 0) {
+        const chartId = 'chart-' + Date.now();
+
+        // Aggregate data for chart
+        const aggregated = aggregateDataForChart(result.data, query);
+
+        content += `<div class="chart-container">
+            <div class="chart-header">
+                <div class="chart-title">${aggregated.title}</div>
+                <div class="chart-actions">
+                    <button class="chart-action-btn" data-action="downloadChart" data-action-arg="${chartId}" title="Download Chart">📥</button>
+                    ${getChartTypeMenu(chartId)}
+                </div>
+            </div>
+            <canvas id="${chartId}"></canvas>
+        </div>`;
+
+        // Add summary
+        content += `\n\n**Summary:**\n`;
+        content += `- Total Records: ${result.totalRecords.toLocaleString()}\n`;
+
+        if (aggregated.stats) {
+            content += `- Average Price: ₹${aggregated.stats.avgPrice.toFixed(4)}/kWh\n`;
+            content += `- Peak Price: ₹${aggregated.stats.maxPrice.toFixed(4)}/kWh\n`;
+            content += `- Lowest Price: ₹${aggregated.stats.minPrice.toFixed(4)}/kWh\n`;
+        }
+
+        addAssistantMessage(content);
+
+        // Render chart after DOM update
+        setTimeout(() => {
+            renderChart(chartId, aggregated);
+        }, 100);
+    } else {
+        content += 'No data available to create a chart.';
+        addAssistantMessage(content);
+    }
+}
+
+// Show Statistics Response
+function showStatisticsResponse(query, result) {
+    let content = `### 📈 ${generateTitle(query)}\n\n`;
+
+    if (result.aggregations) {
+        const stats = result.aggregations;
+
+        // Create stats cards HTML
+        content += '<div class="stats-grid">';
+
+        if (stats.TotalRecords) {
+            content += `<div class="stat-card">
+                <div class="stat-value">${stats.TotalRecords.toLocaleString()}</div>
+                <div class="stat-label">Total Records</div>
+            </div>`;
+        }
+
+        if (stats.AvgMCP) {
+            content += `<div class="stat-card">
+                <div class="stat-value">₹${stats.AvgMCP.toFixed(2)}</div>
+                <div class="stat-label">Avg MCP (₹/kWh)</div>
+            </div>`;
+        }
+
+        if (stats.MaxMCP) {
+            content += `<div class="stat-card">
+                <div class="stat-value">₹${stats.MaxMCP.toFixed(2)}</div>
+                <div class="stat-label">Peak Price</div>
+            </div>`;
+        }
+
+        if (stats.MinMCP) {
+            content += `<div class="stat-card">
+                <div class="stat-value">₹${stats.MinMCP.toFixed(4)}</div>
+                <div class="stat-label">Lowest Price</div>
+            </div>`;
+        }
+
+        if (stats.AvgMCV) {
+            content += `<div class="stat-card">
+                <div class="stat-value">${stats.AvgMCV.toFixed(2)} GW</div>
+                <div class="stat-label">Avg Volume</div>
+            </div>`;
+        }
+
+        if (stats.MaxMCV) {
+            content += `<div class="stat-card">
+                <div class="stat-value">${stats.MaxMCV.toFixed(2)} GW</div>
+                <div class="stat-label">Peak Volume</div>
+            </div>`;
+        }
+
+        content += '</div>';
+
+        // Add market types
+        if (stats.MarketTypes) {
+            content += `\n\n**Market Types:** ${escapeHtml(stats.MarketTypes.join(', '))}\n\n`;
+        }
+
+        // Add date range
+        if (stats.DateRange) {
+            const start = new Date(stats.DateRange.Start).toLocaleDateString();
+            const end = new Date(stats.DateRange.End).toLocaleDateString();
+            content += `**Date Range:** ${start} to ${end}\n`;
+        }
+    }
+
+    addAssistantMessage(content);
+}
+
+// Show Data Response
+function showDataResponse(query, result, params) {
+    let content = `### 📋 ${generateTitle(query)}\n\n`;
+    content += `Found **${result.totalRecords.toLocaleString()}** records.`;
+
+    const messageDiv = addAssistantMessage(content);
+    messageDiv.querySelector('.message-text').appendChild(createRecordGrid(query, result, params));
+    scrollToBottom();
+}
+
+// Show Aggregation Response
+function showAggregationResponse(query, result) {
+    let content = `### 📊 ${generateTitle(query)}\n\n`;
+
+    const agg = result.aggregations;
+
+    content += '**Results:**\n\n';
+
+    for (const [key, value] of Object.entries(agg)) {
+        if (typeof value === 'number') {
+            content += `- **${escapeHtml(formatLabel(key))}:** ${formatValue(value)}\n`;
+        } else if (typeof value === 'string') {
+            content += `- **${escapeHtml(formatLabel(key))}:** ${escapeHtml(value)}\n`;
+        } else if (Array.isArray(value)) {
+            content += `- **${escapeHtml(formatLabel(key))}:** ${escapeHtml(value.join(', '))}\n`;
+        }
+    }
+
+    addAssistantMessage(content);
+}
+
+// Show Text Response
+function showTextResponse(query, result) {
+    let content = `### ℹ️ ${generateTitle(query)}\n\n`;
+    content += result.message ? escapeHtml(result.message) : 'Query completed successfully.';
+
+    if (result.totalRecords !== undefined) {
+        content += `\n\n**Records found:** ${result.totalRecords.toLocaleString()}`;
+    }
+
+    addAssistantMessage(content);
+}
+
+// Column headers (with units) used when exporting raw IEXMarketData records
+export const RECORD_EXPORT_HEADERS = ['Type', 'Date', 'Time Block', 'IEX Demand (GW)', 'IEX Supply (GW)', 'Bid/Ask Ratio', 'MCP (₹/kWh)', 'MCV (GW)'];
+
+export function toRecordExportRow(row) {
+    const ratio = getBidAskRatio(row);
+    return [row.type, String(row.date).slice(0, 10), row.timeBlock, row.iexDemand, row.iexSupply, ratio === null ? '' : Number(ratio.toFixed(3)), row.mcp, row.mcv];
+}
+
+// Purchase bids over sell bids; above 1 means buyers outnumber sellers (a tight market)
+export function getBidAskRatio(row) {
+    return row.iexSupply ? row.iexDemand / row.iexSupply : null;
+}
+
+export function formatBidAskRatio(ratio) {
+    return ratio === null ? '—' : ratio.toFixed(2);
+}
+
+// Generate Title, escaped: the question may come from a shared #query= link
+export function generateTitle(query) {
+    // Capitalize first letter and clean up
+    return escapeHtml(query.charAt(0).toUpperCase() + query.slice(1));
+}
+
+// Format Label
+function formatLabel(key) {
+    return key.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase()).trim();
+}
+
+// Format Value
+function formatValue(value) {
+    if (typeof value === 'number') {
+        if (Number.isInteger(value)) {
+            return value.toLocaleString();
+        } else {
+            return value.toFixed(4);
+        }
+    }
+    return value;
+}
+
+// Add User Message (params: the structured request when it came from the query builder)
+export function addUserMessage(text) {
+    const messagesArea = getMessagesContainer();
+
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'message message-user';
+
+    messageDiv.innerHTML = sanitizeHtml(`
+        <div class="message-content">
+            <div class="message-header">
+                <div class="message-avatar">👤</div>
+                <span>You</span>
+                <button class="message-action" data-action="openQueryInBuilder" title="Edit the filters of this query in the query builder">🛠️ Edit</button>
+            </div>
+            <div class="message-text">${escapeHtml(text)}</div>
+        </div>
+    `);
+
+    messagesArea.appendChild(messageDiv);
+    scrollToBottom();
+
+    return messageDiv;
+}
+
+// Export control for assistant messages (CSS only shows it once a table or chart is present)
+const MESSAGE_EXPORT_HTML = `<div class="message-export">
+                <span>📤 Export data:</span>
+                <button class="panel-action-btn" data-action="exportMessageData" data-action-arg="csv" title="Download tables and chart data as CSV">CSV</button>
+                <button class="panel-action-btn" data-action="exportMessageData" data-action-arg="xlsx" title="Download tables and chart data as an Excel workbook">Excel</button>
+            </div>`;
+
+// Pin for answers from /api/query, the endpoint dashboard tiles re-run (see dashboard.js)
+const PIN_BUTTON_HTML = `<button class="message-action" data-action="pinResponse" title="Pin this answer's query to the dashboard">📌 Pin</button>`;
+
+// Offer Pin on a question's answers. Heat maps, forecasts and the other answers routed in the browser
+// don't get it, since a tile would ask /api/query and show something else.
+export function showPinButtons(userMessage) {
+    getAnswerMessages(userMessage).forEach(message => {
+        const header = message.querySelector('.message-header');
+        if (!header || header.querySelector('[data-action="pinResponse"]')) return;
+
+        header.querySelector('[data-action="copyMessageLink"]').insertAdjacentHTML('beforebegin', PIN_BUTTON_HTML);
+    });
+}
+
+// Add Assistant Message (markdown written by the app; server text in it is escaped by the caller)
+export function addAssistantMessage(content) {
+    // Convert markdown to HTML using marked library
+    return appendAssistantMessage(marked.parse(content));
+}
+
+// Add an answer written by the server or the AI, without the attributes only app markup may use
+export function addAssistantAnswer(content) {
+    return appendAssistantMessage(renderMarkdown(content));
+}
+
+function appendAssistantMessage(htmlContent) {
+    const messagesArea = getMessagesContainer();
+
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'message message-assistant';
+
+    messageDiv.innerHTML = sanitizeHtml(`
+        <div class="message-content">
+            <div class="message-header">
+                <div class="message-avatar">🤖</div>
+                <span>IEX Assistant</span>
+                <button class="message-action" data-action="copyMessageLink" title="Copy a link that re-runs this question and restores its charts">🔗 Copy link</button>
+            </div>
+            <div class="message-text">${htmlContent}</div>
+            ${MESSAGE_EXPORT_HTML}
+        </div>
+    `);
+
+    messagesArea.appendChild(messageDiv);
+    scrollToBottom();
+
+    return messageDiv;
+}
+
+// Add Assistant Message with Side-by-Side Charts Layout
+function addAssistantMessageWithCharts(content, charts) {
+    const messagesArea = getMessagesContainer();
+
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'message message-assistant';
+
+    // The answer and its findings come from the AI
+    const htmlContent = renderMarkdown(content);
+
+    const responseId = `response-${Date.now()}`;
+
+    messageDiv.innerHTML = sanitizeHtml(`
+        <div class="message-content with-charts">
+            <div class="message-header">
+                <div class="message-avatar">🤖</div>
+                <span>IEX Assistant</span>
+                <button class="message-action" data-action="copyMessageLink" title="Copy a link that re-runs this question and restores its charts">🔗 Copy link</button>
+            </div>
+            <div class="response-with-charts" id="${responseId}">
+                <div class="analysis-column">
+                    ${htmlContent}
+                </div>
+            </div>
+            ${MESSAGE_EXPORT_HTML}
+        </div>
+    `);
+
+    messagesArea.appendChild(messageDiv);
+    scrollToBottom();
+
+    // Render charts directly into the response container
+    const responseContainer = messageDiv.querySelector(`#${responseId}`);
+    setTimeout(() => {
+        charts.forEach((chartData, index) => {
+            renderAIChartDirect(chartData, index, responseContainer);
+        });
+    }, 100);
+}
+
+// Show/Hide Typing Indicator
+export function showTypingIndicator() {
+    document.getElementById('typingStatus').textContent = '';
+    document.getElementById('typingIndicator').classList.add('active');
+    scrollToBottom();
+}
+
+// Progress text under the typing dots, e.g. from a streamed status event
+export function showTypingStatus(message) {
+    document.getElementById('typingStatus').textContent = message;
+    scrollToBottom();
+}
+
+export function hideTypingIndicator() {
+    document.getElementById('typingIndicator').classList.remove('active');
+}
+
+// Scroll to Bottom (left alone while messages render elsewhere)
+export function scrollToBottom() {
+    if (messageTarget) return;
+
+    const messagesArea = document.getElementById('messagesArea');
+    messagesArea.scrollTop = messagesArea.scrollHeight;
+}
+
+// Escape HTML
+export function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// Show AI Insights with accompanying data and charts
+async function showAIInsightsWithData(query, result) {
+    // Display AI insights first (conversational response)
+    addAssistantAnswer(result.aiInsights);
+
+    // Then display charts if data is available
+    const queryLower = query.toLowerCase();
+    const hasChartIntent = queryLower.includes('chart') || queryLower.includes('graph') ||
+                          queryLower.includes('plot') || queryLower.includes('visualize') ||
+                          queryLower.includes('compare');
+
+    // Auto-generate chart for comparison queries or if data suggests it
+    if (result.data && result.data.length > 0) {
+        // Group by market type to see if we should show comparison charts
+        const marketTypes = [...new Set(result.data.map(d => d.type))];
+
+        if (marketTypes.length > 1 || hasChartIntent) {
+            // Generate comparison chart
+            await showChartResponse(query, result);
+        }
+    }
+}
+
+// Create a <select> for panel controls
+export function createPanelSelect(options, selectedValue) {
+    const select = document.createElement('select');
+    select.className = 'panel-select';
+    options.forEach(option => {
+        const optionEl = document.createElement('option');
+        optionEl.value = option.value;
+        optionEl.textContent = option.label;
+        if (String(option.value) === String(selectedValue)) {
+            optionEl.selected = true;
+        }
+        select.appendChild(optionEl);
+    });
+    return select;
+}
+
+// Wrap a panel control with a label
+export function createPanelLabel(text, control) {
+    const label = document.createElement('label');
+    label.textContent = text;
+    label.appendChild(control);
+    return label;
+}
+
+// Create a date <input> for panel controls
+export function createPanelDateInput() {
+    const input = document.createElement('input');
+    input.type = 'date';
+    input.className = 'panel-select';
+    return input;
+}
+
+// Fill a From/To pair with the last `days` days in the dataset (up to today if its range can't be loaded)
+export async function setRecentPanelPeriod(fromInput, toInput, days) {
+    let endDate = new Date();
+
+    try {
+        const stats = await apiRequest('/api/iex/statistics');
+        const dateRange = stats.DateRange || stats.dateRange;
+        const end = dateRange ? new Date(dateRange.End || dateRange.end) : null;
+        if (end && !isNaN(end.getTime())) {
+            endDate = end;
+        }
+    } catch (error) {
+        console.error('Error loading the data range:', error);
+    }
+
+    const startDate = new Date(endDate);
+    startDate.setDate(startDate.getDate() - (days - 1));
+
+    fromInput.value = toISODateString(startDate);
+    toInput.value = toISODateString(endDate);
+}
+
+// Run render with its messages added to container (e.g. a dashboard tile) instead of the chat.
+// Messages must be added synchronously; render's return value (e.g. a promise) is passed through.
+export function renderMessagesInto(container, render) {
+    messageTarget = container;
+    try {
+        return render();
+    } finally {
+        messageTarget = null;
+    }
+}
+
+function getMessagesContainer() {
+    return messageTarget || document.getElementById('messagesArea');
+}
+
+// Remove the answer to a question (everything up to the next question), render a new one,
+// and move it into the old answer's place
+export async function replaceMessageResponse(userMessage, render) {
+    const messagesArea = document.getElementById('messagesArea');
+
+    let nextQuestion = userMessage.nextElementSibling;
+    while (nextQuestion && !nextQuestion.classList.contains('message-user')) {
+        const sibling = nextQuestion.nextElementSibling;
+        if (nextQuestion.classList.contains('message')) {
+            destroyMessageCharts(nextQuestion);
+            nextQuestion.remove();
+        }
+        nextQuestion = sibling;
+    }
+
+    const existing = new Set(messagesArea.querySelectorAll('.message'));
+    await render();
+
+    messagesArea.querySelectorAll('.message').forEach(message => {
+        if (!existing.has(message)) {
+            messagesArea.insertBefore(message, nextQuestion);
+        }
+    });
+
+    userMessage.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+// Partial answer shown while deltas arrive; the message is created on the first delta
+export function createStreamingAnswer() {
+    return {
+        text: '',
+        messageDiv: null
+    };
+}
+
+export function appendStreamingAnswer(stream, text) {
+    if (!stream.messageDiv) {
+        hideTypingIndicator();
+        stream.messageDiv = addAssistantMessage('');
+        stream.messageDiv.classList.add('streaming');
+    }
+
+    stream.text += text;
+    stream.messageDiv.querySelector('.message-text').innerHTML = renderMarkdown(stream.text);
+    scrollToBottom();
+}
+
+// Keep the partial answer (e.g. after Stop) or remove it once the full response replaces it
+export function finishStreamingAnswer(stream, keep) {
+    if (!stream.messageDiv) return;
+
+    if (keep) {
+        stream.messageDiv.classList.remove('streaming');
+    } else {
+        stream.messageDiv.remove();
+    }
+    stream.messageDiv = null;
+}
+
+// "Cached at" note on a question whose answer was served from the offline cache
+export function showCachedLabel(userMessage) {
+    const existing = userMessage.querySelector('.cached-label');
+    if (existing) existing.remove();
+
+    if (!offlineCache.lastCachedAt) return;
+
+    const label = document.createElement('div');
+    label.className = 'cached-label';
+    label.textContent = `📦 Server unreachable, showing the answer cached at ${formatCachedAt(offlineCache.lastCachedAt)}`;
+    userMessage.querySelector('.message-content').appendChild(label);
+}
+
+export function formatCachedAt(cachedAt) {
+    return new Date(cachedAt).toLocaleString();
+}
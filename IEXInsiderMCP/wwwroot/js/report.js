@@ -0,0 +1,340 @@
+// Report builder: picked conversation messages with commentary, exported as self-contained HTML or printed
+
+import { chartInstances } from './charts.js';
+import { downloadBlob, getExportSource, slugify } from './export.js';
+import { toISODateString } from './parsing.js';
+import { escapeHtml } from './rendering.js';
+import { renderMarkdown, sanitizeHtml } from './sanitize.js';
+
+// Controls and chrome left out of a message when it goes into the report
+// (record grids are virtualized, so a plain table of their rows takes their place)
+const REPORT_EXCLUDED_SELECTOR = '.message-header, .message-export, .chart-actions, .filter-chips, .cached-label, ' +
+    '.panel-controls, .panel-status, .record-grid, button, select, textarea, input:not([type="checkbox"])';
+
+// Rows of a record grid printed in the report; the rest are summarized in a note
+const REPORT_MAX_RECORD_ROWS = 500;
+
+const REPORT_SNIPPET_LENGTH = 80;
+
+// Styles embedded in the exported file, so it needs nothing from the app or the network
+const REPORT_STYLES = `
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+        color: #1e293b; max-width: 960px; margin: 0 auto; padding: 32px 24px; line-height: 1.5; }
+    h1 { color: #0f4c81; margin-bottom: 4px; }
+    h2, h3, h4 { color: #0f4c81; }
+    .report-meta { color: #64748b; font-size: 13px; margin-bottom: 24px; }
+    .report-item { border-top: 1px solid #e2e8f0; padding: 16px 0; }
+    .report-commentary { border-left: 4px solid #00a8cc; background: #f0f9fc; padding: 8px 16px; margin-bottom: 12px; }
+    .report-question { font-weight: 600; color: #1a7fb8; }
+    .report-question::before { content: "Q: "; }
+    img { max-width: 100%; height: auto; }
+    .chart-container { margin: 12px 0; }
+    .chart-title { font-weight: 600; color: #0f4c81; margin-bottom: 8px; }
+    table { width: 100%; border-collapse: collapse; margin: 12px 0; font-size: 13px; }
+    th { background: #0f4c81; color: white; }
+    th, td { padding: 6px 10px; text-align: left; border-bottom: 1px solid #e2e8f0; }
+    tr.highlight-row { background: #fef5e7; }
+    .stats-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(180px, 1fr)); gap: 12px; margin: 12px 0; }
+    .stat-card { border: 1px solid #e2e8f0; border-top: 4px solid #0f4c81; border-radius: 8px; padding: 12px; }
+    .stat-value { font-size: 22px; font-weight: 700; color: #0f4c81; }
+    .stat-label { font-size: 13px; color: #64748b; }
+    .heatmap-legend-scale { display: flex; align-items: center; gap: 8px; font-size: 12px; color: #64748b; }
+    .heatmap-legend-bar { flex: 1; height: 12px; border-radius: 6px; }
+    @page { margin: 16mm; }
+    @media print {
+        body { max-width: none; padding: 0; }
+        .report-item, .chart-container, .stats-grid, tr { break-inside: avoid; }
+        th { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    }
+`;
+
+// Picked messages in report order, each with its commentary
+const reportBuilder = {
+    items: [],
+    list: null,
+    status: null,
+    titleInput: null,
+    introInput: null
+};
+
+// Show/hide the report builder; while it is shown, clicking a message adds it to the report
+export function toggleReportBuilder() {
+    const panel = document.getElementById('reportBuilder');
+
+    if (panel.style.display === 'none') {
+        panel.style.display = 'block';
+        if (!panel.hasChildNodes()) {
+            renderReportBuilder();
+        }
+        renderReportItems();
+    } else {
+        panel.style.display = 'none';
+    }
+
+    document.body.classList.toggle('report-mode', panel.style.display !== 'none');
+}
+
+// Click on a message in report mode: add it to the report, or take it out if it is already there
+export function pickReportMessage(event) {
+    if (!document.body.classList.contains('report-mode')) return;
+    if (event.target.closest('button, a, select, input, textarea, canvas, .filter-chips')) return;
+    // Leave text selection (e.g. for copying) alone
+    if (window.getSelection().toString()) return;
+
+    const messageDiv = event.target.closest('.message');
+    if (!messageDiv || messageDiv.classList.contains('streaming')) return;
+
+    const index = reportBuilder.items.findIndex(item => item.messageDiv === messageDiv);
+    if (index === -1) {
+        reportBuilder.items.push({ messageDiv, commentary: '' });
+    } else {
+        reportBuilder.items.splice(index, 1);
+    }
+    renderReportItems();
+}
+
+// Header with title and export actions, an introduction, and the list of picked messages
+function renderReportBuilder() {
+    const panel = document.getElementById('reportBuilder');
+
+    const header = document.createElement('div');
+    header.className = 'dashboard-header';
+    header.innerHTML = `<h3>📝 Report Builder</h3>`;
+
+    const actions = document.createElement('div');
+    actions.className = 'panel-controls';
+    actions.style.margin = '0';
+
+    const exportButton = document.createElement('button');
+    exportButton.className = 'panel-action-btn';
+    exportButton.textContent = '💾 Export HTML';
+    exportButton.title = 'Download the report as a single HTML file with the charts as images';
+    exportButton.addEventListener('click', exportReportHtml);
+
+    const printButton = document.createElement('button');
+    printButton.className = 'panel-action-btn';
+    printButton.textContent = '🖨️ Print / PDF';
+    printButton.title = 'Print the report, or choose "Save as PDF" in the print dialog';
+    printButton.addEventListener('click', printReport);
+
+    const closeButton = document.createElement('button');
+    closeButton.className = 'chart-action-btn';
+    closeButton.title = 'Close';
+    closeButton.textContent = '✖';
+    closeButton.addEventListener('click', toggleReportBuilder);
+
+    actions.append(exportButton, printButton, closeButton);
+    header.appendChild(actions);
+
+    const titleInput = document.createElement('input');
+    titleInput.type = 'text';
+    titleInput.className = 'panel-select report-title-input';
+    titleInput.value = `IEX Market Notes – ${toISODateString(new Date())}`;
+
+    const introInput = createCommentaryInput('Introduction (markdown), shown at the top of the report');
+
+    const status = document.createElement('div');
+    status.className = 'panel-status';
+
+    const list = document.createElement('div');
+    list.className = 'report-items';
+
+    panel.append(header, titleInput, introInput, status, list);
+
+    reportBuilder.list = list;
+    reportBuilder.status = status;
+    reportBuilder.titleInput = titleInput;
+    reportBuilder.introInput = introInput;
+}
+
+function createCommentaryInput(placeholder) {
+    const textarea = document.createElement('textarea');
+    textarea.className = 'report-commentary-input';
+    textarea.rows = 2;
+    textarea.placeholder = placeholder;
+    return textarea;
+}
+
+// List the picked messages with move/remove actions and their commentary.
+// Messages no longer in the transcript (e.g. after switching conversation) are dropped.
+function renderReportItems() {
+    reportBuilder.items = reportBuilder.items.filter(item => item.messageDiv.isConnected);
+
+    document.querySelectorAll('.message.report-picked').forEach(message => message.classList.remove('report-picked'));
+    reportBuilder.items.forEach(item => item.messageDiv.classList.add('report-picked'));
+
+    const list = reportBuilder.list;
+    if (!list) return;
+    list.innerHTML = '';
+
+    reportBuilder.status.className = 'panel-status';
+    reportBuilder.status.textContent = reportBuilder.items.length === 0
+        ? 'Click messages in the conversation to add them to the report.'
+        : 'Click a message again to remove it. Commentary is shown above its message.';
+
+    reportBuilder.items.forEach((item, index) => {
+        const row = document.createElement('div');
+        row.className = 'report-item';
+
+        const rowHeader = document.createElement('div');
+        rowHeader.className = 'report-item-header';
+
+        const label = document.createElement('span');
+        label.textContent = `${index + 1}. ${getReportSnippet(item.messageDiv)}`;
+
+        const rowActions = document.createElement('div');
+        rowActions.className = 'chart-actions';
+        rowActions.append(
+            createReportItemButton('▲', 'Move up', index === 0, () => moveReportItem(index, -1)),
+            createReportItemButton('▼', 'Move down', index === reportBuilder.items.length - 1, () => moveReportItem(index, 1)),
+            createReportItemButton('✖', 'Remove from the report', false, () => {
+                reportBuilder.items.splice(index, 1);
+                renderReportItems();
+            })
+        );
+
+        rowHeader.append(label, rowActions);
+
+        const commentary = createCommentaryInput('Commentary on this message (markdown)');
+        commentary.value = item.commentary;
+        commentary.addEventListener('input', () => {
+            item.commentary = commentary.value;
+        });
+
+        row.append(rowHeader, commentary);
+        list.appendChild(row);
+    });
+}
+
+function createReportItemButton(text, title, disabled, onClick) {
+    const button = document.createElement('button');
+    button.className = 'chart-action-btn';
+    button.title = title;
+    button.textContent = text;
+    button.disabled = disabled;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function moveReportItem(index, offset) {
+    const items = reportBuilder.items;
+    [items[index], items[index + offset]] = [items[index + offset], items[index]];
+    renderReportItems();
+}
+
+// Question text, or an answer's first heading or opening words
+function getReportSnippet(messageDiv) {
+    const heading = messageDiv.querySelector('.message-text h1, .message-text h2, .message-text h3, .analysis-column h3, .chart-title');
+    const text = (heading || messageDiv.querySelector('.message-text, .analysis-column') || messageDiv).textContent.trim().replace(/\s+/g, ' ');
+    const prefix = messageDiv.classList.contains('message-user') ? '❓ ' : '🤖 ';
+    return prefix + (text.length > REPORT_SNIPPET_LENGTH ? `${text.slice(0, REPORT_SNIPPET_LENGTH)}…` : text);
+}
+
+// The report as a standalone HTML document
+function buildReportHtml() {
+    const title = reportBuilder.titleInput.value.trim() || 'IEX Market Notes';
+    const intro = reportBuilder.introInput.value.trim();
+
+    const sections = reportBuilder.items
+        .filter(item => item.messageDiv.isConnected)
+        .map(item => `<section class="report-item">
+    ${item.commentary.trim() ? `<div class="report-commentary">${renderMarkdown(item.commentary)}</div>` : ''}
+    ${getReportMessageHtml(item.messageDiv)}
+</section>`)
+        .join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="report-meta">IEX Insider AI · ${escapeHtml(new Date().toLocaleString())}</div>
+${intro ? `<div class="report-commentary">${renderMarkdown(intro)}</div>` : ''}
+${sections}
+</body>
+</html>`;
+}
+
+// A message's rendered markup without its controls, with each chart swapped for a PNG of its current view
+function getReportMessageHtml(messageDiv) {
+    if (messageDiv.classList.contains('message-user')) {
+        return `<div class="report-question">${escapeHtml(messageDiv.querySelector('.message-text').textContent.trim())}</div>`;
+    }
+
+    const content = messageDiv.querySelector('.message-content').cloneNode(true);
+    content.querySelectorAll('.record-grid').forEach(grid => grid.insertAdjacentHTML('beforebegin', getRecordGridReportHtml(grid)));
+    content.querySelectorAll(REPORT_EXCLUDED_SELECTOR).forEach(element => element.remove());
+
+    content.querySelectorAll('canvas').forEach(canvas => {
+        const chart = chartInstances[canvas.id];
+        if (!chart) {
+            canvas.remove();
+            return;
+        }
+
+        const image = document.createElement('img');
+        image.src = chart.toBase64Image();
+        image.alt = canvas.closest('.chart-container')?.querySelector('.chart-title')?.textContent.trim() || 'Chart';
+        canvas.replaceWith(image);
+    });
+
+    // Ids belong to the live page
+    content.querySelectorAll('[id]').forEach(element => element.removeAttribute('id'));
+
+    return sanitizeHtml(content.innerHTML);
+}
+
+// Table of a record grid's loaded rows (its export source), with a note when they are not all of the records
+function getRecordGridReportHtml(grid) {
+    const source = getExportSource(grid.dataset.exportId);
+    if (!source || source.rows.length === 0) return '';
+
+    const rows = source.rows.slice(0, REPORT_MAX_RECORD_ROWS);
+    const total = Math.max(Number(grid.dataset.totalRecords) || 0, source.rows.length);
+    const note = rows.length < total
+        ? `<p class="report-meta">Showing ${rows.length.toLocaleString()} of ${total.toLocaleString()} records.</p>`
+        : '';
+
+    return `<table>
+        <thead><tr>${source.headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>
+        <tbody>${rows.map(row => `<tr>${row.map(value => `<td>${escapeHtml(String(value))}</td>`).join('')}</tr>`).join('')}</tbody>
+    </table>${note}`;
+}
+
+function exportReportHtml() {
+    if (!hasReportItems()) return;
+
+    const fileName = `${slugify(reportBuilder.titleInput.value)}.html`;
+    downloadBlob(new Blob([buildReportHtml()], { type: 'text/html;charset=utf-8' }), fileName);
+}
+
+// Print the report from a hidden frame, using its print styles
+function printReport() {
+    if (!hasReportItems()) return;
+
+    document.querySelectorAll('.report-print-frame').forEach(frame => frame.remove());
+
+    const frame = document.createElement('iframe');
+    frame.className = 'report-print-frame';
+    frame.addEventListener('load', () => {
+        frame.contentWindow.addEventListener('afterprint', () => frame.remove());
+        frame.contentWindow.focus();
+        frame.contentWindow.print();
+    });
+    frame.srcdoc = buildReportHtml();
+    document.body.appendChild(frame);
+}
+
+function hasReportItems() {
+    renderReportItems();
+    if (reportBuilder.items.length > 0) return true;
+
+    reportBuilder.status.className = 'panel-status error';
+    reportBuilder.status.textContent = '❌ Add messages to the report first: click them in the conversation.';
+    return false;
+}
@@ -0,0 +1,121 @@
+// HTML sanitization for rendered markdown, server-provided text and generated message markup
+
+// Removed together with everything inside them
+const DROPPED_TAGS = ['script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'template', 'noscript',
+    'link', 'meta', 'base', 'form', 'textarea', 'svg', 'math'];
+
+// Kept as-is (after attribute filtering); any other element is replaced by its children
+const ALLOWED_TAGS = ['p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'strong', 'b', 'em', 'i', 'u', 's', 'del', 'ins', 'mark',
+    'small', 'sub', 'sup', 'code', 'pre', 'kbd', 'blockquote', 'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'table', 'caption', 'colgroup',
+    'col', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'a', 'img', 'span', 'div', 'details', 'summary', 'label', 'canvas',
+    'button', 'select', 'option', 'input'];
+
+// Allowed on every element, along with aria-* attributes
+const GLOBAL_ATTRIBUTES = ['class', 'title', 'role'];
+
+// Also allowed, along with data-* attributes, in markup the app generates itself. Server and AI text
+// must not position elements over the page, clobber ids or forge data-action buttons.
+const APP_ATTRIBUTES = ['id', 'style'];
+
+const TAG_ATTRIBUTES = {
+    a: ['href', 'target', 'rel'],
+    img: ['src', 'alt', 'width', 'height'],
+    ol: ['start'],
+    col: ['span'],
+    th: ['colspan', 'rowspan', 'align', 'scope'],
+    td: ['colspan', 'rowspan', 'align'],
+    canvas: ['width', 'height'],
+    button: ['type', 'disabled'],
+    select: ['disabled'],
+    option: ['value', 'selected'],
+    // Task-list checkboxes from marked
+    input: ['type', 'checked', 'disabled']
+};
+
+// href/src values other than relative URLs must use one of these schemes
+const SAFE_URL_PATTERN = /^(?:https?:|mailto:|[^:/?#]*(?:[/?#]|$))/i;
+const SAFE_IMAGE_DATA_PATTERN = /^data:image\/(?:png|gif|jpe?g|webp);/i;
+
+// Inline handlers from markup saved before data-action existed, e.g. onclick="downloadChart('chart-1')"
+const LEGACY_HANDLER_PATTERN = /^\s*([A-Za-z_$][\w$]*)\(\s*(?:this\s*)?,?\s*(?:'([^']*)')?\s*\);?\s*$/;
+
+// Return app-generated html with disallowed elements, attributes and URLs removed.
+// Buttons keep working through data-action/data-action-arg, which main.js dispatches.
+export function sanitizeHtml(html) {
+    return sanitize(html, true);
+}
+
+// Markdown (server answers, AI insights) to sanitized HTML without app-only attributes
+export function renderMarkdown(markdown) {
+    return sanitize(marked.parse(markdown), false);
+}
+
+function sanitize(html, isAppMarkup) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    sanitizeChildren(template.content, isAppMarkup);
+    return template.innerHTML;
+}
+
+function sanitizeChildren(parent, isAppMarkup) {
+    Array.from(parent.childNodes).forEach(node => {
+        if (node.nodeType === Node.COMMENT_NODE) {
+            node.remove();
+            return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+        const tag = node.tagName.toLowerCase();
+        if (DROPPED_TAGS.includes(tag)) {
+            node.remove();
+            return;
+        }
+
+        sanitizeChildren(node, isAppMarkup);
+
+        if (!ALLOWED_TAGS.includes(tag) || (tag === 'input' && node.getAttribute('type') !== 'checkbox')) {
+            node.replaceWith(...node.childNodes);
+            return;
+        }
+
+        sanitizeAttributes(node, tag, isAppMarkup);
+    });
+}
+
+function sanitizeAttributes(element, tag, isAppMarkup) {
+    const allowed = TAG_ATTRIBUTES[tag] || [];
+
+    Array.from(element.attributes).forEach(attribute => {
+        const name = attribute.name.toLowerCase();
+
+        if (isAppMarkup && (name === 'onclick' || name === 'onchange')) {
+            convertLegacyHandler(element, attribute.value);
+        }
+
+        const isAllowed = GLOBAL_ATTRIBUTES.includes(name) || allowed.includes(name) || name.startsWith('aria-') ||
+            (isAppMarkup && (APP_ATTRIBUTES.includes(name) || name.startsWith('data-')));
+
+        if (!isAllowed || ((name === 'href' || name === 'src') && !isSafeUrl(attribute.value, tag))) {
+            element.removeAttribute(attribute.name);
+        }
+    });
+
+    if (tag === 'a' && element.getAttribute('target')) {
+        element.setAttribute('rel', 'noopener noreferrer');
+    }
+}
+
+function isSafeUrl(value, tag) {
+    const url = value.trim();
+    return SAFE_URL_PATTERN.test(url) || (tag === 'img' && SAFE_IMAGE_DATA_PATTERN.test(url));
+}
+
+function convertLegacyHandler(element, handler) {
+    const match = handler.match(LEGACY_HANDLER_PATTERN);
+    if (!match || element.hasAttribute('data-action')) return;
+
+    element.setAttribute('data-action', match[1]);
+    if (match[2] !== undefined) {
+        element.setAttribute('data-action-arg', match[2]);
+    }
+}
@@ -0,0 +1,57 @@
+// Voice input through the browser speech recognition API
+
+import { adjustTextareaHeight } from './main.js';
+import { addAssistantMessage } from './rendering.js';
+
+// Speech Recognition
+let recognition = null;
+let isRecording = false;
+
+// Initialize Speech Recognition
+export function initSpeechRecognition() {
+    if ('webkitSpeechRecognition' in window || 'SpeechRecognition' in window) {
+        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+        recognition = new SpeechRecognition();
+        recognition.continuous = false;
+        recognition.interimResults = false;
+        recognition.lang = 'en-IN';
+
+        recognition.onstart = () => {
+            isRecording = true;
+            document.getElementById('micButton').classList.add('recording');
+        };
+
+        recognition.onresult = (event) => {
+            const transcript = event.results[0][0].transcript;
+            document.getElementById('queryInput').value = transcript;
+            adjustTextareaHeight();
+        };
+
+        recognition.onerror = (event) => {
+            console.error('Speech recognition error:', event.error);
+            stopRecording();
+        };
+
+        recognition.onend = () => {
+            stopRecording();
+        };
+    }
+}
+
+export function toggleVoiceInput() {
+    if (!recognition) {
+        addAssistantMessage('Speech recognition is not supported in this browser. Please use Chrome, Edge, or Safari.');
+        return;
+    }
+
+    if (isRecording) {
+        recognition.stop();
+    } else {
+        recognition.start();
+    }
+}
+
+function stopRecording() {
+    isRecording = false;
+    document.getElementById('micButton').classList.remove('recording');
+}
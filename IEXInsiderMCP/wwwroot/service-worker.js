@@ -0,0 +1,213 @@
+// IEX Insider service worker - keeps the app usable on flaky or no connection
+//
+// - App shell (index.html, js/ modules): network first, cached copy when offline
+// - Vendored libraries in lib/ (Chart.js, zoom plugin, Hammer.js, marked, SheetJS): cache first;
+//   bump the cache version when upgrading one
+// - Statistics, suggestions and answered queries: network first; the last good response is
+//   served when the backend can't be reached, marked with an X-Cached-At header
+
+const CACHE_PREFIX = 'iex-insider-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-v2`;
+const DATA_CACHE = `${CACHE_PREFIX}data-v1`;
+
+// Header telling the page a response came from the cache, and when it was stored
+const CACHED_AT_HEADER = 'X-Cached-At';
+
+// Statuses from a reverse proxy whose backend is down
+const GATEWAY_ERROR_STATUSES = [502, 503, 504];
+
+// Most answered queries kept; the oldest are dropped first
+const MAX_CACHED_QUERIES = 200;
+
+const SHELL_ASSETS = [
+    '/',
+    '/index.html',
+    '/js/main.js',
+    '/js/api.js',
+    '/js/parsing.js',
+    '/js/rendering.js',
+    '/js/charts.js',
+    '/js/speech.js',
+    '/js/heatmaps.js',
+    '/js/heatmap-scales.js',
+    '/js/linked-charts.js',
+    '/js/forecast.js',
+    '/js/anomalies.js',
+    '/js/patterns.js',
+    '/js/comparison.js',
+    '/js/dashboard.js',
+    '/js/recommendations.js',
+    '/js/conversations.js',
+    '/js/export.js',
+    '/js/record-grid.js',
+    '/js/demand-supply.js',
+    '/js/distribution.js',
+    '/js/query-builder.js',
+    '/js/permalinks.js',
+    '/js/profile.js',
+    '/js/report.js',
+    '/js/sanitize.js'
+];
+
+const LIBRARY_ASSETS = [
+    '/lib/chart.js/chart.umd.js',
+    '/lib/hammerjs/hammer.min.js',
+    '/lib/chartjs-plugin-zoom/chartjs-plugin-zoom.min.js',
+    '/lib/marked/marked.min.js',
+    '/lib/xlsx/xlsx.full.min.js'
+];
+
+// GET endpoints whose last response is kept for offline use
+const CACHED_GET_PATHS = [
+    '/api/iex/statistics',
+    '/api/query/suggestions'
+];
+
+// POST endpoints that answer questions; cached per request body
+const CACHED_QUERY_PATHS = [
+    '/api/query',
+    '/api/query/stream',
+    '/api/iex/query',
+    '/api/iex/heatmap',
+    '/api/iex/multi-timeslot',
+    '/api/iex/multi-timeslot/stream'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+
+        // One unreachable asset shouldn't stop the rest from being cached
+        await Promise.all([...SHELL_ASSETS, ...LIBRARY_ASSETS].map(async url => {
+            try {
+                const response = await fetch(url, { cache: 'reload' });
+                if (response.ok) await cache.put(url, response);
+            } catch (error) {
+                console.warn(`Service worker could not cache ${url}:`, error);
+            }
+        }));
+
+        await self.skipWaiting();
+    })());
+});
+
+// Drop caches from older versions of this worker
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== SHELL_CACHE && name !== DATA_CACHE)
+            .map(name => caches.delete(name)));
+
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    if (url.origin !== self.location.origin) {
+        return;
+    } else if (request.method === 'GET' && LIBRARY_ASSETS.includes(url.pathname)) {
+        event.respondWith(cacheFirst(request));
+    } else if (request.method === 'GET' && CACHED_GET_PATHS.includes(url.pathname)) {
+        event.respondWith(networkFirstData(request, request.url));
+    } else if (request.method === 'POST' && CACHED_QUERY_PATHS.includes(url.pathname)) {
+        event.respondWith(networkFirstQuery(request));
+    } else if (request.method === 'GET' && (request.mode === 'navigate' || SHELL_ASSETS.includes(url.pathname))) {
+        event.respondWith(networkFirstShell(request));
+    }
+});
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+async function networkFirstShell(request) {
+    const cache = await caches.open(SHELL_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        // Navigations to "/" and "/index.html" share the same page
+        const cached = await cache.match(request) || (request.mode === 'navigate' && await cache.match('/index.html'));
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function networkFirstQuery(request) {
+    const cacheKey = await getQueryCacheKey(request);
+    return networkFirstData(request, cacheKey);
+}
+
+// Fresh response when the backend answers; the cached one (with CACHED_AT_HEADER) when it can't be reached.
+// Error responses are passed through but never cached.
+async function networkFirstData(request, cacheKey) {
+    const cache = await caches.open(DATA_CACHE);
+
+    let response;
+    try {
+        response = await fetch(request);
+    } catch (error) {
+        const cached = await cache.match(cacheKey);
+        if (cached) return cached;
+        throw error;
+    }
+
+    // A proxy answering for a backend that is down counts as unreachable too
+    if (GATEWAY_ERROR_STATUSES.includes(response.status)) {
+        const cached = await cache.match(cacheKey);
+        if (cached) return cached;
+    }
+
+    if (response.ok) {
+        const headers = new Headers(response.headers);
+        headers.set(CACHED_AT_HEADER, new Date().toISOString());
+
+        const copy = new Response(response.clone().body, {
+            status: response.status,
+            statusText: response.statusText,
+            headers: headers
+        });
+
+        // Streamed answers are stored once they finish; a cancelled stream is simply not cached
+        cache.put(cacheKey, copy)
+            .then(() => trimCache(cache, MAX_CACHED_QUERIES))
+            .catch(() => {});
+    }
+
+    return response;
+}
+
+// GET-able key for a POST: the URL plus a hash of the JSON body. /api/query bodies carry the
+// conversation session id, so a follow-up that leans on earlier questions is only answered
+// from the cache within the conversation that asked it.
+async function getQueryCacheKey(request) {
+    const body = await request.clone().text();
+
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(body));
+    const hash = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+
+    return `${request.url}?body=${hash}`;
+}
+
+// Keep the newest maxEntries entries (cache keys come back oldest first)
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    const excess = keys.length - maxEntries;
+    for (let i = 0; i < excess; i++) {
+        await cache.delete(keys[i]);
+    }
+}